@@ -44,6 +44,10 @@ class ConflictTrainingApp {
       console.log('📚 Loading scenarios...');
       const savedProgress = await this.gameEngine.initialize();
       
+      // Cache this content version for offline use, or offer it if a newer one was published
+      const indexMetadata = this.gameEngine.scenarioIndex?.metadata || {};
+      window.offlineManager?.register(indexMetadata.version);
+      
       // Set up UI
       console.log('🎨 Setting up user interface...');
       this.uiManager.renderScenarioList();
@@ -99,15 +103,41 @@ class ConflictTrainingApp {
   }
 
   /**
-   * Handle saved progress - offer to resume or start fresh
+   * Handle saved progress - offer to resume, restart or go to the scenario list
+   * @param {Object} savedProgress - Progress from the active save slot
+   * @param {Object} options - { prompt: false } to resume without asking
    */
-  async handleSavedProgress(savedProgress) {
-    // For MVP, we'll auto-resume. In full version, we could show a dialog
+  async handleSavedProgress(savedProgress, options = {}) {
     try {
-      console.log('🔄 Resuming from saved progress...');
+      console.log('🔄 Loading saved progress...');
       
-      // Load the saved scenario
+      // Load the saved scenario so the dialog can show its title and path
       await this.gameEngine.resumeFromProgress(savedProgress);
+      this.hideLoading();
+      
+      let action = 'resume';
+      if (options.prompt !== false) {
+        // Keep the welcome screen behind the dialog for context
+        this.uiManager.showWelcomeScreen();
+        this.uiManager.renderScenarioList();
+        action = await this.uiManager.promptResume();
+      }
+      console.log(`💾 Saved progress: ${action}`);
+      
+      if (action === 'list') {
+        // Keep the save so the learner can continue from the slot later
+        this.gameEngine.unloadScenario();
+        this.showWelcomeScreen();
+        return;
+      }
+      
+      if (action === 'restart') {
+        // Drop the old save even if auto-save is off, so it cannot come back
+        this.storage.clearCurrentProgress();
+        this.gameEngine.restartScenario();
+      } else {
+        this.gameEngine.reportResumed();
+      }
       
       // Show the scenario interface
       this.uiManager.hideWelcomeScreen();
@@ -115,7 +145,9 @@ class ConflictTrainingApp {
       this.uiManager.renderCurrentNode();
       
       // Announce to user
-      this.uiManager.announceToScreenReader('Resumed from where you left off');
+      this.uiManager.announceToScreenReader(action === 'restart' ? 
+        'Scenario restarted from the beginning' : 
+        'Resumed from where you left off');
       
     } catch (error) {
       console.error('Error resuming saved progress:', error);
@@ -210,17 +242,6 @@ class ConflictTrainingApp {
       console.error('Unhandled promise rejection:', event.reason);
       this.handleGlobalError(event.reason);
     });
-    
-    // Handle network errors for fetch requests
-    window.addEventListener('fetch', (event) => {
-      event.respondWith(
-        fetch(event.request).catch((error) => {
-          console.error('Fetch error:', error);
-          this.handleNetworkError(error);
-          throw error;
-        })
-      );
-    });
   }
 
   /**
@@ -247,19 +268,6 @@ class ConflictTrainingApp {
     }
   }
 
-  /**
-   * Handle network errors specifically
-   */
-  handleNetworkError(error) {
-    console.warn('Network error occurred:', error);
-    
-    if (!navigator.onLine) {
-      this.uiManager?.announceToScreenReader('You appear to be offline. Please check your internet connection.');
-    } else {
-      this.uiManager?.announceToScreenReader('Network error. Please try again.');
-    }
-  }
-
   /**
    * Get user-friendly error message
    */
@@ -313,7 +321,7 @@ class ConflictTrainingApp {
    * Reset application to initial state
    */
   reset() {
-    if (confirm('This will clear all progress and restart the application. Are you sure?')) {
+    if (confirm('This will delete every learner profile and all progress, then restart the application. Are you sure?')) {
       this.storage?.clearAllData();
       window.location.reload();
     }
@@ -359,14 +367,6 @@ if (typeof window !== 'undefined') {
   }
 }
 
-// Service Worker registration for future PWA capabilities
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    // Skip service worker for MVP, but structure is ready for future
-    console.log('💡 Service Worker support detected - ready for PWA features');
-  });
-}
-
 // Performance monitoring
 if (window.performance && window.performance.mark) {
   window.addEventListener('load', () => {
@@ -0,0 +1,175 @@
+/**
+ * AUDIO MANAGER - Ambient loop per scenario and short cues for choices and endings
+ * Follows userPreferences.soundEnabled and volume. Ambient audio comes from the scenario's
+ * settings.ambientSound and is skipped when the learner prefers reduced motion; cues are
+ * synthesised with the Web Audio API, so they need no files.
+ */
+
+class AudioManager {
+  constructor() {
+    this.storage = window.storageManager;
+
+    // Looping <audio> for the current scenario and the source it is playing
+    this.ambient = null;
+    this.ambientSource = null;
+
+    // Created on the first cue, since browsers only allow audio after a user gesture
+    this.context = null;
+
+    // Sources that failed to load, so each missing file is reported once
+    this.failedSources = new Set();
+
+    // Ambient sits under cues and dialogue
+    this.ambientLevel = 0.35;
+    this.cueLevel = 0.25;
+
+    // Notes as [frequency in Hz, seconds]
+    this.cues = {
+      choice: [[660, 0.06]],
+      success: [[523.25, 0.12], [659.25, 0.12], [783.99, 0.26]],
+      mixed: [[523.25, 0.14], [587.33, 0.22]],
+      failure: [[392, 0.16], [311.13, 0.3]]
+    };
+
+    this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.reducedMotion.addEventListener('change', () => this.applyPreferences());
+
+    document.addEventListener('visibilitychange', () => this.applyPreferences());
+  }
+
+  /**
+   * Read sound settings from the active profile
+   * @returns {Object} { enabled, volume } with volume from 0 to 1
+   */
+  getSettings() {
+    const preferences = this.storage.getUserPreferences();
+    const volume = typeof preferences.volume === 'number' ? Math.min(1, Math.max(0, preferences.volume)) : 0.6;
+    return { enabled: preferences.soundEnabled !== false, volume };
+  }
+
+  isAmbientAllowed() {
+    const { enabled, volume } = this.getSettings();
+    return enabled && volume > 0 && !this.reducedMotion.matches && !document.hidden;
+  }
+
+  /**
+   * Start the scenario's ambient loop, or keep it going if it is already playing
+   * @param {Object} scenario - Scenario data; settings.ambientSound is optional
+   */
+  playAmbient(scenario) {
+    const source = scenario && scenario.settings && scenario.settings.ambientSound;
+
+    if (!source || this.failedSources.has(source)) {
+      this.stopAmbient();
+      return;
+    }
+
+    if (this.ambientSource !== source) {
+      this.stopAmbient();
+
+      const audio = new Audio();
+      audio.loop = true;
+      audio.preload = 'auto';
+      audio.addEventListener('error', () => {
+        console.warn(`Failed to load ambient sound ${source}, continuing without it`);
+        this.failedSources.add(source);
+        if (this.ambient === audio) {
+          this.stopAmbient();
+        }
+      });
+      audio.src = source;
+
+      this.ambient = audio;
+      this.ambientSource = source;
+    }
+
+    this.applyPreferences();
+  }
+
+  stopAmbient() {
+    if (this.ambient) {
+      this.ambient.pause();
+    }
+    this.ambient = null;
+    this.ambientSource = null;
+  }
+
+  /**
+   * Apply the current volume and on/off state to the ambient loop
+   */
+  applyPreferences() {
+    if (!this.ambient) return;
+
+    if (!this.isAmbientAllowed()) {
+      this.ambient.pause();
+      return;
+    }
+
+    this.ambient.volume = this.getSettings().volume * this.ambientLevel;
+
+    const playing = this.ambient.play();
+    if (playing && playing.catch) {
+      playing.catch(error => {
+        // Autoplay was blocked (for example after a reload); try again on the next click or key press
+        if (error.name === 'NotAllowedError') {
+          this.retryAfterGesture();
+        }
+      });
+    }
+  }
+
+  retryAfterGesture() {
+    const retry = () => {
+      document.removeEventListener('pointerdown', retry);
+      document.removeEventListener('keydown', retry);
+      this.applyPreferences();
+    };
+    document.addEventListener('pointerdown', retry);
+    document.addEventListener('keydown', retry);
+  }
+
+  /**
+   * Play a short cue
+   * @param {string} name - 'choice', or an ending type: 'success', 'mixed' or 'failure'
+   * @param {Object} options - { volume } to override the saved volume, for previewing the slider
+   */
+  playCue(name, options = {}) {
+    const settings = this.getSettings();
+    const volume = options.volume !== undefined ? options.volume : settings.volume;
+    const notes = this.cues[name];
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+
+    if (!settings.enabled || volume === 0 || !notes || !AudioContextClass) return;
+
+    try {
+      this.context = this.context || new AudioContextClass();
+      if (this.context.state === 'suspended') {
+        this.context.resume();
+      }
+
+      let start = this.context.currentTime;
+      notes.forEach(([frequency, duration]) => {
+        const oscillator = this.context.createOscillator();
+        const gain = this.context.createGain();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+
+        // Short fade in and out so notes don't click
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(volume * this.cueLevel, start + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+        oscillator.connect(gain);
+        gain.connect(this.context.destination);
+        oscillator.start(start);
+        oscillator.stop(start + duration + 0.02);
+        start += duration;
+      });
+    } catch (error) {
+      console.warn('Could not play sound cue:', error);
+    }
+  }
+}
+
+// Create global instance
+window.audioManager = new AudioManager();
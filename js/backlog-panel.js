@@ -0,0 +1,121 @@
+/**
+ * BACKLOG PANEL - Every dialogue line and choice shown so far in the current attempt
+ * Rebuilt from the choice history each time it opens, so it also covers resumed attempts
+ */
+
+class BacklogPanel {
+  constructor() {
+    this.gameEngine = window.gameEngine;
+    this.uiManager = window.uiManager;
+
+    // DOM elements
+    this.elements = {};
+
+    // Initialize after DOM loads
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.initializeElements());
+    } else {
+      this.initializeElements();
+    }
+  }
+
+  /**
+   * Initialize DOM element references
+   */
+  initializeElements() {
+    this.elements = {
+      dialog: document.getElementById('backlog-dialog'),
+      list: document.getElementById('backlog-list'),
+      empty: document.getElementById('backlog-empty')
+    };
+
+    this.elements.dialog?.addEventListener('close', () => {
+      this.uiManager.elements.backlogBtn?.focus();
+    });
+  }
+
+  /**
+   * Open the backlog scrolled to the latest line
+   */
+  open() {
+    if (!this.elements.dialog) return;
+
+    this.render();
+    this.elements.dialog.showModal();
+    this.elements.list.lastElementChild?.scrollIntoView?.({ block: 'end' });
+  }
+
+  /**
+   * Entries in the order they were shown
+   * @returns {Array<Object>} { type: 'scene', title } | { type: 'line', speaker, name, text } | { type: 'choice', text, typed }
+   */
+  getEntries() {
+    if (!this.gameEngine.currentScenario) return [];
+
+    const entries = [];
+    const characters = this.gameEngine.currentScenario.characters || {};
+
+    const addNode = (node, lineCount) => {
+      if (!node || !node.content) return;
+
+      if (node.content.title) {
+        entries.push({ type: 'scene', title: node.content.title });
+      }
+
+      this.uiManager.getDialogueLines(node.content).slice(0, lineCount).forEach(line => {
+        const character = characters[line.speaker];
+        entries.push({
+          type: 'line',
+          speaker: line.speaker,
+          name: line.speaker === 'narrator' ? '' : (character ? character.name : line.speaker),
+          text: line.text
+        });
+      });
+    };
+
+    // Every line of a node was shown before its choices appeared
+    this.gameEngine.getChoiceHistory().forEach(entry => {
+      addNode(this.gameEngine.getNode(entry.nodeId));
+      entries.push(entry.response ?
+        { type: 'choice', text: entry.response.text, typed: true } :
+        { type: 'choice', text: entry.choiceText });
+    });
+
+    // The current node only up to the line on screen
+    const dialogue = this.uiManager.dialogue;
+    addNode(this.gameEngine.getCurrentNode(), dialogue ? dialogue.index + 1 : undefined);
+
+    return entries;
+  }
+
+  render() {
+    const entries = this.getEntries();
+    const list = this.elements.list;
+    list.innerHTML = '';
+    this.elements.empty.hidden = entries.length > 0;
+
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = `backlog-${entry.type}`;
+
+      if (entry.type === 'scene') {
+        item.textContent = entry.title;
+      } else if (entry.type === 'choice') {
+        item.textContent = entry.typed ? `You said: "${entry.text}"` : `You chose: ${entry.text}`;
+      } else {
+        if (entry.name) {
+          const speaker = document.createElement('span');
+          speaker.className = 'backlog-speaker';
+          speaker.textContent = `${entry.name}: `;
+          item.appendChild(speaker);
+        }
+        item.appendChild(document.createTextNode(entry.text));
+      }
+
+      list.appendChild(item);
+    });
+  }
+}
+
+// Create global instance
+window.backlogPanel = new BacklogPanel();
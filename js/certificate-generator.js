@@ -0,0 +1,238 @@
+/**
+ * CERTIFICATE GENERATOR - Certificates of completion and their verification codes
+ * Works out whether a learner has earned a certificate, builds its contents from the attempt log,
+ * and derives a code from the completed attempts so a facilitator can check it against an exported backup.
+ * The code detects edits to the backup or certificate; it is not a signature, since everything runs on the device.
+ */
+
+class CertificateGenerator {
+  constructor() {
+    this.codePrefix = 'CTS';
+
+    // FNV-1a 32-bit parameters
+    this.fnvOffset = 0x811c9dc5;
+    this.fnvPrime = 0x01000193;
+  }
+
+  /**
+   * Check whether a learner has earned a certificate.
+   * Completing every scenario in the index always qualifies; the index can also set
+   * metadata.certification.minimumPassed to award it for passing that many scenarios.
+   * @param {Object} data - Profile data ({ completedScenarios, attempts })
+   * @param {Object} scenarioIndex - Scenario index
+   * @returns {Object} { eligible, basis, total, completed, passed, minimumPassed }
+   */
+  getEligibility(data, scenarioIndex) {
+    const scenarios = (scenarioIndex && scenarioIndex.scenarios) || [];
+    const certification = (scenarioIndex && scenarioIndex.metadata && scenarioIndex.metadata.certification) || {};
+    const minimumPassed = certification.minimumPassed || null;
+
+    const completed = scenarios
+      .filter(scenario => data.completedScenarios.includes(scenario.id))
+      .map(scenario => scenario.id);
+    const passed = scenarios
+      .filter(scenario => data.attempts.some(attempt =>
+        attempt.scenarioId === scenario.id && attempt.status === 'completed' && attempt.score && attempt.score.passed))
+      .map(scenario => scenario.id);
+
+    let basis = null;
+    if (scenarios.length > 0 && completed.length === scenarios.length) {
+      basis = 'completed_all';
+    } else if (minimumPassed && passed.length >= minimumPassed) {
+      basis = 'passed';
+    }
+
+    return {
+      eligible: basis !== null,
+      basis,
+      total: scenarios.length,
+      completed,
+      passed,
+      minimumPassed
+    };
+  }
+
+  /**
+   * Build the contents of a certificate
+   * @param {Object} options - { learnerName, data, scenarioIndex, issuedAt }
+   * @returns {Object} Certificate with learner, date, scenarios, strategy profile and verification code
+   */
+  buildCertificate({ learnerName, data, scenarioIndex, issuedAt = new Date() }) {
+    // Codes carry the issue time to the second
+    const issued = new Date(Math.floor(new Date(issuedAt).getTime() / 1000) * 1000);
+    const attempts = this.getCountedAttempts(data.attempts, issued);
+    const eligibility = this.getEligibility(data, scenarioIndex);
+
+    const scenarios = scenarioIndex.scenarios
+      .map(scenario => {
+        const finished = attempts.filter(attempt => attempt.scenarioId === scenario.id);
+        if (finished.length === 0) return null;
+
+        const best = finished.reduce((top, attempt) => this.getScore(attempt) > this.getScore(top) ? attempt : top);
+        return {
+          id: scenario.id,
+          title: scenario.title,
+          completedAt: finished[0].endedAt,
+          attempts: finished.length,
+          bestScore: best.score ? best.score.score : null,
+          passed: finished.some(attempt => attempt.score && attempt.score.passed),
+          ending: best.ending
+        };
+      })
+      .filter(Boolean);
+
+    return {
+      learnerName: learnerName.trim(),
+      issuedAt: issued.toISOString(),
+      basis: eligibility.basis,
+      scenarios,
+      strategyProfile: this.getStrategyProfile(attempts),
+      code: this.getCode(learnerName, data.attempts, issued)
+    };
+  }
+
+  /**
+   * Share of choices made with each strategy across the counted attempts
+   * @param {Array} attempts - Completed attempts
+   * @returns {Array} [{ strategy, count, share }] most used first
+   */
+  getStrategyProfile(attempts) {
+    const counts = {};
+    let total = 0;
+
+    attempts.forEach(attempt => {
+      attempt.path.forEach(entry => {
+        if (!entry.strategy) return;
+        counts[entry.strategy] = (counts[entry.strategy] || 0) + 1;
+        total++;
+      });
+    });
+
+    return Object.entries(counts)
+      .map(([strategy, count]) => ({ strategy, count, share: Math.round((count / total) * 100) }))
+      .sort((a, b) => b.count - a.count || a.strategy.localeCompare(b.strategy));
+  }
+
+  /**
+   * Completed attempts that ended by the issue time and were on the device then, in ID order.
+   * Attempts merged in from another backup keep their original end time but are stamped with
+   * importedAt, so ones merged after the certificate was issued are left out. Finished attempts
+   * don't otherwise change, so later backups still contain exactly these.
+   * @param {Array} attempts - Attempt log
+   * @param {Date} issuedAt - Issue time
+   * @returns {Array} Attempts the certificate is based on
+   */
+  getCountedAttempts(attempts, issuedAt) {
+    const byIssue = time => new Date(time).getTime() <= issuedAt.getTime();
+
+    return attempts
+      .filter(attempt => attempt.status === 'completed' && attempt.endedAt && byIssue(attempt.endedAt) &&
+        (!attempt.importedAt || byIssue(attempt.importedAt)))
+      .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  }
+
+  getScore(attempt) {
+    return attempt.score && attempt.score.score !== null ? attempt.score.score : -1;
+  }
+
+  /**
+   * Derive the verification code: prefix, issue time in base 36 and a hash of the learner name and counted attempts
+   * @param {string} learnerName - Name printed on the certificate
+   * @param {Array} attempts - Attempt log
+   * @param {Date} issuedAt - Issue time, whole seconds
+   * @returns {string} Code such as CTS-T1Z4K0-9F2C-01AB
+   */
+  getCode(learnerName, attempts, issuedAt) {
+    const seconds = Math.floor(issuedAt.getTime() / 1000);
+    const hash = this.hash(this.getCodeInput(learnerName, attempts, issuedAt));
+
+    return `${this.codePrefix}-${seconds.toString(36).toUpperCase()}-${hash.slice(0, 4)}-${hash.slice(4)}`;
+  }
+
+  /**
+   * Canonical text the code is computed from
+   */
+  getCodeInput(learnerName, attempts, issuedAt) {
+    return JSON.stringify([
+      learnerName.trim(),
+      this.getCountedAttempts(attempts, issuedAt).map(attempt => [
+        attempt.id,
+        attempt.scenarioId,
+        attempt.endedAt,
+        attempt.ending ? attempt.ending.type : null,
+        attempt.score ? attempt.score.score : null,
+        attempt.path.map(entry => entry.choiceId)
+      ])
+    ]);
+  }
+
+  /**
+   * FNV-1a hash of a string's UTF-16 code units
+   * @param {string} text - Text to hash
+   * @returns {string} 8 uppercase hex digits
+   */
+  hash(text) {
+    let hash = this.fnvOffset;
+
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, this.fnvPrime) >>> 0;
+    }
+
+    return hash.toString(16).toUpperCase().padStart(8, '0');
+  }
+
+  /**
+   * Split a verification code into its issue time and hash
+   * @param {string} code - Code as printed
+   * @returns {Object|null} { issuedAt, hash } or null if the code is malformed
+   */
+  parseCode(code) {
+    const match = String(code || '').trim().toUpperCase()
+      .match(new RegExp(`^${this.codePrefix}-([0-9A-Z]+)-([0-9A-F]{4})-?([0-9A-F]{4})$`));
+    if (!match) return null;
+
+    const seconds = parseInt(match[1], 36);
+    return { issuedAt: new Date(seconds * 1000), hash: match[2] + match[3] };
+  }
+
+  /**
+   * Check a certificate code against a learner's attempt log
+   * @param {string} code - Code printed on the certificate
+   * @param {string} learnerName - Name printed on the certificate
+   * @param {Array} attempts - Attempt log from an exported backup
+   * @returns {Object} { valid, message, issuedAt, attemptsCounted }
+   */
+  verify(code, learnerName, attempts) {
+    const parsed = this.parseCode(code);
+    if (!parsed) {
+      return { valid: false, message: `That is not a certificate code (expected ${this.codePrefix}-XXXXXX-XXXX-XXXX).` };
+    }
+
+    if (!learnerName || !learnerName.trim()) {
+      return { valid: false, message: 'The learner name is needed to check the code.' };
+    }
+
+    const counted = this.getCountedAttempts(attempts, parsed.issuedAt);
+    const valid = this.hash(this.getCodeInput(learnerName, attempts, parsed.issuedAt)) === parsed.hash;
+
+    return {
+      valid,
+      message: valid ?
+        `The code matches ${counted.length} completed ${counted.length === 1 ? 'attempt' : 'attempts'} by ${learnerName.trim()} up to ${parsed.issuedAt.toLocaleString()}.` :
+        'The code does not match this backup. The certificate or the progress file has been changed, or they belong to different learners.',
+      issuedAt: parsed.issuedAt.toISOString(),
+      attemptsCounted: counted.length
+    };
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.certificateGenerator = new CertificateGenerator();
+}
+
+// Allow the Node verification tool to check codes against exported backups
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CertificateGenerator;
+}
@@ -0,0 +1,230 @@
+/**
+ * CERTIFICATE PAGE - Printable certificate for the active learner and offline code checks
+ * Issues the certificate when the page opens; facilitators can verify a code against an exported backup here too
+ */
+
+class CertificatePage {
+  constructor() {
+    this.storage = window.storageManager;
+    this.generator = window.certificateGenerator;
+    this.packs = window.scenarioPacks;
+
+    this.scenarioIndex = null;
+    this.certificate = null;
+
+    // DOM elements
+    this.elements = {};
+
+    // Initialize after DOM loads
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.initialize());
+    } else {
+      this.initialize();
+    }
+  }
+
+  /**
+   * Initialize the page
+   */
+  async initialize() {
+    this.elements = {
+      printBtn: document.getElementById('certificate-print-btn'),
+      status: document.getElementById('certificate-status'),
+      certificate: document.getElementById('certificate'),
+      learner: document.getElementById('certificate-learner'),
+      basis: document.getElementById('certificate-basis'),
+      date: document.getElementById('certificate-date'),
+      scenarios: document.getElementById('certificate-scenarios'),
+      strategies: document.getElementById('certificate-strategies'),
+      code: document.getElementById('certificate-code'),
+      verifyForm: document.getElementById('verify-form'),
+      verifyFile: document.getElementById('verify-file'),
+      verifyCode: document.getElementById('verify-code'),
+      verifyName: document.getElementById('verify-name'),
+      verifyResult: document.getElementById('verify-result')
+    };
+
+    this.setupEventListeners();
+
+    await this.loadScenarioIndex();
+    this.render();
+  }
+
+  /**
+   * Set up print and verification controls
+   */
+  setupEventListeners() {
+    this.elements.printBtn.addEventListener('click', () => {
+      window.print();
+    });
+
+    this.elements.verifyForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.verify();
+    });
+  }
+
+  async loadScenarioIndex() {
+    try {
+      const response = await fetch('scenarios/scenario-index.json');
+      if (!response.ok) {
+        throw new Error(`Failed to load scenario index: ${response.status}`);
+      }
+      this.scenarioIndex = await response.json();
+    } catch (error) {
+      console.error('Error loading scenario index:', error);
+      this.scenarioIndex = { scenarios: [], categories: [], metadata: {} };
+    }
+
+    // Imported scenarios count towards the certificate as they do in the trainer
+    if (this.packs) {
+      await this.packs.mergeInto(this.scenarioIndex);
+    }
+  }
+
+  /**
+   * Show the certificate if the active learner has earned one, otherwise their progress towards it
+   */
+  render() {
+    const data = this.storage.loadData();
+    const learnerName = this.storage.getActiveProfile().name;
+    const eligibility = this.generator.getEligibility(data, this.scenarioIndex);
+
+    if (!eligibility.eligible) {
+      this.certificate = null;
+      this.elements.certificate.hidden = true;
+      this.elements.printBtn.disabled = true;
+      this.elements.status.textContent = this.describeRequirement(learnerName, eligibility);
+      return;
+    }
+
+    this.certificate = this.generator.buildCertificate({ learnerName, data, scenarioIndex: this.scenarioIndex });
+    this.elements.status.textContent = '';
+    this.elements.printBtn.disabled = false;
+    this.renderCertificate(this.certificate);
+    this.elements.certificate.hidden = false;
+
+    console.log('Certificate issued:', this.certificate.code);
+  }
+
+  /**
+   * Explain what is still needed for a certificate
+   * @param {string} learnerName - Active learner
+   * @param {Object} eligibility - Result of CertificateGenerator.getEligibility
+   * @returns {string} Progress message
+   */
+  describeRequirement(learnerName, eligibility) {
+    const goal = eligibility.minimumPassed ?
+      `complete all ${eligibility.total} scenarios, or pass ${eligibility.minimumPassed} of them,` :
+      `complete all ${eligibility.total} scenarios`;
+    const progress = eligibility.minimumPassed ?
+      `${eligibility.completed.length} completed and ${eligibility.passed.length} passed so far.` :
+      `${eligibility.completed.length} completed so far.`;
+
+    return `${learnerName} has not earned a certificate yet. To earn one, ${goal} ${progress}`;
+  }
+
+  /**
+   * Fill the certificate template
+   * @param {Object} certificate - Result of CertificateGenerator.buildCertificate
+   */
+  renderCertificate(certificate) {
+    this.elements.learner.textContent = certificate.learnerName;
+    const passedCount = certificate.scenarios.filter(s => s.passed).length;
+    this.elements.basis.textContent = certificate.basis === 'completed_all' ?
+      'has completed every scenario in the Conflict Resolution Trainer' :
+      `has passed ${passedCount} ${passedCount === 1 ? 'scenario' : 'scenarios'} in the Conflict Resolution Trainer`;
+    this.elements.date.textContent = new Date(certificate.issuedAt).toLocaleDateString([], { dateStyle: 'long' });
+    this.elements.date.dateTime = certificate.issuedAt;
+
+    this.elements.scenarios.innerHTML = '';
+    certificate.scenarios.forEach(scenario => {
+      const row = document.createElement('tr');
+      [
+        scenario.title,
+        new Date(scenario.completedAt).toLocaleDateString(),
+        scenario.bestScore === null ? '–' : String(scenario.bestScore),
+        scenario.passed ? 'Passed' : 'Completed'
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      this.elements.scenarios.appendChild(row);
+    });
+
+    this.elements.strategies.innerHTML = '';
+    certificate.strategyProfile.forEach(({ strategy, share }) => {
+      const item = document.createElement('li');
+      item.className = 'certificate-strategy';
+      item.setAttribute('data-strategy', strategy);
+
+      const label = document.createElement('span');
+      label.textContent = this.formatStrategyName(strategy);
+
+      const bar = document.createElement('span');
+      bar.className = 'certificate-strategy-bar';
+      bar.style.width = `${share}%`;
+
+      const value = document.createElement('span');
+      value.textContent = `${share}%`;
+
+      item.appendChild(label);
+      item.appendChild(bar);
+      item.appendChild(value);
+      this.elements.strategies.appendChild(item);
+    });
+
+    this.elements.code.textContent = certificate.code;
+  }
+
+  /**
+   * Check a certificate code against a backup file chosen by the facilitator
+   */
+  verify() {
+    const file = this.elements.verifyFile.files[0];
+    if (!file) {
+      this.showResult(false, 'Choose the learner\'s exported progress file.');
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      let backup;
+      try {
+        backup = JSON.parse(reader.result);
+      } catch (error) {
+        this.showResult(false, `${file.name} is not a progress backup.`);
+        return;
+      }
+
+      const errors = this.storage.validateBackup(backup);
+      if (errors.length > 0) {
+        this.showResult(false, `${file.name} is not a valid backup: ${errors.join(' ')}`);
+        return;
+      }
+
+      const learnerName = this.elements.verifyName.value.trim() || backup.learnerName;
+      const { attempts } = this.storage.mergeWithDefaults(backup);
+      const result = this.generator.verify(this.elements.verifyCode.value, learnerName, attempts);
+      this.showResult(result.valid, result.message);
+    };
+    reader.onerror = () => {
+      this.showResult(false, 'Could not read that file.');
+    };
+    reader.readAsText(file);
+  }
+
+  showResult(valid, message) {
+    this.elements.verifyResult.textContent = message;
+    this.elements.verifyResult.setAttribute('data-valid', valid ? 'true' : 'false');
+    this.storage.announceToScreenReader(message);
+  }
+
+  formatStrategyName(strategy) {
+    return strategy.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  }
+}
+
+// Create global instance
+window.certificatePage = new CertificatePage();
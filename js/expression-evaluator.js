@@ -0,0 +1,262 @@
+/**
+ * EXPRESSION EVALUATOR - Safe evaluation of scenario condition expressions
+ * Parses conditions such as "tension > 3 && trust_alex >= 2" without using eval()
+ */
+
+class ExpressionEvaluator {
+  constructor() {
+    // Parsed expressions are cached since the same conditions are checked repeatedly
+    this.cache = new Map();
+  }
+
+  /**
+   * Evaluate an expression against a set of values
+   * @param {string} expression - Condition expression
+   * @param {Object} context - Identifier values (e.g. scenario variables)
+   * @returns {*} Result of the expression
+   */
+  evaluate(expression, context = {}) {
+    return this.evaluateNode(this.parse(expression), context);
+  }
+
+  /**
+   * Evaluate an expression as a condition, failing closed on errors
+   * @param {string} expression - Condition expression
+   * @param {Object} context - Identifier values
+   * @returns {boolean} True if the condition holds
+   */
+  test(expression, context = {}) {
+    try {
+      return Boolean(this.evaluate(expression, context));
+    } catch (error) {
+      console.error(`Error evaluating condition "${expression}":`, error);
+      return false;
+    }
+  }
+
+  /**
+   * List the identifiers an expression refers to
+   * @param {string} expression - Condition expression
+   * @returns {Array} Unique identifier names
+   */
+  getIdentifiers(expression) {
+    const names = new Set();
+    const visit = (node) => {
+      switch (node.type) {
+        case 'identifier':
+          names.add(node.name);
+          break;
+        case 'unary':
+          visit(node.argument);
+          break;
+        case 'binary':
+          visit(node.left);
+          visit(node.right);
+          break;
+      }
+    };
+    visit(this.parse(expression));
+    return [...names];
+  }
+
+  /**
+   * Parse an expression into a syntax tree
+   * @param {string} expression - Condition expression
+   * @returns {Object} Root node of the syntax tree
+   */
+  parse(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw new Error('Expression must be a non-empty string');
+    }
+
+    if (this.cache.has(expression)) {
+      return this.cache.get(expression);
+    }
+
+    const tokens = this.tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const accept = (value) => {
+      if (peek() && peek().value === value && peek().type !== 'number') {
+        position++;
+        return true;
+      }
+      return false;
+    };
+
+    const parseOr = () => {
+      let left = parseAnd();
+      while (accept('||')) {
+        left = { type: 'binary', operator: '||', left, right: parseAnd() };
+      }
+      return left;
+    };
+
+    const parseAnd = () => {
+      let left = parseComparison();
+      while (accept('&&')) {
+        left = { type: 'binary', operator: '&&', left, right: parseComparison() };
+      }
+      return left;
+    };
+
+    const parseComparison = () => {
+      const left = parseAdditive();
+      const token = peek();
+      if (token && token.type === 'operator' && ['==', '!=', '>', '>=', '<', '<='].includes(token.value)) {
+        next();
+        return { type: 'binary', operator: token.value, left, right: parseAdditive() };
+      }
+      return left;
+    };
+
+    const parseAdditive = () => {
+      let left = parseUnary();
+      while (peek() && peek().type === 'operator' && (peek().value === '+' || peek().value === '-')) {
+        const operator = next().value;
+        left = { type: 'binary', operator, left, right: parseUnary() };
+      }
+      return left;
+    };
+
+    const parseUnary = () => {
+      if (accept('!')) {
+        return { type: 'unary', operator: '!', argument: parseUnary() };
+      }
+      if (accept('-')) {
+        return { type: 'unary', operator: '-', argument: parseUnary() };
+      }
+      return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+      const token = next();
+      if (!token) {
+        throw new Error(`Unexpected end of expression: ${expression}`);
+      }
+
+      if (token.type === 'number') {
+        return { type: 'literal', value: token.value };
+      }
+
+      if (token.type === 'identifier') {
+        if (token.value === 'true' || token.value === 'false') {
+          return { type: 'literal', value: token.value === 'true' };
+        }
+        return { type: 'identifier', name: token.value };
+      }
+
+      if (token.value === '(') {
+        const inner = parseOr();
+        if (!accept(')')) {
+          throw new Error(`Missing closing parenthesis in: ${expression}`);
+        }
+        return inner;
+      }
+
+      throw new Error(`Unexpected "${token.value}" in: ${expression}`);
+    };
+
+    const tree = parseOr();
+    if (position < tokens.length) {
+      throw new Error(`Unexpected "${tokens[position].value}" in: ${expression}`);
+    }
+
+    this.cache.set(expression, tree);
+    return tree;
+  }
+
+  /**
+   * Split an expression into tokens
+   * @param {string} expression - Condition expression
+   * @returns {Array} Array of token objects
+   */
+  tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][\w.]*)|(&&|\|\||==|!=|>=|<=|[<>!+\-()]))/y;
+    let position = 0;
+
+    while (position < expression.length) {
+      if (/^\s*$/.test(expression.slice(position))) {
+        break;
+      }
+
+      pattern.lastIndex = position;
+      const match = pattern.exec(expression);
+      if (!match) {
+        throw new Error(`Invalid character at position ${position} in: ${expression}`);
+      }
+
+      if (match[1] !== undefined) {
+        tokens.push({ type: 'number', value: parseFloat(match[1]) });
+      } else if (match[2] !== undefined) {
+        tokens.push({ type: 'identifier', value: match[2] });
+      } else {
+        tokens.push({ type: 'operator', value: match[3] });
+      }
+
+      position = pattern.lastIndex;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Evaluate a parsed syntax tree node
+   */
+  evaluateNode(node, context) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'identifier':
+        if (!Object.prototype.hasOwnProperty.call(context, node.name)) {
+          throw new Error(`Unknown identifier: ${node.name}`);
+        }
+        return context[node.name];
+
+      case 'unary': {
+        const value = this.evaluateNode(node.argument, context);
+        return node.operator === '!' ? !value : -value;
+      }
+
+      case 'binary': {
+        // Short-circuit logical operators
+        if (node.operator === '&&') {
+          return this.evaluateNode(node.left, context) && this.evaluateNode(node.right, context);
+        }
+        if (node.operator === '||') {
+          return this.evaluateNode(node.left, context) || this.evaluateNode(node.right, context);
+        }
+
+        const left = this.evaluateNode(node.left, context);
+        const right = this.evaluateNode(node.right, context);
+
+        switch (node.operator) {
+          case '==': return left === right;
+          case '!=': return left !== right;
+          case '>': return left > right;
+          case '>=': return left >= right;
+          case '<': return left < right;
+          case '<=': return left <= right;
+          case '+': return left + right;
+          case '-': return left - right;
+        }
+      }
+    }
+
+    throw new Error(`Unsupported expression node: ${node.type}`);
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.expressionEvaluator = new ExpressionEvaluator();
+}
+
+// Allow use from Node-based authoring tools
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpressionEvaluator;
+}
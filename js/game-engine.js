@@ -8,12 +8,46 @@ class GameEngine {
     this.currentScenario = null;
     this.currentNode = 'start';
     this.choiceHistory = [];
+    this.variables = {};
     this.scenarioIndex = null;
     this.isLoading = false;
     
+    // Entry in the storage attempt log; created on the first choice
+    this.attemptId = null;
+    this.attemptStartedAt = null;
+    this.undoCount = 0;
+    
+    // Scenarios unlocked by finishing the current scenario, for the debrief
+    this.newlyUnlocked = [];
+    
+    // Seconds allowed on timed nodes that don't set their own timeLimit
+    this.defaultTimeLimit = 20;
+    
     // Initialize storage manager
     this.storage = window.storageManager;
     
+    // Condition evaluator for variable-based branching
+    this.evaluator = window.expressionEvaluator;
+    
+    // Turns a finished path into a score and per-skill competency
+    this.scorer = window.scoringEngine;
+    
+    // Scores typed replies on free-text nodes
+    this.rubric = window.rubricEvaluator;
+    
+    // Unlock conditions from the scenario index
+    this.prerequisites = window.prerequisiteChecker;
+    
+    // Custom scenarios imported into this browser (not loaded in the editor)
+    this.packs = window.scenarioPacks;
+    
+    // Reports starts, nodes, choices and completions to an LMS (not loaded in the editor)
+    this.lms = window.lmsAdapter;
+    
+    // Scenario validator and the report from the last validation
+    this.validator = window.scenarioValidator;
+    this.lastValidationReport = null;
+    
     // Bind methods to preserve context
     this.makeChoice = this.makeChoice.bind(this);
     this.goBack = this.goBack.bind(this);
@@ -42,7 +76,7 @@ class GameEngine {
   }
 
   /**
-   * Load the scenario index file
+   * Load the scenario index file and add any imported scenario packs
    */
   async loadScenarioIndex() {
     try {
@@ -75,6 +109,11 @@ class GameEngine {
         ]
       };
     }
+    
+    // Imported packs are available even when the server index is not
+    if (this.packs) {
+      await this.packs.mergeInto(this.scenarioIndex);
+    }
   }
 
   /**
@@ -82,20 +121,68 @@ class GameEngine {
    * @returns {Array} Array of scenario objects
    */
   getAvailableScenarios() {
+    return this.getScenarioList().filter(scenario => !scenario.locked);
+  }
+
+  /**
+   * Get every scenario in the index with its lock state
+   * @returns {Array} Index entries with locked and, for locked ones, unlockRequirement
+   */
+  getScenarioList() {
     if (!this.scenarioIndex) {
       return [];
     }
     
-    return this.scenarioIndex.scenarios.filter(scenario => {
-      return scenario.unlocked || this.storage.isScenarioCompleted(scenario.id);
+    return this.scenarioIndex.scenarios.map(scenario => {
+      const locked = !this.isScenarioUnlocked(scenario.id);
+      return {
+        ...scenario,
+        locked,
+        unlockRequirement: locked ? this.prerequisites.describeRequirement(scenario, this.scenarioIndex) : null
+      };
     });
   }
 
+  /**
+   * Look up a scenario title from the loaded index
+   * @param {string} scenarioId - Scenario ID
+   * @returns {string} Title, or the ID if the scenario is unknown
+   */
+  getScenarioTitle(scenarioId) {
+    const scenario = this.scenarioIndex && this.scenarioIndex.scenarios.find(s => s.id === scenarioId);
+    return scenario ? scenario.title : scenarioId;
+  }
+
+  /**
+   * Check a scenario's prerequisites against the learner's progress
+   * @param {string} scenarioId - Scenario ID
+   * @returns {boolean} True if the scenario can be started
+   */
+  isScenarioUnlocked(scenarioId) {
+    const scenario = this.scenarioIndex && this.scenarioIndex.scenarios.find(s => s.id === scenarioId);
+    if (!scenario) {
+      return false;
+    }
+    
+    return this.prerequisites.isUnlocked(scenario, this.storage.loadData(), this.scenarioIndex);
+  }
+
+  /**
+   * Get the scenarios that finishing the current scenario unlocked
+   * @returns {Array} Index entries
+   */
+  getNewlyUnlockedScenarios() {
+    return this.newlyUnlocked
+      .map(id => this.scenarioIndex.scenarios.find(s => s.id === id))
+      .filter(Boolean);
+  }
+
   /**
    * Load a specific scenario
    * @param {string} scenarioId - ID of scenario to load
+   * @param {Object} options - { resume: true } when saved progress will be restored, so the start isn't reported
    */
-  async loadScenario(scenarioId) {
+  async loadScenario(scenarioId, options = {}) {
     this.isLoading = true;
     
     try {
@@ -105,13 +192,23 @@ class GameEngine {
         throw new Error(`Scenario ${scenarioId} not found in index`);
       }
       
-      // Load scenario data
-      const response = await fetch(scenarioInfo.file);
-      if (!response.ok) {
-        throw new Error(`Failed to load scenario: ${response.status}`);
+      // Saved progress can always be resumed, even if the scenario has since been locked
+      if (!options.resume && !this.isScenarioUnlocked(scenarioId)) {
+        throw new Error(`Scenario ${scenarioId} is locked`);
       }
       
-      const scenarioData = await response.json();
+      // Load scenario data from the server, or from IndexedDB for imported packs
+      let scenarioData;
+      if (scenarioInfo.packId) {
+        scenarioData = await this.packs.getScenario(scenarioInfo.packId, scenarioInfo.file);
+      } else {
+        const response = await fetch(scenarioInfo.file);
+        if (!response.ok) {
+          throw new Error(`Failed to load scenario: ${response.status}`);
+        }
+        
+        scenarioData = await response.json();
+      }
       
       // Validate scenario structure
       if (!this.validateScenario(scenarioData)) {
@@ -120,8 +217,15 @@ class GameEngine {
       
       // Set current scenario
       this.currentScenario = scenarioData;
-      this.currentNode = 'start';
       this.choiceHistory = [];
+      this.variables = this.getInitialVariables();
+      this.currentNode = this.passThroughBranches('start').nodeId;
+      this.resetAttempt();
+      
+      if (!options.resume) {
+        this.lms?.scenarioStarted(scenarioData);
+        this.reportNode();
+      }
       
       console.log('Loaded scenario:', scenarioData.metadata.title);
       
@@ -142,31 +246,17 @@ class GameEngine {
    */
   validateScenario(scenario) {
     try {
-      // Check required properties
-      if (!scenario.id || !scenario.metadata || !scenario.nodes) {
-        console.error('Scenario missing required properties');
-        return false;
-      }
+      const report = this.validator.validate(scenario);
+      this.lastValidationReport = report;
       
-      // Check for start node
-      if (!scenario.nodes.start) {
-        console.error('Scenario missing start node');
-        return false;
-      }
+      report.errors.forEach(problem => {
+        console.error(`Scenario error at ${problem.path}: ${problem.message}`);
+      });
+      report.warnings.forEach(problem => {
+        console.warn(`Scenario warning at ${problem.path}: ${problem.message}`);
+      });
       
-      // Check that all choice nextNodes exist
-      for (const [nodeId, node] of Object.entries(scenario.nodes)) {
-        if (node.choices) {
-          for (const choice of node.choices) {
-            if (choice.nextNode && !scenario.nodes[choice.nextNode]) {
-              console.error(`Choice ${choice.id} references missing node: ${choice.nextNode}`);
-              return false;
-            }
-          }
-        }
-      }
-      
-      return true;
+      return report.valid;
     } catch (error) {
       console.error('Error validating scenario:', error);
       return false;
@@ -176,9 +266,11 @@ class GameEngine {
   /**
    * Make a choice and navigate to next node
    * @param {string} choiceId - ID of the choice made
+   * @param {Object} options - responseMs (time the learner took), timedOut (the timer chose for them)
+   *   and response (the typed reply and its rubric results, from evaluateResponse)
    * @returns {Object} Next node data
    */
-  makeChoice(choiceId) {
+  makeChoice(choiceId, options = {}) {
     if (!this.currentScenario || !this.currentNode) {
       throw new Error('No scenario loaded or current node');
     }
@@ -195,35 +287,63 @@ class GameEngine {
     }
     
     // Record choice in history
-    this.choiceHistory.push({
+    const historyEntry = {
       nodeId: this.currentNode,
       choiceId: choiceId,
       choiceText: choice.text,
       strategy: choice.strategy,
       timestamp: new Date().toISOString()
-    });
+    };
+    if (typeof options.responseMs === 'number') {
+      historyEntry.responseMs = options.responseMs;
+    }
+    if (options.timedOut) {
+      historyEntry.timedOut = true;
+    }
+    if (options.response) {
+      historyEntry.response = options.response;
+    }
+    this.choiceHistory.push(historyEntry);
+    
+    // Apply variable changes before routing so conditions see the new values
+    this.applyEffects(choice.effects);
     
-    // Record strategy usage for statistics
-    if (choice.strategy) {
-      this.storage.recordStrategyUsage(choice.strategy);
+    // Move to next node, passing through any routing nodes
+    const { nodeId, routedThrough } = this.passThroughBranches(this.resolveNextNode(choice));
+    this.currentNode = nodeId;
+    historyEntry.resultNode = nodeId;
+    if (routedThrough.length > 0) {
+      historyEntry.routedThrough = routedThrough;
     }
     
-    // Move to next node
-    this.currentNode = choice.nextNode;
+    // Keep the outcome rating with the choice so analytics don't need the scenario file
+    const outcome = this.getCurrentNode();
+    if (outcome && outcome.feedback && outcome.feedback.effectiveness) {
+      historyEntry.effectiveness = outcome.feedback.effectiveness;
+    }
     
-    // Save progress
-    this.storage.saveProgress(
-      this.currentScenario.id,
-      this.currentNode,
-      this.choiceHistory
-    );
+    // Log the attempt and save progress
+    this.recordAttempt();
+    this.saveProgress();
+    
+    this.lms?.choiceMade(this.currentScenario, historyEntry, currentNodeData);
+    this.reportNode();
     
     // Get next node data
     const nextNode = this.getCurrentNode();
     
     // Check if scenario is complete
     if (this.isScenarioComplete()) {
+      const ending = this.getEnding();
+      const endingSummary = ending ? { type: ending.type, title: ending.title } : null;
+      const score = this.getScore();
+      const lockedBefore = this.getScenarioList().filter(scenario => scenario.locked).map(scenario => scenario.id);
+      this.storage.completeAttempt(this.attemptId, endingSummary, score);
       this.storage.markScenarioComplete(this.currentScenario.id);
+      
+      // Re-check unlock conditions now that this result is recorded
+      this.newlyUnlocked = lockedBefore.filter(id => this.isScenarioUnlocked(id));
+      this.lms?.scenarioCompleted(this.currentScenario, endingSummary, score);
     }
     
     console.log(`Made choice: ${choice.text} -> ${this.currentNode}`);
@@ -245,18 +365,38 @@ class GameEngine {
     const lastChoice = this.choiceHistory.pop();
     this.currentNode = lastChoice.nodeId;
     
+    // Undo the variable changes made by the removed choice
+    this.variables = this.replayVariables(this.choiceHistory);
+    
     // Save updated progress
-    this.storage.saveProgress(
-      this.currentScenario.id,
-      this.currentNode,
-      this.choiceHistory
-    );
+    this.undoCount++;
+    this.recordAttempt();
+    this.saveProgress();
+    this.reportNode();
     
     console.log(`Went back to: ${this.currentNode}`);
     
     return this.getCurrentNode();
   }
 
+  /**
+   * Save current progress, unless the learner has turned auto-save off
+   * @returns {boolean} True if progress was saved
+   */
+  saveProgress() {
+    if (!this.currentScenario || !this.storage.getUserPreferences().autoSave) {
+      return false;
+    }
+    
+    return this.storage.saveProgress(
+      this.currentScenario.id,
+      this.currentNode,
+      this.choiceHistory,
+      this.variables,
+      this.attemptId
+    );
+  }
+
   /**
    * Get current node data
    * @returns {Object} Current node data
@@ -269,6 +409,19 @@ class GameEngine {
     return this.currentScenario.nodes[this.currentNode];
   }
 
+  /**
+   * Get node data by ID
+   * @param {string} nodeId - ID of the node to look up
+   * @returns {Object} Node data or null if not found
+   */
+  getNode(nodeId) {
+    if (!this.currentScenario || !nodeId) {
+      return null;
+    }
+    
+    return this.currentScenario.nodes[nodeId] || null;
+  }
+
   /**
    * Get available choices for current node
    * @returns {Array} Array of choice objects
@@ -281,28 +434,261 @@ class GameEngine {
     
     return currentNode.choices.filter(choice => {
       // Check if choice has requirements
-      if (choice.requirements) {
-        // Check previous choices requirement
-        if (choice.requirements.previousChoices) {
-          const previousChoiceIds = this.choiceHistory.map(h => h.choiceId);
-          const hasRequired = choice.requirements.previousChoices.every(
-            reqChoice => previousChoiceIds.includes(reqChoice)
-          );
-          if (!hasRequired) return false;
-        }
-        
-        // Check forbidden choices requirement
-        if (choice.requirements.forbiddenChoices) {
-          const previousChoiceIds = this.choiceHistory.map(h => h.choiceId);
-          const hasForbidden = choice.requirements.forbiddenChoices.some(
-            forbiddenChoice => previousChoiceIds.includes(forbiddenChoice)
-          );
-          if (hasForbidden) return false;
-        }
+      return !choice.requirements || this.meetsRequirements(choice.requirements);
+    });
+  }
+
+  /**
+   * Countdown for the current node's choices
+   * Nodes with a timeoutChoice are timed when the scenario sets metadata.timedChoices,
+   * unless the learner turned timers off; learners can also turn them on everywhere and extend them.
+   * @returns {Object|null} { seconds, timeoutChoice }, or null when the node is untimed
+   */
+  getChoiceTimer() {
+    const node = this.getCurrentNode();
+    if (!node || !node.timeoutChoice) {
+      return null;
+    }
+    
+    const preferences = this.storage.getUserPreferences();
+    const mode = preferences.choiceTimers || 'scenario';
+    const scenarioTimed = Boolean(this.currentScenario.metadata && this.currentScenario.metadata.timedChoices);
+    if (mode === 'off' || (mode === 'scenario' && !scenarioTimed)) {
+      return null;
+    }
+    
+    // A timeout choice the learner can't currently pick can't be forced on them either
+    if (!this.getAvailableChoices().some(choice => choice.id === node.timeoutChoice)) {
+      return null;
+    }
+    
+    const scale = Number(preferences.timerScale) || 1;
+    return {
+      seconds: Math.round((node.timeLimit || this.defaultTimeLimit) * scale),
+      timeoutChoice: node.timeoutChoice
+    };
+  }
+
+  /**
+   * Score a typed reply on the current free-text node and pick the choice its score leads to
+   * @param {string} text - What the learner typed
+   * @returns {Object} { choiceId, response } to pass on to makeChoice
+   */
+  evaluateResponse(text) {
+    const node = this.getCurrentNode();
+    if (!node || !node.response) {
+      throw new Error('Current node does not take a typed response');
+    }
+    
+    const response = this.rubric.evaluate(node.response, text);
+    const available = this.getAvailableChoices().map(choice => choice.id);
+    const choiceId = this.rubric.selectChoice(node.response, response.score, available);
+    if (!choiceId) {
+      throw new Error(`No response band leads to an available choice at ${this.currentNode}`);
+    }
+    
+    return { choiceId, response };
+  }
+
+  /**
+   * Check a set of requirements against the choices made so far
+   * Used for choice requirements and for conditional routes
+   * @param {Object} requirements - previousChoices, forbiddenChoices and/or condition
+   * @returns {boolean} True if all requirements are met
+   */
+  meetsRequirements(requirements) {
+    const previousChoiceIds = this.choiceHistory.map(h => h.choiceId);
+    
+    // Check previous choices requirement
+    if (requirements.previousChoices) {
+      const hasRequired = requirements.previousChoices.every(
+        reqChoice => previousChoiceIds.includes(reqChoice)
+      );
+      if (!hasRequired) return false;
+    }
+    
+    // Check forbidden choices requirement
+    if (requirements.forbiddenChoices) {
+      const hasForbidden = requirements.forbiddenChoices.some(
+        forbiddenChoice => previousChoiceIds.includes(forbiddenChoice)
+      );
+      if (hasForbidden) return false;
+    }
+    
+    // Check variable condition requirement
+    if (requirements.condition) {
+      if (!this.evaluateCondition(requirements.condition)) return false;
+    }
+    
+    return true;
+  }
+
+  /**
+   * Get normalized variable definitions for the current scenario
+   * Definitions may be a bare initial value or an object with initial/min/max/label/meter
+   * @returns {Object} Map of variable name to definition object
+   */
+  getVariableDefinitions() {
+    const definitions = {};
+    const declared = this.currentScenario ? this.currentScenario.variables || {} : {};
+    
+    for (const [name, definition] of Object.entries(declared)) {
+      definitions[name] = (definition !== null && typeof definition === 'object') ?
+        { initial: 0, label: name, ...definition } :
+        { initial: definition, label: name };
+    }
+    
+    return definitions;
+  }
+
+  /**
+   * Get the starting values of all scenario variables
+   * @returns {Object} Map of variable name to initial value
+   */
+  getInitialVariables() {
+    const values = {};
+    for (const [name, definition] of Object.entries(this.getVariableDefinitions())) {
+      values[name] = definition.initial;
+    }
+    return values;
+  }
+
+  /**
+   * Apply a choice's effects to the current variables
+   * Numbers are added to numeric variables (clamped to min/max); other values are assigned
+   * @param {Object} effects - Map of variable name to change
+   */
+  applyEffects(effects) {
+    if (!effects) return;
+    this.variables = this.computeEffects(this.variables, effects);
+  }
+
+  /**
+   * Compute variable values after applying effects
+   * @param {Object} values - Current variable values
+   * @param {Object} effects - Map of variable name to change
+   * @returns {Object} New variable values
+   */
+  computeEffects(values, effects) {
+    const definitions = this.getVariableDefinitions();
+    const updated = { ...values };
+    
+    for (const [name, change] of Object.entries(effects || {})) {
+      const definition = definitions[name];
+      if (!definition) {
+        console.warn(`Ignoring effect on unknown variable: ${name}`);
+        continue;
       }
       
-      return true;
+      if (typeof change === 'number' && typeof updated[name] === 'number') {
+        let value = updated[name] + change;
+        if (typeof definition.min === 'number') value = Math.max(definition.min, value);
+        if (typeof definition.max === 'number') value = Math.min(definition.max, value);
+        updated[name] = value;
+      } else {
+        updated[name] = change;
+      }
+    }
+    
+    return updated;
+  }
+
+  /**
+   * Rebuild variable values by replaying the effects of a choice history
+   * @param {Array} history - Choice history to replay
+   * @returns {Object} Variable values after the history
+   */
+  replayVariables(history) {
+    let values = this.getInitialVariables();
+    
+    for (const entry of history) {
+      const node = this.getNode(entry.nodeId);
+      const choice = node && node.choices ? node.choices.find(c => c.id === entry.choiceId) : null;
+      if (choice && choice.effects) {
+        values = this.computeEffects(values, choice.effects);
+      }
+    }
+    
+    return values;
+  }
+
+  /**
+   * Evaluate a condition expression against the current variables and history
+   * @param {string} condition - Expression such as "tension > 3"
+   * @returns {boolean} True if the condition holds
+   */
+  evaluateCondition(condition) {
+    return this.evaluator.test(condition, this.getConditionContext());
+  }
+
+  /**
+   * Build the values a condition can refer to
+   * Besides scenario variables, "strategies.<name>" counts how often a strategy was chosen
+   * and "choices.<id>" is true once that choice has been made
+   * @returns {Object} Map of identifier to value
+   */
+  getConditionContext() {
+    const context = { ...this.variables };
+    
+    this.storage.strategies.forEach(strategy => {
+      context[`strategies.${strategy}`] = 0;
     });
+    
+    Object.values(this.currentScenario ? this.currentScenario.nodes : {}).forEach(node => {
+      (node.choices || []).forEach(choice => {
+        context[`choices.${choice.id}`] = false;
+      });
+    });
+    
+    this.choiceHistory.forEach(entry => {
+      if (entry.strategy) {
+        context[`strategies.${entry.strategy}`] = (context[`strategies.${entry.strategy}`] || 0) + 1;
+      }
+      context[`choices.${entry.choiceId}`] = true;
+    });
+    
+    return context;
+  }
+
+  /**
+   * Work out where a choice or routing node leads, taking conditional routes into account
+   * @param {Object} source - Choice or branch node with routes and a default nextNode
+   * @returns {string} ID of the next node
+   */
+  resolveNextNode(source) {
+    const route = (source.routes || []).find(r => this.meetsRequirements(r));
+    return route ? route.nextNode : source.nextNode;
+  }
+
+  /**
+   * Follow routing nodes until a node the player can see is reached
+   * @param {string} nodeId - Node to start from
+   * @returns {Object} Final node ID and the routing nodes passed through
+   */
+  passThroughBranches(nodeId) {
+    const routedThrough = [];
+    let currentId = nodeId;
+    let node = this.getNode(currentId);
+    
+    while (node && node.type === 'branch') {
+      if (routedThrough.includes(currentId)) {
+        throw new Error(`Routing loop detected at node: ${currentId}`);
+      }
+      
+      routedThrough.push(currentId);
+      currentId = this.resolveNextNode(node);
+      node = this.getNode(currentId);
+    }
+    
+    return { nodeId: currentId, routedThrough };
+  }
+
+  /**
+   * Get current variable values
+   * @returns {Object} Map of variable name to value
+   */
+  getVariables() {
+    return { ...this.variables };
   }
 
   /**
@@ -331,8 +717,9 @@ class GameEngine {
       return null;
     }
     
-    // Count total nodes (rough estimate of progress)
-    const totalNodes = Object.keys(this.currentScenario.nodes).length;
+    // Count total nodes (rough estimate of progress), ignoring routing nodes the player never sees
+    const totalNodes = Object.values(this.currentScenario.nodes)
+      .filter(node => node.type !== 'branch').length;
     const currentProgress = this.choiceHistory.length + 1; // +1 for current node
     
     return {
@@ -352,28 +739,98 @@ class GameEngine {
       return;
     }
     
-    this.currentNode = 'start';
+    // An unfinished attempt ends here; the next choice starts a new one
+    if (this.attemptId) {
+      this.storage.abandonAttempt(this.attemptId);
+    }
+    
     this.choiceHistory = [];
+    this.variables = this.getInitialVariables();
+    this.currentNode = this.passThroughBranches('start').nodeId;
+    this.resetAttempt();
     
     // Save progress
-    this.storage.saveProgress(
-      this.currentScenario.id,
-      this.currentNode,
-      this.choiceHistory
-    );
+    this.saveProgress();
+    
+    this.lms?.scenarioStarted(this.currentScenario);
+    this.reportNode();
     
     console.log('Restarted scenario');
   }
 
+  /**
+   * Close the current scenario without touching saved progress
+   */
+  unloadScenario() {
+    this.currentScenario = null;
+    this.currentNode = 'start';
+    this.choiceHistory = [];
+    this.variables = {};
+    this.attemptId = null;
+    this.attemptStartedAt = null;
+    this.undoCount = 0;
+  }
+
+  /**
+   * Begin a fresh attempt; it is added to the log when the first choice is made
+   */
+  resetAttempt() {
+    this.attemptId = null;
+    this.attemptStartedAt = new Date().toISOString();
+    this.undoCount = 0;
+    this.newlyUnlocked = [];
+  }
+
+  /**
+   * Write the current path and undo count to the attempt log, starting the attempt if needed.
+   * Going back after an ending starts a new attempt, since the finished one is closed.
+   */
+  recordAttempt() {
+    const changes = {
+      path: this.choiceHistory,
+      undoCount: this.undoCount
+    };
+    
+    if (this.attemptId) {
+      if (this.storage.updateAttempt(this.attemptId, changes)) {
+        return;
+      }
+      this.attemptStartedAt = new Date().toISOString();
+    }
+    
+    this.attemptId = this.storage.startAttempt(this.currentScenario.id, this.attemptStartedAt);
+    this.storage.updateAttempt(this.attemptId, changes);
+  }
+
+  /**
+   * Tell the LMS which node the learner is now looking at
+   */
+  reportNode() {
+    this.lms?.nodeExperienced(this.currentScenario, this.currentNode, this.getCurrentNode());
+  }
+
   /**
    * Resume from saved progress
    * @param {Object} savedProgress - Progress data from storage
    */
   async resumeFromProgress(savedProgress) {
     try {
-      await this.loadScenario(savedProgress.currentScenario);
+      await this.loadScenario(savedProgress.currentScenario, { resume: true });
       this.currentNode = savedProgress.currentNode;
       this.choiceHistory = savedProgress.choiceHistory || [];
+      this.variables = savedProgress.variables ?
+        { ...this.getInitialVariables(), ...savedProgress.variables } :
+        this.replayVariables(this.choiceHistory);
+      
+      // Carry on logging into the saved attempt
+      const attempt = savedProgress.attemptId ? this.storage.getAttempt(savedProgress.attemptId) : null;
+      if (attempt && attempt.status === 'in_progress') {
+        this.attemptId = attempt.id;
+        this.attemptStartedAt = attempt.startedAt;
+        this.undoCount = attempt.undoCount;
+      } else if (this.choiceHistory.length > 0 && this.choiceHistory[0].timestamp) {
+        this.attemptStartedAt = this.choiceHistory[0].timestamp;
+      }
       
       console.log('Resumed from saved progress');
       return this.getCurrentNode();
@@ -383,6 +840,15 @@ class GameEngine {
     }
   }
 
+  /**
+   * Tell the LMS the learner carried on with the loaded save.
+   * Kept apart from resumeFromProgress, which also loads saves the learner may then restart or leave.
+   */
+  reportResumed() {
+    this.lms?.scenarioResumed(this.currentScenario);
+    this.reportNode();
+  }
+
   /**
    * Get scenario metadata
    * @returns {Object} Scenario metadata
@@ -391,6 +857,62 @@ class GameEngine {
     return this.currentScenario ? this.currentScenario.metadata : null;
   }
 
+  /**
+   * Get the ending reached at the current resolution node
+   * @returns {Object} Ending object or null if scenario is not complete
+   */
+  getEnding() {
+    if (!this.isScenarioComplete()) {
+      return null;
+    }
+    
+    const endings = this.getCurrentNode().endings;
+    return endings && endings.length > 0 ? endings[0] : null;
+  }
+
+  /**
+   * Score the path taken so far, including the ending if one was reached
+   * @returns {Object} Result from ScoringEngine.score, or null if no scenario is loaded
+   */
+  getScore() {
+    if (!this.currentScenario) {
+      return null;
+    }
+    
+    return this.scorer.score(this.currentScenario, this.choiceHistory, this.getEnding());
+  }
+
+  /**
+   * Get the scenario-level learning resources for the debrief
+   * @returns {Object} Learning resources or null if none defined
+   */
+  getLearningResources() {
+    return this.currentScenario ? this.currentScenario.learningResources || null : null;
+  }
+
+  /**
+   * Get the path taken so far with the outcome of each step
+   * @returns {Array} Array of steps with choice, strategy, resulting feedback, response time and any typed reply
+   */
+  getPathSummary() {
+    return this.choiceHistory.map((entry, index) => {
+      const node = this.getNode(entry.nodeId);
+      const choice = node && node.choices ? node.choices.find(c => c.id === entry.choiceId) : null;
+      const outcomeNode = this.getNode(entry.resultNode || (choice && choice.nextNode));
+      
+      return {
+        step: index + 1,
+        sceneTitle: node ? node.content.title : entry.nodeId,
+        choiceText: entry.choiceText,
+        strategy: entry.strategy,
+        effectiveness: outcomeNode && outcomeNode.feedback ? outcomeNode.feedback.effectiveness : null,
+        responseMs: typeof entry.responseMs === 'number' ? entry.responseMs : null,
+        timedOut: Boolean(entry.timedOut),
+        response: entry.response || null
+      };
+    });
+  }
+
   /**
    * Get choice history for review
    * @returns {Array} Array of choice history objects
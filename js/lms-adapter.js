@@ -0,0 +1,612 @@
+/**
+ * LMS ADAPTER - Reports learning activity to a learning management system
+ * Builds xAPI statements for scenario starts, nodes, choices and completions, then delivers them:
+ * - to a SCORM 1.2 or 2004 API found in a parent or opener window, mapped onto the cmi data model
+ * - to a learning record store given by xAPI launch parameters (?endpoint=&auth=&actor=), through a
+ *   localStorage outbox in StorageManager so statements survive going offline
+ * - otherwise nowhere: the latest few are kept in memory for debugging
+ */
+
+class LmsAdapter {
+  constructor() {
+    this.storage = window.storageManager;
+
+    this.xapiVersion = '1.0.3';
+    this.verbs = {
+      attempted: 'http://adlnet.gov/expapi/verbs/attempted',
+      resumed: 'http://adlnet.gov/expapi/verbs/resumed',
+      experienced: 'http://adlnet.gov/expapi/verbs/experienced',
+      answered: 'http://adlnet.gov/expapi/verbs/answered',
+      completed: 'http://adlnet.gov/expapi/verbs/completed'
+    };
+    this.activityTypes = {
+      course: 'http://adlnet.gov/expapi/activities/course',
+      scenario: 'http://adlnet.gov/expapi/activities/simulation',
+      node: 'http://adlnet.gov/expapi/activities/interaction'
+    };
+
+    // Function and element names for each SCORM version
+    this.scormModels = {
+      '1.2': {
+        initialize: 'LMSInitialize',
+        getValue: 'LMSGetValue',
+        setValue: 'LMSSetValue',
+        commit: 'LMSCommit',
+        terminate: 'LMSFinish',
+        learnerId: 'cmi.core.student_id',
+        learnerName: 'cmi.core.student_name',
+        location: 'cmi.core.lesson_location',
+        status: 'cmi.core.lesson_status',
+        scoreRaw: 'cmi.core.score.raw',
+        scoreMin: 'cmi.core.score.min',
+        scoreMax: 'cmi.core.score.max',
+        sessionTime: 'cmi.core.session_time',
+        exit: 'cmi.core.exit',
+        interactionResponse: 'student_response',
+        interactionTime: 'time'
+      },
+      '2004': {
+        initialize: 'Initialize',
+        getValue: 'GetValue',
+        setValue: 'SetValue',
+        commit: 'Commit',
+        terminate: 'Terminate',
+        learnerId: 'cmi.learner_id',
+        learnerName: 'cmi.learner_name',
+        location: 'cmi.location',
+        status: 'cmi.completion_status',
+        successStatus: 'cmi.success_status',
+        scoreRaw: 'cmi.score.raw',
+        scoreMin: 'cmi.score.min',
+        scoreMax: 'cmi.score.max',
+        scoreScaled: 'cmi.score.scaled',
+        sessionTime: 'cmi.session_time',
+        exit: 'cmi.exit',
+        interactionResponse: 'learner_response',
+        interactionTime: 'timestamp'
+      }
+    };
+
+    this.launch = this.readLaunchParameters(window.location.search);
+    this.scorm = this.findScormApi(window);
+    this.mode = this.scorm ? `scorm${this.scorm.version}` : (this.launch.endpoint ? 'xapi' : 'local');
+    this.activityRoot = this.getActivityRoot();
+
+    this.sessionStartedAt = Date.now();
+    this.scormActive = false;
+    this.scormPassed = false;
+    this.bestScore = null;
+    this.flushing = null;
+
+    // Without an LMS, statements would only fill the storage learners' progress needs, so just the latest are kept
+    this.recentStatements = [];
+    this.recentLimit = 50;
+
+    this.initialize();
+  }
+
+  /**
+   * Open the SCORM session or deliver statements left from an earlier visit
+   */
+  initialize() {
+    if (this.scorm) {
+      this.scormActive = this.callScorm('initialize', '') === 'true';
+      if (!this.scormActive) {
+        console.warn('SCORM API found but it would not initialize; statements will not be reported');
+        this.scorm = null;
+        this.mode = 'local';
+      } else {
+        const status = this.callScorm('getValue', this.scormModel.successStatus || this.scormModel.status);
+        this.scormPassed = status === 'passed';
+        const score = parseFloat(this.callScorm('getValue', this.scormModel.scoreRaw));
+        this.bestScore = Number.isFinite(score) ? score : null;
+      }
+    }
+
+    if (this.mode === 'xapi') {
+      window.addEventListener('online', () => this.flush());
+      this.flush();
+    }
+
+    window.addEventListener('pagehide', () => this.terminate());
+
+    console.log(`📡 LMS reporting: ${this.mode}`);
+  }
+
+  get scormModel() {
+    return this.scorm ? this.scormModels[this.scorm.version] : null;
+  }
+
+  /**
+   * Read xAPI launch parameters from the query string
+   * @param {string} search - location.search
+   * @returns {Object} { endpoint, auth, actor, registration, activityId }
+   */
+  readLaunchParameters(search) {
+    const params = new URLSearchParams(search);
+    let endpoint = params.get('endpoint');
+    if (endpoint && !endpoint.endsWith('/')) {
+      endpoint += '/';
+    }
+
+    let actor = null;
+    if (params.get('actor')) {
+      try {
+        actor = this.normalizeActor(JSON.parse(params.get('actor')));
+      } catch (error) {
+        console.warn('Ignoring unreadable xAPI actor launch parameter:', error);
+      }
+    }
+
+    return {
+      endpoint,
+      auth: params.get('auth'),
+      actor,
+      registration: params.get('registration'),
+      activityId: params.get('activity_id')
+    };
+  }
+
+  /**
+   * Accept launch actors in TinCan style, where each property is a one-item array
+   * @param {Object} actor - Actor from the launch parameters
+   * @returns {Object} xAPI Agent
+   */
+  normalizeActor(actor) {
+    const agent = { objectType: 'Agent' };
+    ['name', 'mbox', 'mbox_sha1sum', 'openid', 'account'].forEach(key => {
+      if (actor[key] !== undefined) {
+        agent[key] = Array.isArray(actor[key]) ? actor[key][0] : actor[key];
+      }
+    });
+    if (agent.account && agent.account.accountServiceHomePage) {
+      agent.account = { homePage: agent.account.accountServiceHomePage, name: agent.account.accountName };
+    }
+    return agent;
+  }
+
+  /**
+   * Look for a SCORM API in this window's parents, then in the opener's, as the SCORM run-time describes
+   * @param {Window} win - Window to start from
+   * @returns {Object|null} { version: '2004' | '1.2', api }
+   */
+  findScormApi(win) {
+    const search = start => {
+      let current = start;
+      for (let depth = 0; current && depth < 8; depth++) {
+        try {
+          if (current.API_1484_11) return { version: '2004', api: current.API_1484_11 };
+          if (current.API) return { version: '1.2', api: current.API };
+          if (current.parent === current) break;
+          current = current.parent;
+        } catch (error) {
+          // Frames from another origin can't be searched
+          break;
+        }
+      }
+      return null;
+    };
+
+    return search(win) || (win.opener ? search(win.opener) : null);
+  }
+
+  /**
+   * Base IRI for activity IDs: the launch activity_id, or the folder the app is served from
+   * @returns {string} IRI ending with a slash
+   */
+  getActivityRoot() {
+    const root = this.launch.activityId || new URL('.', window.location.href).href;
+    return root.endsWith('/') ? root : `${root}/`;
+  }
+
+  /**
+   * Tell the LMS a scenario has been started from the beginning
+   * @param {Object} scenario - Scenario data
+   */
+  scenarioStarted(scenario) {
+    this.send(this.createStatement('attempted', this.getScenarioActivity(scenario)), () => {
+      this.setScormStatus('incomplete');
+    });
+  }
+
+  /**
+   * Tell the LMS a scenario has been resumed from saved progress
+   * @param {Object} scenario - Scenario data
+   */
+  scenarioResumed(scenario) {
+    this.send(this.createStatement('resumed', this.getScenarioActivity(scenario)), () => {
+      this.setScormStatus('incomplete');
+    });
+  }
+
+  /**
+   * Report that a node has been shown
+   * @param {Object} scenario - Scenario data
+   * @param {string} nodeId - Node shown
+   * @param {Object} node - Node data
+   */
+  nodeExperienced(scenario, nodeId, node) {
+    const statement = this.createStatement('experienced', this.getNodeActivity(scenario, nodeId, node), {
+      context: this.getContext(scenario)
+    });
+
+    this.send(statement, () => {
+      this.callScorm('setValue', this.scormModel.location, `${scenario.id}/${nodeId}`);
+    });
+  }
+
+  /**
+   * Report a choice and the strategy it represents
+   * @param {Object} scenario - Scenario data
+   * @param {Object} entry - Choice history entry
+   * @param {Object} node - Node the choice was made at
+   */
+  choiceMade(scenario, entry, node) {
+    const extensions = { [this.extension('strategy')]: entry.strategy || null };
+    if (entry.effectiveness) {
+      extensions[this.extension('effectiveness')] = entry.effectiveness;
+    }
+    if (entry.timedOut) {
+      extensions[this.extension('timed-out')] = true;
+    }
+
+    // A typed reply is the response; the choice its rubric score led to goes in an extension
+    if (entry.response) {
+      extensions[this.extension('outcome-choice')] = entry.choiceId;
+      extensions[this.extension('rubric-score')] = entry.response.score;
+    }
+
+    const result = { response: entry.response ? entry.response.text : entry.choiceId, extensions };
+    if (typeof entry.responseMs === 'number') {
+      result.duration = `PT${(entry.responseMs / 1000).toFixed(1)}S`;
+    }
+
+    const statement = this.createStatement('answered', this.getNodeActivity(scenario, entry.nodeId, node), {
+      result,
+      context: this.getContext(scenario)
+    });
+
+    this.send(statement, () => this.recordScormInteraction(scenario, entry));
+  }
+
+  /**
+   * Report a finished scenario with its ending and score
+   * @param {Object} scenario - Scenario data
+   * @param {Object} ending - Ending reached ({ type, title })
+   * @param {Object} score - Result from ScoringEngine.score
+   */
+  scenarioCompleted(scenario, ending, score) {
+    const result = {
+      completion: true,
+      extensions: { [this.extension('ending')]: ending ? ending.type : null }
+    };
+
+    if (score && score.score !== null) {
+      result.success = score.passed;
+      result.score = { raw: score.score, min: 0, max: 100, scaled: score.score / 100 };
+    }
+
+    this.send(this.createStatement('completed', this.getScenarioActivity(scenario), { result }), () => {
+      this.recordScormCompletion(score);
+    });
+  }
+
+  /**
+   * Close the SCORM session when the page goes away
+   */
+  terminate() {
+    if (this.scormActive) {
+      const model = this.scormModel;
+      this.callScorm('setValue', model.sessionTime, this.formatSessionTime(Date.now() - this.sessionStartedAt));
+      this.callScorm('setValue', model.exit, 'suspend');
+      this.callScorm('commit', '');
+      this.callScorm('terminate', '');
+      this.scormActive = false;
+    } else if (this.mode === 'xapi') {
+      this.flush({ keepalive: true });
+    }
+  }
+
+  /**
+   * Build an xAPI statement
+   * @param {string} verb - Key of this.verbs
+   * @param {Object} object - Activity
+   * @param {Object} extra - Optional result and context
+   * @returns {Object} Statement
+   */
+  createStatement(verb, object, extra = {}) {
+    const statement = {
+      id: this.createUuid(),
+      actor: this.getActor(),
+      verb: { id: this.verbs[verb], display: { 'en-US': verb } },
+      object,
+      context: extra.context || this.getContext(null),
+      timestamp: new Date().toISOString()
+    };
+
+    if (extra.result) {
+      statement.result = extra.result;
+    }
+
+    return statement;
+  }
+
+  /**
+   * The learner: from the xAPI launch, the SCORM learner ID, or the active profile
+   * @returns {Object} xAPI Agent
+   */
+  getActor() {
+    if (this.launch.actor) {
+      return this.launch.actor;
+    }
+
+    if (this.scormActive) {
+      return {
+        objectType: 'Agent',
+        name: this.callScorm('getValue', this.scormModel.learnerName) || undefined,
+        account: { homePage: this.activityRoot, name: this.callScorm('getValue', this.scormModel.learnerId) }
+      };
+    }
+
+    const profile = this.storage.getActiveProfile();
+    return {
+      objectType: 'Agent',
+      name: profile.name,
+      account: { homePage: this.activityRoot, name: profile.id }
+    };
+  }
+
+  getContext(scenario) {
+    const context = {
+      contextActivities: {
+        grouping: [{
+          objectType: 'Activity',
+          id: this.activityRoot,
+          definition: { type: this.activityTypes.course, name: { 'en-US': 'Conflict Resolution Trainer' } }
+        }]
+      }
+    };
+
+    if (scenario) {
+      context.contextActivities.parent = [this.getScenarioActivity(scenario)];
+    }
+
+    if (this.launch.registration) {
+      context.registration = this.launch.registration;
+    }
+
+    return context;
+  }
+
+  getScenarioActivity(scenario) {
+    return {
+      objectType: 'Activity',
+      id: `${this.activityRoot}scenarios/${encodeURIComponent(scenario.id)}`,
+      definition: {
+        type: this.activityTypes.scenario,
+        name: { 'en-US': scenario.metadata.title }
+      }
+    };
+  }
+
+  getNodeActivity(scenario, nodeId, node) {
+    const definition = {
+      type: this.activityTypes.node,
+      name: { 'en-US': (node && node.content && node.content.title) || nodeId }
+    };
+
+    if (node && node.response) {
+      definition.interactionType = 'long-fill-in';
+      definition.description = { 'en-US': node.response.prompt || definition.name['en-US'] };
+    } else if (node && node.choices) {
+      definition.interactionType = 'choice';
+      definition.choices = node.choices.map(choice => ({ id: choice.id, description: { 'en-US': choice.text } }));
+    }
+
+    return {
+      objectType: 'Activity',
+      id: `${this.activityRoot}scenarios/${encodeURIComponent(scenario.id)}/nodes/${encodeURIComponent(nodeId)}`,
+      definition
+    };
+  }
+
+  extension(name) {
+    return `${this.activityRoot}extensions/${name}`;
+  }
+
+  /**
+   * Deliver a statement: SCORM calls when an API was found, the outbox and LRS when one is configured,
+   * otherwise the in-memory list of recent statements
+   * @param {Object} statement - xAPI statement
+   * @param {Function} scormUpdate - Sets the matching cmi values
+   */
+  send(statement, scormUpdate) {
+    try {
+      if (this.scormActive) {
+        scormUpdate();
+        this.callScorm('commit', '');
+        return;
+      }
+
+      if (this.mode !== 'xapi') {
+        this.recentStatements = this.recentStatements.concat(statement).slice(-this.recentLimit);
+        return;
+      }
+
+      this.storage.queueStatements([statement]);
+      this.flush();
+    } catch (error) {
+      console.warn('Could not report to the LMS:', error);
+    }
+  }
+
+  /**
+   * Post every queued statement to the LRS and remove the ones it accepted
+   * @param {Object} options - { keepalive } for requests made while the page unloads
+   * @returns {Promise<boolean>} True if the outbox was emptied
+   */
+  flush(options = {}) {
+    if (this.mode !== 'xapi') {
+      return Promise.resolve(false);
+    }
+
+    if (this.flushing) {
+      return this.flushing.then(() => this.flush(options));
+    }
+
+    const statements = this.storage.getQueuedStatements();
+    if (statements.length === 0) {
+      return Promise.resolve(true);
+    }
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Experience-API-Version': this.xapiVersion
+    };
+    if (this.launch.auth) {
+      headers.Authorization = this.launch.auth;
+    }
+
+    this.flushing = fetch(`${this.launch.endpoint}statements`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(statements),
+      keepalive: Boolean(options.keepalive)
+    })
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`LRS responded ${response.status}`);
+        }
+        this.storage.removeQueuedStatements(statements.map(statement => statement.id));
+        return true;
+      })
+      .catch(error => {
+        console.warn('Statements kept in the outbox for later:', error.message);
+        return false;
+      })
+      .finally(() => {
+        this.flushing = null;
+      });
+
+    return this.flushing;
+  }
+
+  /**
+   * Call a SCORM API function by its version-neutral name
+   * @param {string} name - Key of the SCORM model, such as 'setValue'
+   * @param {...string} args - Arguments for the API function
+   * @returns {string} API return value, or '' if the call failed
+   */
+  callScorm(name, ...args) {
+    try {
+      const result = this.scorm.api[this.scormModel[name]](...args);
+      return result === undefined || result === null ? '' : String(result);
+    } catch (error) {
+      console.warn(`SCORM ${this.scormModel[name]} failed:`, error);
+      return '';
+    }
+  }
+
+  /**
+   * Mark the SCO as incomplete unless it has already been completed or passed
+   * @param {string} status - 'incomplete'
+   */
+  setScormStatus(status) {
+    const current = this.callScorm('getValue', this.scormModel.status);
+    if (['', 'not attempted', 'unknown'].includes(current)) {
+      this.callScorm('setValue', this.scormModel.status, status);
+    }
+  }
+
+  recordScormInteraction(scenario, entry) {
+    const model = this.scormModel;
+    const index = parseInt(this.callScorm('getValue', 'cmi.interactions._count'), 10) || 0;
+    const prefix = `cmi.interactions.${index}`;
+    const time = new Date(entry.timestamp);
+
+    this.callScorm('setValue', `${prefix}.id`, `${scenario.id}.${entry.nodeId}`.replace(/[^A-Za-z0-9_.-]/g, '_'));
+    if (entry.response) {
+      // SCORM 1.2 has no long-fill-in and caps responses at 255 characters
+      const is2004 = this.scorm.version === '2004';
+      this.callScorm('setValue', `${prefix}.type`, is2004 ? 'long-fill-in' : 'fill-in');
+      this.callScorm('setValue', `${prefix}.${model.interactionResponse}`, entry.response.text.slice(0, is2004 ? 4000 : 255));
+    } else {
+      this.callScorm('setValue', `${prefix}.type`, 'choice');
+      this.callScorm('setValue', `${prefix}.${model.interactionResponse}`, entry.choiceId);
+    }
+    this.callScorm('setValue', `${prefix}.result`, 'neutral');
+    this.callScorm('setValue', `${prefix}.${model.interactionTime}`, this.scorm.version === '2004' ?
+      time.toISOString().slice(0, 19) :
+      time.toTimeString().slice(0, 8));
+    if (typeof entry.responseMs === 'number') {
+      this.callScorm('setValue', `${prefix}.latency`, this.formatSessionTime(entry.responseMs));
+    }
+
+    if (this.scorm.version === '2004') {
+      this.callScorm('setValue', `${prefix}.description`, entry.choiceText.slice(0, 250));
+    }
+  }
+
+  /**
+   * Set completion, pass/fail and the best score so far; a pass is never turned back into a fail
+   * @param {Object} score - Result from ScoringEngine.score
+   */
+  recordScormCompletion(score) {
+    const model = this.scormModel;
+    const hasScore = score && score.score !== null;
+    const passed = this.scormPassed || (hasScore && score.passed);
+
+    if (this.scorm.version === '2004') {
+      this.callScorm('setValue', model.status, 'completed');
+      if (hasScore) {
+        this.callScorm('setValue', model.successStatus, passed ? 'passed' : 'failed');
+      }
+    } else {
+      this.callScorm('setValue', model.status, hasScore ? (passed ? 'passed' : 'failed') : 'completed');
+    }
+    this.scormPassed = passed;
+
+    if (hasScore && (this.bestScore === null || score.score > this.bestScore)) {
+      this.bestScore = score.score;
+      this.callScorm('setValue', model.scoreMin, '0');
+      this.callScorm('setValue', model.scoreMax, '100');
+      this.callScorm('setValue', model.scoreRaw, String(score.score));
+      if (model.scoreScaled) {
+        this.callScorm('setValue', model.scoreScaled, String(score.score / 100));
+      }
+    }
+  }
+
+  /**
+   * Format a duration as SCORM session time
+   * @param {number} milliseconds - Duration
+   * @returns {string} PT#H#M#S for SCORM 2004, HHHH:MM:SS for SCORM 1.2
+   */
+  formatSessionTime(milliseconds) {
+    const totalSeconds = Math.round(milliseconds / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (this.scorm.version === '2004') {
+      return `PT${hours}H${minutes}M${seconds}S`;
+    }
+
+    const pad = (value, length) => String(value).padStart(length, '0');
+    return `${pad(hours, 4)}:${pad(minutes, 2)}:${pad(seconds, 2)}`;
+  }
+
+  createUuid() {
+    if (window.crypto && window.crypto.randomUUID) {
+      return window.crypto.randomUUID();
+    }
+
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+      const random = Math.random() * 16 | 0;
+      return (c === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+    });
+  }
+}
+
+// Create global instance
+window.lmsAdapter = new LmsAdapter();
@@ -0,0 +1,146 @@
+/**
+ * OFFLINE MANAGER - Registers the service worker and offers new content versions
+ * The worker's cache is named after the scenario index metadata.version (see sw.js)
+ */
+
+class OfflineManager {
+  constructor() {
+    this.registration = null;
+
+    // True once the learner accepts an update, so the page reloads only then
+    this.reloadOnControllerChange = false;
+
+    // DOM elements
+    this.elements = {};
+
+    // Initialize after DOM loads
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.initializeElements());
+    } else {
+      this.initializeElements();
+    }
+  }
+
+  /**
+   * Initialize DOM element references and event listeners
+   */
+  initializeElements() {
+    this.elements = {
+      banner: document.getElementById('update-banner'),
+      reloadBtn: document.getElementById('update-reload-btn'),
+      dismissBtn: document.getElementById('update-dismiss-btn')
+    };
+
+    if (!this.elements.banner) return;
+
+    this.elements.reloadBtn.addEventListener('click', () => {
+      this.applyUpdate();
+    });
+
+    this.elements.dismissBtn.addEventListener('click', () => {
+      this.elements.banner.hidden = true;
+    });
+
+    window.addEventListener('offline', () => {
+      const cached = Boolean(navigator.serviceWorker && navigator.serviceWorker.controller);
+      window.uiManager?.announceToScreenReader(cached ?
+        'You are offline. Scenarios saved on this device still work.' :
+        'You are offline. Scenarios that have not loaded yet will be unavailable.');
+    });
+
+    window.addEventListener('online', () => {
+      window.uiManager?.announceToScreenReader('Back online');
+    });
+  }
+
+  /**
+   * Whether this page can use a service worker (secure context, not opened from disk)
+   */
+  isSupported() {
+    return 'serviceWorker' in navigator && window.isSecureContext && /^https?:$/.test(window.location.protocol);
+  }
+
+  /**
+   * Register the service worker for a content version
+   * @param {string} contentVersion - metadata.version from the scenario index
+   * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if unavailable
+   */
+  async register(contentVersion) {
+    if (!this.isSupported()) {
+      console.log('📴 Offline mode unavailable (needs a service worker over http or https)');
+      return null;
+    }
+
+    try {
+      const hadController = Boolean(navigator.serviceWorker.controller);
+      this.registration = await navigator.serviceWorker.register(
+        `sw.js?version=${encodeURIComponent(contentVersion || '1')}`
+      );
+
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (this.reloadOnControllerChange) {
+          window.location.reload();
+        }
+      });
+
+      // An update found on an earlier visit may already be waiting
+      if (this.registration.waiting && hadController) {
+        this.showUpdatePrompt();
+      }
+
+      this.registration.addEventListener('updatefound', () => {
+        this.watchInstallingWorker(this.registration.installing, hadController);
+      });
+
+      console.log(`📦 Service worker registered for content version ${contentVersion || '1'}`);
+      return this.registration;
+    } catch (error) {
+      console.warn('Service worker registration failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Prompt when a new worker finishes installing; the first install just reports offline readiness
+   */
+  watchInstallingWorker(worker, hadController) {
+    if (!worker) return;
+
+    worker.addEventListener('statechange', () => {
+      if (worker.state !== 'installed') return;
+
+      if (hadController || navigator.serviceWorker.controller) {
+        this.showUpdatePrompt();
+      } else {
+        window.uiManager?.announceToScreenReader('Scenarios are saved for offline use');
+        console.log('📴 Ready for offline use');
+      }
+    });
+  }
+
+  showUpdatePrompt() {
+    if (!this.elements.banner) return;
+
+    this.elements.banner.hidden = false;
+    window.uiManager?.announceToScreenReader('An update is available. Reload to use the new version.');
+  }
+
+  /**
+   * Let the waiting worker take over; the page reloads when it does
+   */
+  applyUpdate() {
+    const waiting = this.registration && this.registration.waiting;
+    this.elements.banner.hidden = true;
+
+    if (!waiting) {
+      window.location.reload();
+      return;
+    }
+
+    this.reloadOnControllerChange = true;
+    waiting.postMessage({ type: 'SKIP_WAITING' });
+  }
+}
+
+// Create global instance
+window.offlineManager = new OfflineManager();
@@ -0,0 +1,319 @@
+/**
+ * PREREQUISITE CHECKER - Declarative unlock conditions for scenarios in the index
+ * A scenario's "prerequisites" is one condition or a list that must all hold:
+ *   { "completed": "scenario-001" }                         finished, any ending
+ *   { "completed": "scenario-001", "ending": "success" }     finished with that ending type (or one of a list)
+ *   { "completed": "scenario-001", "minScore": 70 }          finished with at least that score
+ *   { "count": 2, "category": "workload" }                  any N finished in a category and/or difficulty
+ *   { "all": [...] } / { "any": [...] }                     combine conditions
+ * Scenarios without prerequisites fall back to their "unlocked" flag (unlocked unless false).
+ */
+
+class PrerequisiteChecker {
+  constructor() {
+    this.endingTypes = ['success', 'mixed', 'failure'];
+    this.difficulties = ['beginner', 'intermediate', 'advanced'];
+
+    this.endingDescriptions = {
+      success: 'a successful resolution',
+      mixed: 'a mixed outcome',
+      failure: 'an unresolved conflict'
+    };
+  }
+
+  /**
+   * Check whether a scenario is unlocked for a learner
+   * @param {Object} entry - Scenario index entry
+   * @param {Object} progress - { completedScenarios, attempts }
+   * @param {Object} index - Scenario index
+   * @returns {boolean} True if the scenario can be started
+   */
+  isUnlocked(entry, progress, index) {
+    if (progress.completedScenarios.includes(entry.id)) {
+      return true;
+    }
+
+    if (entry.prerequisites !== undefined) {
+      return this.isMet(entry.prerequisites, progress, index);
+    }
+
+    return entry.unlocked !== false;
+  }
+
+  /**
+   * Evaluate a condition
+   * @param {Object|Array} condition - Prerequisite condition or list of conditions
+   * @param {Object} progress - { completedScenarios, attempts }
+   * @param {Object} index - Scenario index
+   * @returns {boolean} True if the condition holds
+   */
+  isMet(condition, progress, index) {
+    if (Array.isArray(condition)) {
+      return condition.every(part => this.isMet(part, progress, index));
+    }
+
+    if (condition.all) {
+      return condition.all.every(part => this.isMet(part, progress, index));
+    }
+
+    if (condition.any) {
+      return condition.any.some(part => this.isMet(part, progress, index));
+    }
+
+    if (condition.completed) {
+      const endings = [].concat(condition.ending || []);
+      if (endings.length === 0 && condition.minScore === undefined) {
+        return progress.completedScenarios.includes(condition.completed);
+      }
+
+      // A completion from before the attempt log has nothing to check the ending or score against, so it counts.
+      // Once the log has a finished attempt, that is checked instead.
+      const finished = this.getFinishedAttempts(condition.completed, progress);
+      if (finished.length === 0 && progress.completedScenarios.includes(condition.completed)) {
+        return true;
+      }
+
+      return finished.some(attempt =>
+        (endings.length === 0 || (attempt.ending && endings.includes(attempt.ending.type))) &&
+        (condition.minScore === undefined || (attempt.score && attempt.score.score >= condition.minScore))
+      );
+    }
+
+    if (condition.count) {
+      return this.countCompleted(condition, progress, index) >= condition.count;
+    }
+
+    return false;
+  }
+
+  getFinishedAttempts(scenarioId, progress) {
+    return progress.attempts.filter(attempt => attempt.scenarioId === scenarioId && attempt.status === 'completed');
+  }
+
+  /**
+   * Count finished scenarios matching a count condition's category and difficulty
+   */
+  countCompleted(condition, progress, index) {
+    return index.scenarios.filter(entry =>
+      progress.completedScenarios.includes(entry.id) &&
+      (!condition.category || entry.category === condition.category) &&
+      (!condition.difficulty || entry.difficulty === condition.difficulty)
+    ).length;
+  }
+
+  /**
+   * Describe what a learner has to do to unlock a scenario
+   * @param {Object} entry - Scenario index entry
+   * @param {Object} index - Scenario index
+   * @returns {string} Sentence such as 'Complete "The Email Misunderstanding" with a successful resolution'
+   */
+  describeRequirement(entry, index) {
+    if (entry.prerequisites === undefined) {
+      return 'Not available yet';
+    }
+
+    const text = this.describe(entry.prerequisites, index);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Describe a condition in plain words
+   * @param {Object|Array} condition - Prerequisite condition
+   * @param {Object} index - Scenario index
+   * @returns {string} Description starting in lower case
+   */
+  describe(condition, index) {
+    if (Array.isArray(condition)) {
+      return this.describe({ all: condition }, index);
+    }
+
+    if (condition.all || condition.any) {
+      const parts = (condition.all || condition.any).map(part => this.describe(part, index));
+      const joiner = condition.all ? ' and ' : ' or ';
+      const text = parts.length > 1 ?
+        `${parts.slice(0, -1).join(', ')}${joiner}${parts[parts.length - 1]}` :
+        parts.join('');
+      return condition.any && parts.length > 1 ? `either ${text}` : text;
+    }
+
+    if (condition.completed) {
+      const entry = index.scenarios.find(scenario => scenario.id === condition.completed);
+      const qualifiers = [];
+      const endings = [].concat(condition.ending || []);
+      if (endings.length > 0) {
+        qualifiers.push(`with ${endings.map(type => this.endingDescriptions[type] || type).join(' or ')}`);
+      }
+      if (condition.minScore !== undefined) {
+        qualifiers.push(`scoring at least ${condition.minScore}`);
+      }
+      return [`complete "${entry ? entry.title : condition.completed}"`, ...qualifiers].join(' ');
+    }
+
+    if (condition.count) {
+      const category = condition.category ?
+        (index.categories || []).find(c => c.id === condition.category) :
+        null;
+      const qualifiers = [
+        condition.difficulty,
+        category ? category.name : condition.category
+      ].filter(Boolean).join(' ');
+      const noun = condition.count === 1 ? 'scenario' : 'scenarios';
+      return `complete any ${condition.count} ${qualifiers ? `${qualifiers} ` : ''}${noun}`;
+    }
+
+    return 'meet an unknown requirement';
+  }
+
+  /**
+   * Check every scenario's prerequisites in an index
+   * @param {Object} index - Scenario index
+   * @returns {Array} [{ path, message }]
+   */
+  validateIndex(index) {
+    const problems = [];
+    const scenarios = index.scenarios || [];
+    const ids = scenarios.map(entry => entry.id);
+    const categories = (index.categories || []).map(category => category.id);
+
+    scenarios.forEach((entry, position) => {
+      if (entry.prerequisites === undefined) return;
+
+      const basePath = `$.scenarios[${position}].prerequisites`;
+      this.validateCondition(entry.prerequisites, basePath, { ids, categories, self: entry.id }, problems);
+    });
+
+    this.findCycles(scenarios).forEach(cycle => {
+      const position = ids.indexOf(cycle[0]);
+      problems.push({
+        path: `$.scenarios[${position}].prerequisites`,
+        message: `Prerequisites form a loop, so these scenarios can never unlock: ${cycle.join(' → ')}`
+      });
+    });
+
+    return problems;
+  }
+
+  validateCondition(condition, path, context, problems) {
+    const problem = message => problems.push({ path, message });
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (Array.isArray(condition)) {
+      if (condition.length === 0) problem('Prerequisite list is empty');
+      condition.forEach((part, i) => this.validateCondition(part, `${path}[${i}]`, context, problems));
+      return;
+    }
+
+    if (!isObject(condition)) {
+      problem('Prerequisite must be an object or a list of objects');
+      return;
+    }
+
+    const kinds = ['all', 'any', 'completed', 'count'].filter(key => key in condition);
+    if (kinds.length !== 1) {
+      problem('Prerequisite needs exactly one of: all, any, completed, count');
+      return;
+    }
+
+    const kind = kinds[0];
+    const allowed = {
+      all: ['all'],
+      any: ['any'],
+      completed: ['completed', 'ending', 'minScore'],
+      count: ['count', 'category', 'difficulty']
+    }[kind];
+    Object.keys(condition).filter(key => !allowed.includes(key)).forEach(key => {
+      problems.push({ path: `${path}.${key}`, message: `Not allowed with "${kind}" (expected ${allowed.join(', ')})` });
+    });
+
+    if (kind === 'all' || kind === 'any') {
+      if (!Array.isArray(condition[kind]) || condition[kind].length === 0) {
+        problems.push({ path: `${path}.${kind}`, message: 'Must be a non-empty list of conditions' });
+        return;
+      }
+      condition[kind].forEach((part, i) => this.validateCondition(part, `${path}.${kind}[${i}]`, context, problems));
+      return;
+    }
+
+    if (kind === 'completed') {
+      if (!context.ids.includes(condition.completed)) {
+        problems.push({ path: `${path}.completed`, message: `Scenario "${condition.completed}" is not in the index` });
+      } else if (condition.completed === context.self) {
+        problems.push({ path: `${path}.completed`, message: 'A scenario cannot require itself' });
+      }
+
+      [].concat(condition.ending || []).forEach(type => {
+        if (!this.endingTypes.includes(type)) {
+          problems.push({ path: `${path}.ending`, message: `Unknown ending type "${type}" (expected ${this.endingTypes.join(', ')})` });
+        }
+      });
+
+      if ('minScore' in condition && !(typeof condition.minScore === 'number' && condition.minScore >= 0 && condition.minScore <= 100)) {
+        problems.push({ path: `${path}.minScore`, message: 'Must be a number from 0 to 100' });
+      }
+      return;
+    }
+
+    if (!Number.isInteger(condition.count) || condition.count < 1) {
+      problems.push({ path: `${path}.count`, message: 'Must be a whole number of at least 1' });
+    }
+
+    if ('category' in condition && !context.categories.includes(condition.category)) {
+      problems.push({ path: `${path}.category`, message: `Category "${condition.category}" is not defined in the index categories` });
+    }
+
+    if ('difficulty' in condition && !this.difficulties.includes(condition.difficulty)) {
+      problems.push({ path: `${path}.difficulty`, message: `Unknown difficulty "${condition.difficulty}" (expected ${this.difficulties.join(', ')})` });
+    }
+  }
+
+  /**
+   * Find loops of scenarios that each require completing the next
+   * @param {Array} scenarios - Index entries
+   * @returns {Array<Array<string>>} Each loop as a list of IDs, starting and ending with the same one
+   */
+  findCycles(scenarios) {
+    const requires = new Map(scenarios.map(entry => [entry.id, this.getRequiredIds(entry.prerequisites)]));
+    const cycles = [];
+    const reported = new Set();
+
+    const visit = (id, trail) => {
+      if (trail.includes(id)) {
+        const cycle = trail.slice(trail.indexOf(id)).concat(id);
+        const key = [...cycle.slice(0, -1)].sort().join('|');
+        if (!reported.has(key)) {
+          reported.add(key);
+          cycles.push(cycle);
+        }
+        return;
+      }
+      (requires.get(id) || []).forEach(next => visit(next, trail.concat(id)));
+    };
+
+    scenarios.forEach(entry => visit(entry.id, []));
+    return cycles;
+  }
+
+  /**
+   * Scenario IDs a condition always needs; "any" branches only count if every option needs the scenario
+   */
+  getRequiredIds(condition) {
+    if (!condition) return [];
+    if (Array.isArray(condition)) return [...new Set(condition.flatMap(part => this.getRequiredIds(part)))];
+    if (Array.isArray(condition.all)) return this.getRequiredIds(condition.all);
+    if (Array.isArray(condition.any)) {
+      const options = condition.any.map(part => this.getRequiredIds(part));
+      return options.length > 0 ? options[0].filter(id => options.every(option => option.includes(id))) : [];
+    }
+    return typeof condition.completed === 'string' ? [condition.completed] : [];
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.prerequisiteChecker = new PrerequisiteChecker();
+}
+
+// Allow the scenario linter to check prerequisites in the index
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PrerequisiteChecker;
+}
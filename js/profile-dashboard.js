@@ -0,0 +1,631 @@
+/**
+ * PROFILE DASHBOARD - "My Profile" analytics for the active learner
+ * Conflict-style profile, effectiveness per strategy, completion, trends and attempt history, drawn with plain SVG
+ */
+
+class ProfileDashboard {
+  constructor() {
+    this.storage = window.storageManager;
+    this.gameEngine = window.gameEngine;
+    this.uiManager = window.uiManager;
+    this.certificates = window.certificateGenerator;
+
+    this.svgNamespace = 'http://www.w3.org/2000/svg';
+
+    // Effectiveness levels as numbers so they can be averaged
+    this.effectivenessScores = {
+      very_low: 1,
+      low: 2,
+      medium: 3,
+      high: 4,
+      very_high: 5
+    };
+
+    // Position of each Thomas-Kilmann mode on the cooperativeness (x) / assertiveness (y) grid, 0-1
+    this.modePositions = {
+      competing: { x: 0.15, y: 0.85 },
+      collaborating: { x: 0.85, y: 0.85 },
+      compromising: { x: 0.5, y: 0.5 },
+      avoiding: { x: 0.15, y: 0.15 },
+      accommodating: { x: 0.85, y: 0.15 }
+    };
+
+    // DOM elements
+    this.elements = {};
+
+    // Initialize after DOM loads
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.initializeElements());
+    } else {
+      this.initializeElements();
+    }
+  }
+
+  /**
+   * Initialize DOM element references
+   */
+  initializeElements() {
+    this.elements = {
+      dialog: document.getElementById('profile-dialog'),
+      title: document.getElementById('profile-dialog-title'),
+      content: document.getElementById('profile-dashboard')
+    };
+
+    this.elements.dialog?.addEventListener('close', () => {
+      this.uiManager.elements.profileBtn?.focus();
+    });
+  }
+
+  /**
+   * Open the dashboard for the active profile
+   */
+  open() {
+    if (!this.elements.dialog) return;
+
+    this.render();
+    this.elements.dialog.showModal();
+  }
+
+  /**
+   * Rebuild every dashboard section from stored data
+   */
+  render() {
+    const data = this.getDashboardData();
+    const content = this.elements.content;
+
+    this.elements.title.textContent = `My Profile – ${this.storage.getActiveProfile().name}`;
+    content.innerHTML = '';
+
+    if (data.totalChoices === 0 && data.completion.completedCount === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'dashboard-empty';
+      empty.textContent = 'Play a scenario to start building your conflict-style profile.';
+      content.appendChild(empty);
+      return;
+    }
+
+    content.appendChild(this.renderStyleSection(data));
+    content.appendChild(this.renderEffectivenessSection(data));
+    content.appendChild(this.renderCompletionSection(data));
+    content.appendChild(this.renderTrendSection(data));
+    content.appendChild(this.renderCertificateSection());
+    content.appendChild(this.renderAttemptSection(data));
+  }
+
+  /**
+   * Collect everything the dashboard shows
+   * @returns {Object} Strategy counts, effectiveness, completion and trend data
+   */
+  getDashboardData() {
+    const statistics = this.storage.getStatistics();
+    const strategies = Object.keys(statistics.strategiesUsed);
+    const attempts = this.storage.getAttempts();
+
+    const effectiveness = {};
+    strategies.forEach(strategy => {
+      effectiveness[strategy] = { total: 0, count: 0, average: null };
+    });
+
+    attempts.forEach(attempt => {
+      attempt.path.forEach(entry => {
+        const score = this.effectivenessScores[entry.effectiveness];
+        if (score && effectiveness[entry.strategy]) {
+          effectiveness[entry.strategy].total += score;
+          effectiveness[entry.strategy].count++;
+        }
+      });
+    });
+
+    Object.values(effectiveness).forEach(stat => {
+      stat.average = stat.count > 0 ? stat.total / stat.count : null;
+    });
+
+    return {
+      strategies,
+      strategyCounts: { ...statistics.strategiesUsed },
+      totalChoices: statistics.totalChoicesMade,
+      statistics,
+      effectiveness,
+      completion: this.getCompletionData(),
+      trend: attempts
+        .filter(attempt => attempt.status === 'completed')
+        .map(attempt => ({
+          completedAt: attempt.endedAt,
+          scenarioId: attempt.scenarioId,
+          average: this.averageEffectiveness(attempt.path)
+        }))
+        .filter(point => point.average !== null),
+      attempts
+    };
+  }
+
+  /**
+   * Count completed scenarios per category and difficulty
+   * @returns {Object} { completedCount, byCategory, byDifficulty }
+   */
+  getCompletionData() {
+    const index = this.gameEngine.scenarioIndex || { scenarios: [], categories: [] };
+    const difficulties = ['beginner', 'intermediate', 'advanced'];
+    let completedCount = 0;
+
+    const byCategory = (index.categories || []).map(category => ({
+      label: `${category.icon ? category.icon + ' ' : ''}${category.name}`,
+      total: 0,
+      completed: 0,
+      id: category.id
+    }));
+
+    const byDifficulty = difficulties.map(difficulty => ({
+      label: difficulty.charAt(0).toUpperCase() + difficulty.slice(1),
+      total: 0,
+      completed: 0,
+      id: difficulty
+    }));
+
+    index.scenarios.forEach(scenario => {
+      const isCompleted = this.storage.isScenarioCompleted(scenario.id);
+      if (isCompleted) completedCount++;
+
+      [byCategory.find(c => c.id === scenario.category), byDifficulty.find(d => d.id === scenario.difficulty)]
+        .filter(Boolean)
+        .forEach(group => {
+          group.total++;
+          if (isCompleted) group.completed++;
+        });
+    });
+
+    return { completedCount, byCategory, byDifficulty };
+  }
+
+  /**
+   * Average effectiveness score of the rated choices in a history
+   * @param {Array} history - Choice history
+   * @returns {number|null} Average from 1 to 5, or null if nothing was rated
+   */
+  averageEffectiveness(history) {
+    const scores = history
+      .map(entry => this.effectivenessScores[entry.effectiveness])
+      .filter(Boolean);
+
+    return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+  }
+
+  /**
+   * Conflict-style profile: strategy mix bars and the Thomas-Kilmann grid
+   */
+  renderStyleSection(data) {
+    const section = this.createSection('Conflict Style',
+      'How often you chose each approach, and where that puts you on the Thomas-Kilmann grid.');
+
+    const charts = document.createElement('div');
+    charts.className = 'dashboard-charts';
+
+    const maxCount = Math.max(1, ...Object.values(data.strategyCounts));
+    const strategyTotal = Object.values(data.strategyCounts).reduce((sum, count) => sum + count, 0);
+    const bars = data.strategies.map(strategy => {
+      const count = data.strategyCounts[strategy];
+      const percent = strategyTotal > 0 ? Math.round((count / strategyTotal) * 100) : 0;
+      return {
+        strategy,
+        value: count / maxCount,
+        label: `${count} (${percent}%)`
+      };
+    });
+    charts.appendChild(this.createBarChart(bars, 'Number of times each strategy was chosen'));
+    charts.appendChild(this.createStyleGrid(data.strategyCounts));
+
+    section.appendChild(charts);
+
+    const favourite = data.strategies.reduce((best, strategy) =>
+      data.strategyCounts[strategy] > data.strategyCounts[best] ? strategy : best, data.strategies[0]);
+    if (strategyTotal > 0) {
+      const summary = document.createElement('p');
+      summary.className = 'dashboard-summary';
+      summary.textContent = `Your go-to approach is ${this.uiManager.formatStrategyName(favourite)}.`;
+      section.appendChild(summary);
+    }
+
+    return section;
+  }
+
+  /**
+   * Average feedback effectiveness for each strategy
+   */
+  renderEffectivenessSection(data) {
+    const section = this.createSection('Effectiveness by Strategy',
+      'Average feedback rating when you used each approach, from Very Low to Very High.');
+
+    const rated = data.strategies.filter(strategy => data.effectiveness[strategy].count > 0);
+    if (rated.length === 0) {
+      section.appendChild(this.createEmptyNote('No rated choices yet.'));
+      return section;
+    }
+
+    const bars = rated.map(strategy => {
+      const { average, count } = data.effectiveness[strategy];
+      return {
+        strategy,
+        value: average / 5,
+        label: `${average.toFixed(1)} / 5 (${count})`
+      };
+    });
+    section.appendChild(this.createBarChart(bars, 'Average effectiveness rating for each strategy'));
+
+    return section;
+  }
+
+  /**
+   * Completed scenarios per category and difficulty
+   */
+  renderCompletionSection(data) {
+    const section = this.createSection('Scenarios Completed',
+      `${data.completion.completedCount} completed so far.`);
+
+    const grid = document.createElement('div');
+    grid.className = 'dashboard-charts';
+    grid.appendChild(this.createProgressList('By category', data.completion.byCategory));
+    grid.appendChild(this.createProgressList('By difficulty', data.completion.byDifficulty));
+    section.appendChild(grid);
+
+    return section;
+  }
+
+  /**
+   * Average effectiveness of each completed run over time
+   */
+  renderTrendSection(data) {
+    const section = this.createSection('Trend Over Time',
+      'Average effectiveness of each completed play-through, oldest first.');
+
+    if (data.trend.length < 2) {
+      section.appendChild(this.createEmptyNote('Complete at least two scenarios to see a trend.'));
+      return section;
+    }
+
+    section.appendChild(this.createTrendChart(data.trend));
+    return section;
+  }
+
+  /**
+   * Certificate status, with a link to the printable certificate once it is earned
+   */
+  renderCertificateSection() {
+    const index = this.gameEngine.scenarioIndex || { scenarios: [] };
+    const eligibility = this.certificates.getEligibility(this.storage.loadData(), index);
+    const requirement = eligibility.minimumPassed ?
+      `Complete all ${eligibility.total} scenarios, or pass ${eligibility.minimumPassed} of them, to earn a certificate.` :
+      `Complete all ${eligibility.total} scenarios to earn a certificate.`;
+
+    const section = this.createSection('Certificate', eligibility.eligible ?
+      'You have earned a certificate of completion. Open it to print or save it as a PDF.' :
+      `${requirement} ${eligibility.completed.length} completed, ${eligibility.passed.length} passed so far.`);
+
+    if (eligibility.eligible) {
+      const link = document.createElement('a');
+      link.className = 'settings-button primary';
+      link.href = 'certificate.html';
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = 'Open certificate';
+      section.appendChild(link);
+    }
+
+    return section;
+  }
+
+  /**
+   * Every attempt, newest first, with its path available to review
+   */
+  renderAttemptSection(data) {
+    const { attemptsStarted, attemptsCompleted, totalUndos } = data.statistics;
+    const section = this.createSection('Attempt History',
+      `${attemptsStarted} ${attemptsStarted === 1 ? 'attempt' : 'attempts'}, ${attemptsCompleted} completed, ${totalUndos} ${totalUndos === 1 ? 'choice' : 'choices'} taken back.`);
+
+    const list = document.createElement('ol');
+    list.className = 'attempt-list';
+    list.reversed = true;
+
+    [...data.attempts].reverse().forEach(attempt => {
+      const item = document.createElement('li');
+      item.className = 'attempt-item';
+      item.setAttribute('data-status', attempt.status);
+
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = [
+        this.gameEngine.getScenarioTitle(attempt.scenarioId),
+        new Date(attempt.startedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }),
+        this.describeAttemptOutcome(attempt),
+        attempt.score && attempt.score.score !== null ?
+          `Score ${attempt.score.score}${attempt.score.passed ? ' (passed)' : ''}` : null,
+        `${attempt.path.length} ${attempt.path.length === 1 ? 'choice' : 'choices'}`
+      ].filter(Boolean).join(' · ');
+      details.appendChild(summary);
+
+      const path = document.createElement('ol');
+      path.className = 'attempt-path';
+      attempt.path.forEach(entry => {
+        const step = document.createElement('li');
+        step.textContent = entry.response ? `"${entry.response.text}"` : entry.choiceText;
+        if (entry.strategy) {
+          const strategy = document.createElement('span');
+          strategy.className = 'attempt-strategy';
+          strategy.textContent = ` – ${this.uiManager.formatStrategyName(entry.strategy)}`;
+          step.appendChild(strategy);
+        }
+        path.appendChild(step);
+      });
+
+      if (attempt.undoCount > 0) {
+        const undos = document.createElement('p');
+        undos.className = 'dashboard-description';
+        undos.textContent = `Went back ${attempt.undoCount} ${attempt.undoCount === 1 ? 'time' : 'times'}.`;
+        details.appendChild(undos);
+      }
+
+      details.appendChild(path);
+      item.appendChild(details);
+      list.appendChild(item);
+    });
+
+    section.appendChild(list);
+    return section;
+  }
+
+  /**
+   * Short outcome label for an attempt
+   * @param {Object} attempt - Attempt record
+   * @returns {string} Ending reached, or status
+   */
+  describeAttemptOutcome(attempt) {
+    if (attempt.status === 'completed') {
+      return attempt.ending ? 
+        `${this.uiManager.formatEndingType(attempt.ending.type)}: ${attempt.ending.title}` : 
+        'Completed';
+    }
+    return attempt.status === 'abandoned' ? 'Restarted or replaced' : 'In progress';
+  }
+
+  /**
+   * Create a dashboard section with a heading and description
+   */
+  createSection(title, description) {
+    const section = document.createElement('section');
+    section.className = 'dashboard-section';
+
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    section.appendChild(heading);
+
+    if (description) {
+      const text = document.createElement('p');
+      text.className = 'dashboard-description';
+      text.textContent = description;
+      section.appendChild(text);
+    }
+
+    return section;
+  }
+
+  createEmptyNote(message) {
+    const note = document.createElement('p');
+    note.className = 'dashboard-empty';
+    note.textContent = message;
+    return note;
+  }
+
+  /**
+   * Create an SVG element with attributes
+   * @param {string} tag - SVG tag name
+   * @param {Object} attributes - Attributes to set
+   * @returns {SVGElement} New element
+   */
+  svg(tag, attributes = {}) {
+    const element = document.createElementNS(this.svgNamespace, tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+      element.setAttribute(name, value);
+    });
+    return element;
+  }
+
+  /**
+   * Create an accessible chart root
+   * @param {number} width - viewBox width
+   * @param {number} height - viewBox height
+   * @param {string} label - Description read by screen readers
+   */
+  createChart(width, height, label) {
+    const chart = this.svg('svg', {
+      viewBox: `0 0 ${width} ${height}`,
+      class: 'dashboard-chart',
+      role: 'img',
+      'aria-label': label
+    });
+    const title = this.svg('title');
+    title.textContent = label;
+    chart.appendChild(title);
+    return chart;
+  }
+
+  /**
+   * Horizontal bar chart, one bar per strategy
+   * @param {Array} bars - [{ strategy, value (0-1), label }]
+   * @param {string} label - Chart description
+   */
+  createBarChart(bars, label) {
+    const rowHeight = 32;
+    const labelWidth = 130;
+    const barWidth = 200;
+    const width = labelWidth + barWidth + 90;
+    const chart = this.createChart(width, bars.length * rowHeight, label);
+
+    bars.forEach((bar, index) => {
+      const y = index * rowHeight;
+
+      const name = this.svg('text', { x: 0, y: y + 20, class: 'chart-label' });
+      name.textContent = this.uiManager.formatStrategyName(bar.strategy);
+
+      const track = this.svg('rect', {
+        x: labelWidth, y: y + 8, width: barWidth, height: 16, rx: 4, class: 'chart-track'
+      });
+
+      const fill = this.svg('rect', {
+        x: labelWidth, y: y + 8, width: Math.max(0, bar.value) * barWidth, height: 16, rx: 4,
+        class: 'chart-bar', 'data-strategy': bar.strategy
+      });
+
+      const value = this.svg('text', { x: labelWidth + barWidth + 8, y: y + 20, class: 'chart-value' });
+      value.textContent = bar.label;
+
+      chart.append(name, track, fill, value);
+    });
+
+    return chart;
+  }
+
+  /**
+   * Thomas-Kilmann grid with the learner's weighted position
+   * @param {Object} counts - strategiesUsed counts
+   */
+  createStyleGrid(counts) {
+    const size = 240;
+    const padding = 28;
+    const inner = size - padding * 2;
+    const toX = x => padding + x * inner;
+    const toY = y => padding + (1 - y) * inner;
+
+    let total = 0;
+    let sumX = 0;
+    let sumY = 0;
+    Object.entries(this.modePositions).forEach(([mode, position]) => {
+      const count = counts[mode] || 0;
+      total += count;
+      sumX += position.x * count;
+      sumY += position.y * count;
+    });
+
+    const label = total > 0 ?
+      `Thomas-Kilmann grid: your choices average ${Math.round((sumX / total) * 100)}% cooperative and ${Math.round((sumY / total) * 100)}% assertive` :
+      'Thomas-Kilmann grid: no conflict-mode choices yet';
+    const chart = this.createChart(size, size, label);
+
+    chart.appendChild(this.svg('rect', {
+      x: padding, y: padding, width: inner, height: inner, class: 'chart-track grid-frame'
+    }));
+
+    const xAxis = this.svg('text', { x: size / 2, y: size - 6, class: 'chart-axis', 'text-anchor': 'middle' });
+    xAxis.textContent = 'Cooperativeness →';
+    const yAxis = this.svg('text', {
+      x: 12, y: size / 2, class: 'chart-axis', 'text-anchor': 'middle',
+      transform: `rotate(-90 12 ${size / 2})`
+    });
+    yAxis.textContent = 'Assertiveness →';
+    chart.append(xAxis, yAxis);
+
+    Object.entries(this.modePositions).forEach(([mode, position]) => {
+      const radius = 4 + Math.sqrt(counts[mode] || 0) * 3;
+      chart.appendChild(this.svg('circle', {
+        cx: toX(position.x), cy: toY(position.y), r: radius, class: 'chart-bar grid-mode', 'data-strategy': mode
+      }));
+      const name = this.svg('text', {
+        x: toX(position.x), y: toY(position.y) + radius + 12, class: 'chart-value', 'text-anchor': 'middle'
+      });
+      name.textContent = this.uiManager.formatStrategyName(mode);
+      chart.appendChild(name);
+    });
+
+    if (total > 0) {
+      chart.appendChild(this.svg('circle', {
+        cx: toX(sumX / total), cy: toY(sumY / total), r: 7, class: 'grid-you'
+      }));
+    }
+
+    return chart;
+  }
+
+  /**
+   * List of completed/total bars
+   * @param {string} title - List heading
+   * @param {Array} groups - [{ label, completed, total }]
+   */
+  createProgressList(title, groups) {
+    const wrapper = document.createElement('div');
+
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    wrapper.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.className = 'dashboard-progress-list';
+
+    groups.filter(group => group.total > 0).forEach(group => {
+      const item = document.createElement('li');
+
+      const label = document.createElement('span');
+      label.textContent = `${group.label}: ${group.completed} of ${group.total}`;
+
+      const meter = document.createElement('progress');
+      meter.max = group.total;
+      meter.value = group.completed;
+      meter.setAttribute('aria-label', `${group.label} completed`);
+
+      item.append(label, meter);
+      list.appendChild(item);
+    });
+
+    wrapper.appendChild(list);
+    return wrapper;
+  }
+
+  /**
+   * Line chart of average effectiveness per completed run
+   * @param {Array} points - [{ completedAt, scenarioId, average }]
+   */
+  createTrendChart(points) {
+    const width = 420;
+    const height = 200;
+    const padding = { top: 12, right: 16, bottom: 28, left: 36 };
+    const innerWidth = width - padding.left - padding.right;
+    const innerHeight = height - padding.top - padding.bottom;
+    const toX = index => padding.left + (index / (points.length - 1)) * innerWidth;
+    const toY = score => padding.top + (1 - (score - 1) / 4) * innerHeight;
+
+    const first = points[0].average.toFixed(1);
+    const last = points[points.length - 1].average.toFixed(1);
+    const chart = this.createChart(width, height,
+      `Average effectiveness over ${points.length} completed play-throughs, from ${first} to ${last} out of 5`);
+
+    [1, 3, 5].forEach(score => {
+      chart.appendChild(this.svg('line', {
+        x1: padding.left, x2: width - padding.right, y1: toY(score), y2: toY(score), class: 'chart-gridline'
+      }));
+      const tick = this.svg('text', { x: padding.left - 8, y: toY(score) + 4, class: 'chart-axis', 'text-anchor': 'end' });
+      tick.textContent = score;
+      chart.appendChild(tick);
+    });
+
+    const firstDate = this.svg('text', { x: padding.left, y: height - 8, class: 'chart-axis' });
+    firstDate.textContent = new Date(points[0].completedAt).toLocaleDateString();
+    const lastDate = this.svg('text', { x: width - padding.right, y: height - 8, class: 'chart-axis', 'text-anchor': 'end' });
+    lastDate.textContent = new Date(points[points.length - 1].completedAt).toLocaleDateString();
+    chart.append(firstDate, lastDate);
+
+    chart.appendChild(this.svg('polyline', {
+      points: points.map((point, index) => `${toX(index)},${toY(point.average)}`).join(' '),
+      class: 'chart-line'
+    }));
+
+    points.forEach((point, index) => {
+      const dot = this.svg('circle', { cx: toX(index), cy: toY(point.average), r: 4, class: 'chart-point' });
+      const tooltip = this.svg('title');
+      tooltip.textContent = `${this.gameEngine.getScenarioTitle(point.scenarioId)} – ${new Date(point.completedAt).toLocaleDateString()}: ${point.average.toFixed(1)} / 5`;
+      dot.appendChild(tooltip);
+      chart.appendChild(dot);
+    });
+
+    return chart;
+  }
+}
+
+// Create global instance
+window.profileDashboard = new ProfileDashboard();
@@ -0,0 +1,269 @@
+/**
+ * PROFILE PICKER - Learner profiles and save slots on the welcome screen
+ * Lets several trainees share one machine and keep more than one scenario in progress
+ */
+
+class ProfilePicker {
+  constructor() {
+    this.storage = window.storageManager;
+    this.gameEngine = window.gameEngine;
+    this.uiManager = window.uiManager;
+
+    // 'create' or 'rename' while the name form is open
+    this.formMode = null;
+
+    // DOM elements
+    this.elements = {};
+
+    // Initialize after DOM loads
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.initializeElements());
+    } else {
+      this.initializeElements();
+    }
+  }
+
+  /**
+   * Initialize DOM element references and event listeners
+   */
+  initializeElements() {
+    this.elements = {
+      container: document.getElementById('profile-picker'),
+      profileSelect: document.getElementById('profile-select'),
+      newBtn: document.getElementById('profile-new-btn'),
+      renameBtn: document.getElementById('profile-rename-btn'),
+      deleteBtn: document.getElementById('profile-delete-btn'),
+      form: document.getElementById('profile-form'),
+      formLabel: document.getElementById('profile-form-label'),
+      nameInput: document.getElementById('profile-name-input'),
+      formCancelBtn: document.getElementById('profile-form-cancel-btn'),
+      slotList: document.getElementById('save-slot-list')
+    };
+
+    if (!this.elements.container) return;
+
+    this.setupEventListeners();
+    this.render();
+  }
+
+  /**
+   * Set up event listeners for profile controls
+   */
+  setupEventListeners() {
+    this.elements.profileSelect.addEventListener('change', () => {
+      this.switchProfile(this.elements.profileSelect.value);
+    });
+
+    this.elements.newBtn.addEventListener('click', () => {
+      this.openForm('create');
+    });
+
+    this.elements.renameBtn.addEventListener('click', () => {
+      this.openForm('rename');
+    });
+
+    this.elements.deleteBtn.addEventListener('click', () => {
+      this.deleteActiveProfile();
+    });
+
+    this.elements.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submitForm();
+    });
+
+    this.elements.formCancelBtn.addEventListener('click', () => {
+      this.closeForm();
+      this.elements.profileSelect.focus();
+    });
+  }
+
+  /**
+   * Render the profile list and the active profile's save slots
+   */
+  render() {
+    if (!this.elements.container) return;
+
+    const profiles = this.storage.getProfiles();
+
+    this.elements.profileSelect.innerHTML = '';
+    profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      option.selected = profile.isActive;
+      this.elements.profileSelect.appendChild(option);
+    });
+
+    this.elements.deleteBtn.disabled = profiles.length <= 1;
+
+    this.renderSaveSlots();
+  }
+
+  /**
+   * Render one card per save slot in the active profile
+   */
+  renderSaveSlots() {
+    this.elements.slotList.innerHTML = '';
+
+    this.storage.getSaveSlots().forEach(slot => {
+      const card = document.createElement('div');
+      card.className = `save-slot${slot.isActive ? ' active' : ''}`;
+
+      const selectButton = document.createElement('button');
+      selectButton.type = 'button';
+      selectButton.className = 'save-slot-select';
+      selectButton.setAttribute('aria-pressed', slot.isActive ? 'true' : 'false');
+
+      const name = document.createElement('span');
+      name.className = 'save-slot-name';
+      name.textContent = `Slot ${slot.number}`;
+
+      const summary = document.createElement('span');
+      summary.className = 'save-slot-summary';
+      summary.textContent = this.describeSlot(slot);
+
+      selectButton.appendChild(name);
+      selectButton.appendChild(summary);
+      selectButton.addEventListener('click', () => {
+        this.selectSlot(slot.id);
+      });
+      card.appendChild(selectButton);
+
+      if (slot.isActive && slot.progress) {
+        const continueButton = document.createElement('button');
+        continueButton.type = 'button';
+        continueButton.className = 'settings-button primary save-slot-continue';
+        continueButton.textContent = 'Continue';
+        continueButton.addEventListener('click', () => {
+          window.conflictTrainingApp.handleSavedProgress(slot.progress, { prompt: false });
+        });
+        card.appendChild(continueButton);
+      }
+
+      this.elements.slotList.appendChild(card);
+    });
+  }
+
+  /**
+   * Describe what is saved in a slot
+   * @param {Object} slot - Slot summary from StorageManager.getSaveSlots
+   * @returns {string} Short description
+   */
+  describeSlot(slot) {
+    if (!slot.progress) {
+      return slot.isActive ? 'Empty – pick a scenario below to start' : 'Empty';
+    }
+
+    const choices = slot.progress.choiceHistory.length;
+    const parts = [
+      this.gameEngine.getScenarioTitle(slot.progress.currentScenario),
+      `${choices} ${choices === 1 ? 'choice' : 'choices'}`
+    ];
+
+    const lastChoice = slot.progress.choiceHistory[choices - 1];
+    if (lastChoice && lastChoice.timestamp) {
+      parts.push(new Date(lastChoice.timestamp).toLocaleDateString());
+    }
+
+    return parts.join(' · ');
+  }
+
+  /**
+   * Switch learner and refresh everything that depends on their data
+   * @param {string} profileId - Profile to activate
+   */
+  switchProfile(profileId) {
+    if (!this.storage.switchProfile(profileId)) {
+      this.render();
+      return;
+    }
+
+    this.closeForm();
+    this.refreshApp();
+    this.uiManager.announceToScreenReader(`Switched to ${this.storage.getActiveProfile().name}`);
+  }
+
+  /**
+   * Make a save slot the one new progress is written to
+   * @param {string} slotId - Slot to activate
+   */
+  selectSlot(slotId) {
+    if (!this.storage.setActiveSlot(slotId)) return;
+
+    this.gameEngine.unloadScenario();
+    this.renderSaveSlots();
+
+    const slot = this.storage.getSaveSlots().find(s => s.id === slotId);
+    this.uiManager.announceToScreenReader(`Slot ${slot.number} selected. ${this.describeSlot(slot)}`);
+  }
+
+  /**
+   * Reload preferences, scenario list and slots for the active profile
+   */
+  refreshApp() {
+    this.gameEngine.unloadScenario();
+    this.uiManager.applyPreferences();
+    this.uiManager.renderScenarioList();
+    this.render();
+  }
+
+  /**
+   * Show the name form for a new or renamed profile
+   * @param {string} mode - 'create' or 'rename'
+   */
+  openForm(mode) {
+    this.formMode = mode;
+    this.elements.formLabel.textContent = mode === 'create' ? 'New profile name' : 'Rename profile';
+    this.elements.nameInput.value = mode === 'rename' ? this.storage.getActiveProfile().name : '';
+    this.elements.form.hidden = false;
+    this.elements.nameInput.focus();
+  }
+
+  closeForm() {
+    this.formMode = null;
+    this.elements.form.hidden = true;
+  }
+
+  /**
+   * Create or rename a profile from the name form
+   */
+  submitForm() {
+    const name = this.elements.nameInput.value.trim();
+    if (!name) return;
+
+    if (this.formMode === 'create') {
+      if (this.storage.createProfile(name)) {
+        this.closeForm();
+        this.refreshApp();
+        this.uiManager.announceToScreenReader(`Created profile ${name}`);
+      }
+    } else if (this.formMode === 'rename') {
+      if (this.storage.renameProfile(this.storage.getActiveProfile().id, name)) {
+        this.closeForm();
+        this.render();
+        this.uiManager.announceToScreenReader(`Profile renamed to ${name}`);
+      }
+    }
+
+    this.elements.profileSelect.focus();
+  }
+
+  /**
+   * Delete the active profile after confirmation
+   */
+  deleteActiveProfile() {
+    const profile = this.storage.getActiveProfile();
+
+    if (!confirm(`Delete ${profile.name}? Their progress, statistics and save slots will be removed from this device.`)) {
+      return;
+    }
+
+    if (this.storage.deleteProfile(profile.id)) {
+      this.refreshApp();
+      this.uiManager.announceToScreenReader(`Deleted profile ${profile.name}`);
+    }
+  }
+}
+
+// Create global instance
+window.profilePicker = new ProfilePicker();
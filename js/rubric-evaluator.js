@@ -0,0 +1,238 @@
+/**
+ * RUBRIC EVALUATOR - Score a typed reply on a free-text node against its author-written rubric
+ * A reply earns points for each concept it mentions and for owning its view with an "I" statement,
+ * and loses points for banned phrases such as blame language. The score picks one of the node's
+ * choices through the rubric's bands. Everything runs locally, so it works offline.
+ */
+
+class RubricEvaluator {
+  constructor() {
+    // Replies shorter than this are sent back before scoring
+    this.defaultMinWords = 3;
+
+    // "I feel", "I'm worried", "I noticed", "I'd like"... owning a feeling, need or observation
+    this.defaultIStatementPatterns = [
+      "\\bi(?:'m| am| feel| felt| think| notice| noticed| want| need| would|'d| hope| appreciate| care| understand| see| hear| can| will|'ll|'ve)\\b"
+    ];
+  }
+
+  /**
+   * Lower-case the text and straighten curly quotes so keywords match however the reply was typed
+   * @param {string} text - Text to normalize
+   * @returns {string} Normalized text
+   */
+  normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[‘’ʼ]/g, "'")
+      .replace(/[“”]/g, '"')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  countWords(text) {
+    const normalized = this.normalize(text);
+    return normalized ? normalized.split(' ').length : 0;
+  }
+
+  /**
+   * Check for a keyword or phrase at the start of a word, so "support" also matches "supporting"
+   * @param {string} normalizedText - Reply after normalize()
+   * @param {string} phrase - Keyword or phrase from the rubric
+   * @returns {boolean} True if the phrase appears
+   */
+  containsPhrase(normalizedText, phrase) {
+    const needle = this.normalize(phrase);
+    if (!needle) return false;
+
+    const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9'])${escaped}`).test(normalizedText);
+  }
+
+  /**
+   * Score a reply
+   * @param {Object} response - The node's response block ({ rubric, bands, ... })
+   * @param {string} text - What the learner typed
+   * @returns {Object} { text, score, matched, missed, banned, iStatement } where matched and missed
+   *   are concept labels, banned is [{ label, phrases }] and iStatement is null when the rubric doesn't score it
+   */
+  evaluate(response, text) {
+    const rubric = (response && response.rubric) || {};
+    const reply = this.normalize(text);
+    const result = { text: String(text).trim(), score: 0, matched: [], missed: [], banned: [], iStatement: null };
+
+    let possible = 0;
+    let earned = 0;
+
+    (rubric.concepts || []).forEach(concept => {
+      const points = concept.points !== undefined ? concept.points : 1;
+      possible += points;
+
+      if ((concept.keywords || []).some(keyword => this.containsPhrase(reply, keyword))) {
+        earned += points;
+        result.matched.push(concept.label);
+      } else {
+        result.missed.push(concept.label);
+      }
+    });
+
+    if (rubric.iStatements) {
+      const points = rubric.iStatements.points !== undefined ? rubric.iStatements.points : 1;
+      const patterns = rubric.iStatements.patterns || this.defaultIStatementPatterns;
+      possible += points;
+
+      result.iStatement = patterns.some(pattern => new RegExp(pattern, 'i').test(reply));
+      if (result.iStatement) {
+        earned += points;
+      }
+    }
+
+    (rubric.banned || []).forEach(group => {
+      const found = (group.phrases || []).filter(phrase => this.containsPhrase(reply, phrase));
+      if (found.length > 0) {
+        earned -= group.points !== undefined ? group.points : 1;
+        result.banned.push({ label: group.label, phrases: found });
+      }
+    });
+
+    if (possible > 0) {
+      result.score = Math.round(Math.min(100, Math.max(0, (earned / possible) * 100)));
+    }
+
+    return result;
+  }
+
+  /**
+   * Pick the choice for a score: the highest band the score reaches whose choice is available.
+   * A score below every band takes the lowest available band.
+   * @param {Object} response - The node's response block
+   * @param {number} score - Score from evaluate()
+   * @param {Array<string>} availableChoiceIds - Choices the learner could take right now
+   * @returns {string|null} Choice id, or null if no band's choice is available
+   */
+  selectChoice(response, score, availableChoiceIds) {
+    const bands = ((response && response.bands) || [])
+      .filter(band => availableChoiceIds.includes(band.choice))
+      .sort((a, b) => (b.minScore || 0) - (a.minScore || 0));
+
+    if (bands.length === 0) return null;
+
+    const reached = bands.find(band => score >= (band.minScore || 0));
+    return (reached || bands[bands.length - 1]).choice;
+  }
+
+  /**
+   * Check a node's response block
+   * @param {Object} response - The node's response block
+   * @param {Array<string>} choiceIds - Ids of the node's choices
+   * @param {string} path - JSON path of the response block, for messages
+   * @returns {Array} Problems as { path, message, warning } where warning marks the ones that aren't errors
+   */
+  validateResponse(response, choiceIds, path) {
+    const problems = [];
+    const problem = (subPath, message, warning = false) => problems.push({ path: `${path}${subPath}`, message, warning });
+    const isPoints = value => value === undefined || (typeof value === 'number' && value >= 0);
+    const isPhraseList = value => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.trim());
+
+    if (!response || typeof response !== 'object' || Array.isArray(response)) {
+      problem('', 'Response must be an object');
+      return problems;
+    }
+
+    if (!response.prompt) {
+      problem('.prompt', 'Response is missing a prompt', true);
+    }
+    if ('minWords' in response && !(Number.isInteger(response.minWords) && response.minWords >= 1)) {
+      problem('.minWords', 'minWords must be a whole number of at least 1');
+    }
+
+    const rubric = response.rubric;
+    if (!rubric || typeof rubric !== 'object' || Array.isArray(rubric)) {
+      problem('.rubric', 'Response is missing a rubric');
+    } else {
+      ['concepts', 'banned'].forEach(key => {
+        if (key in rubric && !Array.isArray(rubric[key])) {
+          problem(`.rubric.${key}`, `${key} must be a list`);
+        }
+      });
+
+      (Array.isArray(rubric.concepts) ? rubric.concepts : []).forEach((concept, index) => {
+        const conceptPath = `.rubric.concepts[${index}]`;
+        if (!concept || !concept.label) {
+          problem(`${conceptPath}.label`, 'Concept is missing a label');
+        }
+        if (!concept || !isPhraseList(concept.keywords)) {
+          problem(`${conceptPath}.keywords`, 'Concept needs a list of keywords');
+        }
+        if (concept && !isPoints(concept.points)) {
+          problem(`${conceptPath}.points`, 'Points must be a non-negative number');
+        }
+      });
+
+      (Array.isArray(rubric.banned) ? rubric.banned : []).forEach((group, index) => {
+        const groupPath = `.rubric.banned[${index}]`;
+        if (!group || !group.label) {
+          problem(`${groupPath}.label`, 'Banned phrases are missing a label');
+        }
+        if (!group || !isPhraseList(group.phrases)) {
+          problem(`${groupPath}.phrases`, 'Banned phrases need a list of phrases');
+        }
+        if (group && !isPoints(group.points)) {
+          problem(`${groupPath}.points`, 'Points must be a non-negative number');
+        }
+      });
+
+      if (rubric.iStatements !== undefined) {
+        const iStatements = rubric.iStatements;
+        if (!iStatements || typeof iStatements !== 'object' || Array.isArray(iStatements)) {
+          problem('.rubric.iStatements', 'iStatements must be an object');
+        } else {
+          if (!isPoints(iStatements.points)) {
+            problem('.rubric.iStatements.points', 'Points must be a non-negative number');
+          }
+          (iStatements.patterns || []).forEach((pattern, index) => {
+            try {
+              new RegExp(pattern, 'i');
+            } catch (error) {
+              problem(`.rubric.iStatements.patterns[${index}]`, `Invalid pattern: ${error.message}`);
+            }
+          });
+        }
+      }
+
+      const hasConcepts = Array.isArray(rubric.concepts) && rubric.concepts.length > 0;
+      if (!hasConcepts && !rubric.iStatements) {
+        problem('.rubric', 'Rubric needs concepts or iStatements to score replies; without them every reply scores 0');
+      }
+    }
+
+    if (!Array.isArray(response.bands) || response.bands.length === 0) {
+      problem('.bands', 'Response needs bands that map scores to choices');
+    } else {
+      response.bands.forEach((band, index) => {
+        const bandPath = `.bands[${index}]`;
+        if (!band || !choiceIds.includes(band.choice)) {
+          problem(`${bandPath}.choice`, `Band choice "${band && band.choice}" is not one of this node's choices`);
+        }
+        if (band && 'minScore' in band && !(typeof band.minScore === 'number' && band.minScore >= 0 && band.minScore <= 100)) {
+          problem(`${bandPath}.minScore`, 'minScore must be a number from 0 to 100');
+        }
+      });
+
+      if (!response.bands.some(band => band && !band.minScore)) {
+        problem('.bands', 'No band starts at 0, so low scores take the lowest band', true);
+      }
+    }
+
+    return problems;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.rubricEvaluator = new RubricEvaluator();
+}
+
+// Allow Node-based authoring tools to check rubrics
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RubricEvaluator;
+}
@@ -0,0 +1,1373 @@
+/**
+ * SCENARIO EDITOR - Visual authoring for branching scenario JSON
+ * Shows the decision tree as a graph, edits nodes/choices/characters in forms,
+ * validates live and previews nodes with the trainer's own UIManager renderers
+ */
+
+class ScenarioEditor {
+  constructor() {
+    this.draftKey = 'conflict-training-editor-draft';
+    this.scenario = null;
+    this.scenarioIndex = null;
+    this.selectedNodeId = 'start';
+    this.activeTab = 'node';
+    this.previewMode = 'visual-novel';
+    this.report = null;
+
+    this.storage = window.storageManager;
+    this.gameEngine = window.gameEngine;
+    this.uiManager = window.uiManager;
+    this.validator = window.scenarioValidator;
+    this.rubricEvaluator = window.rubricEvaluator;
+
+    this.nodeTypes = ['scene', 'outcome', 'resolution', 'branch'];
+    this.strategies = [...this.storage.strategies];
+
+    // DOM elements
+    this.elements = {};
+
+    // Initialize after DOM loads
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.initialize());
+    } else {
+      this.initialize();
+    }
+  }
+
+  /**
+   * Initialize the editor
+   */
+  async initialize() {
+    this.elements = {
+      scenarioSelect: document.getElementById('editor-scenario-select'),
+      fileInput: document.getElementById('editor-file-input'),
+      newBtn: document.getElementById('editor-new-btn'),
+      downloadBtn: document.getElementById('editor-download-btn'),
+      indexBtn: document.getElementById('editor-index-btn'),
+      addNodeBtn: document.getElementById('editor-add-node-btn'),
+      previewModeBtn: document.getElementById('editor-preview-mode-btn'),
+      graph: document.getElementById('editor-graph'),
+      form: document.getElementById('editor-form'),
+      tabs: document.querySelectorAll('.editor-tab'),
+      preview: document.getElementById('editor-preview'),
+      validation: document.getElementById('editor-validation'),
+      validationSummary: document.getElementById('editor-validation-summary')
+    };
+
+    this.setupEventListeners();
+    this.loadScenario(this.loadDraft() || this.createBlankScenario());
+
+    await this.loadLibrary();
+
+    console.log('Scenario Editor initialized');
+  }
+
+  /**
+   * Set up toolbar and tab listeners
+   */
+  setupEventListeners() {
+    this.elements.scenarioSelect.addEventListener('change', (e) => {
+      if (e.target.value) {
+        this.openLibraryScenario(e.target.value);
+      }
+    });
+
+    this.elements.fileInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        this.openFile(file);
+      }
+      e.target.value = '';
+    });
+
+    this.elements.newBtn.addEventListener('click', () => {
+      if (this.confirmReplace()) {
+        this.loadScenario(this.createBlankScenario());
+      }
+    });
+
+    this.elements.downloadBtn.addEventListener('click', () => {
+      this.downloadJson(`${this.scenario.id}.json`, this.scenario);
+    });
+
+    this.elements.indexBtn.addEventListener('click', () => {
+      this.downloadJson(`${this.scenario.id}-index-entry.json`, this.getIndexEntry());
+    });
+
+    this.elements.addNodeBtn.addEventListener('click', () => {
+      this.selectNode(this.addNode());
+    });
+
+    this.elements.previewModeBtn.addEventListener('click', () => {
+      this.previewMode = this.previewMode === 'visual-novel' ? 'text-adventure' : 'visual-novel';
+      this.elements.previewModeBtn.textContent =
+        this.previewMode === 'visual-novel' ? 'Text adventure' : 'Visual novel';
+      this.renderPreview();
+    });
+
+    this.elements.tabs.forEach(tab => {
+      tab.addEventListener('click', () => {
+        this.activeTab = tab.getAttribute('data-tab');
+        this.renderForm();
+      });
+    });
+  }
+
+  /**
+   * Load the scenario index so library scenarios can be opened
+   */
+  async loadLibrary() {
+    try {
+      const response = await fetch('scenarios/scenario-index.json');
+      if (!response.ok) {
+        throw new Error(`Failed to load scenario index: ${response.status}`);
+      }
+      this.scenarioIndex = await response.json();
+
+      this.scenarioIndex.scenarios.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = entry.title;
+        this.elements.scenarioSelect.appendChild(option);
+      });
+
+      // Category options depend on the index
+      this.renderForm();
+    } catch (error) {
+      console.warn('Scenario library unavailable in editor:', error);
+    }
+  }
+
+  /**
+   * Open a scenario listed in the index
+   */
+  async openLibraryScenario(scenarioId) {
+    const entry = this.scenarioIndex.scenarios.find(s => s.id === scenarioId);
+    this.elements.scenarioSelect.value = '';
+
+    if (!entry || !this.confirmReplace()) return;
+
+    try {
+      const response = await fetch(entry.file);
+      if (!response.ok) {
+        throw new Error(`Failed to load scenario: ${response.status}`);
+      }
+      this.loadScenario(await response.json());
+      this.uiManager.announceToScreenReader(`Opened ${entry.title}`);
+    } catch (error) {
+      console.error('Error opening scenario:', error);
+      alert(`Could not open ${entry.title}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a scenario JSON file from disk
+   */
+  openFile(file) {
+    if (!this.confirmReplace()) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const data = JSON.parse(reader.result);
+        if (!data.nodes) {
+          throw new Error('File has no "nodes" - is it a scenario file?');
+        }
+        this.loadScenario(data);
+        this.uiManager.announceToScreenReader(`Opened ${file.name}`);
+      } catch (error) {
+        alert(`Could not open ${file.name}: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  confirmReplace() {
+    return !this.scenario || confirm('Replace the scenario currently in the editor? Download it first if you want to keep it.');
+  }
+
+  /**
+   * Create an empty scenario with a start node
+   */
+  createBlankScenario() {
+    return {
+      id: 'scenario-new',
+      metadata: {
+        title: 'Untitled Scenario',
+        description: '',
+        category: 'communication',
+        difficulty: 'beginner',
+        estimatedTime: '5-10 minutes',
+        learningObjectives: [],
+        conflictTypes: [],
+        author: '',
+        version: '1.0',
+        dateCreated: new Date().toISOString().slice(0, 10)
+      },
+      characters: {
+        player: { name: 'You', role: 'Team Member', description: '' }
+      },
+      settings: {
+        location: '',
+        background: 'assets/images/backgrounds/office-workspace.svg'
+      },
+      nodes: {
+        start: {
+          type: 'scene',
+          content: { title: 'Opening Scene', text: '', speaker: 'narrator', emotion: 'neutral' },
+          choices: []
+        }
+      },
+      learningResources: {
+        keyTakeaways: [],
+        relatedStrategies: [],
+        furtherReading: [],
+        practiceQuestions: []
+      }
+    };
+  }
+
+  /**
+   * Replace the scenario being edited
+   */
+  loadScenario(scenario) {
+    this.scenario = scenario;
+    this.scenario.metadata = this.scenario.metadata || {};
+    this.scenario.characters = this.scenario.characters || {};
+    this.scenario.nodes = this.scenario.nodes || {};
+    this.selectedNodeId = this.scenario.nodes.start ? 'start' : Object.keys(this.scenario.nodes)[0];
+    this.activeTab = 'node';
+    this.refresh();
+    this.renderForm();
+  }
+
+  /**
+   * Re-render everything except the form (which keeps focus while typing)
+   */
+  refresh() {
+    this.report = this.validator.validate(this.scenario);
+    this.renderGraph();
+    this.renderValidation();
+    this.renderPreview();
+    this.saveDraft();
+  }
+
+  /**
+   * Select a node for editing and preview
+   */
+  selectNode(nodeId) {
+    this.selectedNodeId = nodeId;
+    this.activeTab = 'node';
+    this.refresh();
+    this.renderForm();
+  }
+
+  /**
+   * Drafts are kept in their own key so they never touch learner progress
+   */
+  saveDraft() {
+    try {
+      localStorage.setItem(this.draftKey, JSON.stringify(this.scenario));
+    } catch (error) {
+      console.warn('Could not save editor draft:', error);
+    }
+  }
+
+  loadDraft() {
+    try {
+      const stored = localStorage.getItem(this.draftKey);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.warn('Could not load editor draft:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Node and reference management
+   */
+  addNode(type = 'outcome') {
+    let count = Object.keys(this.scenario.nodes).length;
+    let nodeId = `new_node_${count}`;
+    while (this.scenario.nodes[nodeId]) {
+      nodeId = `new_node_${++count}`;
+    }
+
+    this.scenario.nodes[nodeId] = {
+      type,
+      content: { title: 'New Scene', text: '', speaker: 'narrator', emotion: 'neutral' },
+      choices: []
+    };
+
+    return nodeId;
+  }
+
+  renameNode(oldId, newId) {
+    newId = newId.trim();
+    if (!newId || newId === oldId) return false;
+
+    if (oldId === 'start') {
+      alert('The start node cannot be renamed.');
+      return false;
+    }
+    if (this.scenario.nodes[newId]) {
+      alert(`A node called "${newId}" already exists.`);
+      return false;
+    }
+
+    // Keep node order stable
+    const renamed = {};
+    for (const [nodeId, node] of Object.entries(this.scenario.nodes)) {
+      renamed[nodeId === oldId ? newId : nodeId] = node;
+    }
+    this.scenario.nodes = renamed;
+
+    // Update every reference
+    const retarget = (source) => {
+      if (source.nextNode === oldId) source.nextNode = newId;
+      (source.routes || []).forEach(route => {
+        if (route.nextNode === oldId) route.nextNode = newId;
+      });
+    };
+    Object.values(this.scenario.nodes).forEach(node => {
+      retarget(node);
+      (node.choices || []).forEach(retarget);
+    });
+
+    this.selectedNodeId = newId;
+    return true;
+  }
+
+  deleteNode(nodeId) {
+    if (nodeId === 'start') return;
+    if (!confirm(`Delete node "${nodeId}"? Choices that lead to it will be flagged by validation.`)) return;
+
+    delete this.scenario.nodes[nodeId];
+    this.selectNode('start');
+  }
+
+  /**
+   * Draw the decision tree as an SVG graph, one row per depth from the start node
+   */
+  renderGraph() {
+    const nodes = this.scenario.nodes;
+    const nodeWidth = 170;
+    const nodeHeight = 52;
+    const gapX = 24;
+    const gapY = 56;
+    const padding = 20;
+
+    // Breadth-first layering from the start node; unreachable nodes go on a final row
+    const depth = new Map();
+    const rows = [];
+    const queue = nodes.start ? ['start'] : [];
+    if (nodes.start) depth.set('start', 0);
+
+    while (queue.length > 0) {
+      const nodeId = queue.shift();
+      const level = depth.get(nodeId);
+      (rows[level] = rows[level] || []).push(nodeId);
+
+      ScenarioValidator.getTargets(nodes[nodeId]).forEach(target => {
+        if (nodes[target] && !depth.has(target)) {
+          depth.set(target, level + 1);
+          queue.push(target);
+        }
+      });
+    }
+
+    const unreachable = Object.keys(nodes).filter(nodeId => !depth.has(nodeId));
+    if (unreachable.length > 0) {
+      rows.push(unreachable);
+    }
+
+    const positions = new Map();
+    rows.forEach((row, level) => {
+      row.forEach((nodeId, column) => {
+        positions.set(nodeId, {
+          x: padding + column * (nodeWidth + gapX),
+          y: padding + level * (nodeHeight + gapY)
+        });
+      });
+    });
+
+    const widest = Math.max(1, ...rows.map(row => row.length));
+    const width = padding * 2 + widest * (nodeWidth + gapX) - gapX;
+    const height = padding * 2 + rows.length * (nodeHeight + gapY) - gapY;
+
+    const nodesWithErrors = new Set(
+      this.report.errors.map(problem => this.getNodeIdFromPath(problem.path)).filter(Boolean)
+    );
+
+    const svg = this.svgElement('svg', {
+      class: 'editor-graph-svg',
+      width: Math.max(width, 200),
+      height: Math.max(height, 100),
+      role: 'group',
+      'aria-label': 'Scenario decision tree'
+    });
+
+    const defs = this.svgElement('defs');
+    const marker = this.svgElement('marker', {
+      id: 'editor-arrow', viewBox: '0 0 10 10', refX: 9, refY: 5,
+      markerWidth: 6, markerHeight: 6, orient: 'auto-start-reverse'
+    });
+    marker.appendChild(this.svgElement('path', { d: 'M 0 0 L 10 5 L 0 10 z', class: 'graph-arrow' }));
+    defs.appendChild(marker);
+    svg.appendChild(defs);
+
+    // Edges first so nodes sit on top
+    for (const [nodeId, node] of Object.entries(nodes)) {
+      const from = positions.get(nodeId);
+      const sources = node.type === 'branch' ? [node] : (node.choices || []);
+
+      sources.forEach(source => {
+        const targets = [
+          ...(source.routes || []).map(route => ({ nodeId: route.nextNode, conditional: true })),
+          { nodeId: source.nextNode, conditional: false }
+        ];
+
+        targets.forEach(target => {
+          const to = positions.get(target.nodeId);
+          if (!from || !to) return;
+
+          const x1 = from.x + nodeWidth / 2;
+          const y1 = from.y + nodeHeight;
+          const x2 = to.x + nodeWidth / 2;
+          const y2 = to.y;
+          const bend = Math.max(30, Math.abs(y2 - y1) / 2);
+
+          svg.appendChild(this.svgElement('path', {
+            d: `M ${x1} ${y1} C ${x1} ${y1 + bend}, ${x2} ${y2 - bend}, ${x2} ${y2}`,
+            class: `graph-edge${target.conditional ? ' conditional' : ''}`,
+            'data-strategy': source.strategy || '',
+            'marker-end': 'url(#editor-arrow)'
+          }));
+        });
+      });
+    }
+
+    for (const [nodeId, node] of Object.entries(nodes)) {
+      const { x, y } = positions.get(nodeId);
+      const classes = ['graph-node', `type-${node.type || 'scene'}`];
+      if (nodeId === this.selectedNodeId) classes.push('selected');
+      if (nodesWithErrors.has(nodeId)) classes.push('has-error');
+      if (node.type === 'resolution' && node.endings && node.endings[0]) {
+        classes.push(`ending-${node.endings[0].type}`);
+      }
+
+      const title = node.content && node.content.title ? node.content.title : nodeId;
+      const group = this.svgElement('g', {
+        class: classes.join(' '),
+        transform: `translate(${x}, ${y})`,
+        tabindex: 0,
+        role: 'button',
+        'aria-label': `${title} (${node.type || 'scene'} node ${nodeId})`
+      });
+
+      group.appendChild(this.svgElement('rect', { width: nodeWidth, height: nodeHeight, rx: 10 }));
+
+      const label = this.svgElement('text', { x: 10, y: 21, class: 'graph-node-title' });
+      label.textContent = this.uiManager.truncateText(title, 22);
+      group.appendChild(label);
+
+      const meta = this.svgElement('text', { x: 10, y: 40, class: 'graph-node-meta' });
+      meta.textContent = this.uiManager.truncateText(`${node.type || 'scene'} · ${nodeId}`, 26);
+      group.appendChild(meta);
+
+      group.addEventListener('click', () => this.selectNode(nodeId));
+      group.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          this.selectNode(nodeId);
+        }
+      });
+
+      svg.appendChild(group);
+    }
+
+    this.elements.graph.innerHTML = '';
+    this.elements.graph.appendChild(svg);
+  }
+
+  svgElement(tag, attributes = {}) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    for (const [name, value] of Object.entries(attributes)) {
+      element.setAttribute(name, value);
+    }
+    return element;
+  }
+
+  /**
+   * List validation problems; clicking one selects the node it belongs to
+   */
+  renderValidation() {
+    const { errors, warnings } = this.report;
+    const list = this.elements.validation;
+    list.innerHTML = '';
+
+    this.elements.validationSummary.textContent = errors.length === 0 && warnings.length === 0 ?
+      '✓ No problems' : `${errors.length} errors, ${warnings.length} warnings`;
+    this.elements.validationSummary.classList.toggle('has-errors', errors.length > 0);
+
+    const addProblem = (problem, severity) => {
+      const item = document.createElement('li');
+      item.className = `editor-problem ${severity}`;
+
+      const nodeId = this.getNodeIdFromPath(problem.path);
+      const button = document.createElement('button');
+      button.className = 'editor-problem-button';
+      button.disabled = !nodeId || !this.scenario.nodes[nodeId];
+
+      const path = document.createElement('code');
+      path.textContent = problem.path;
+      button.appendChild(path);
+      button.appendChild(document.createTextNode(` ${problem.message}`));
+      button.addEventListener('click', () => this.selectNode(nodeId));
+
+      item.appendChild(button);
+      list.appendChild(item);
+    };
+
+    errors.forEach(problem => addProblem(problem, 'error'));
+    warnings.forEach(problem => addProblem(problem, 'warning'));
+  }
+
+  getNodeIdFromPath(path) {
+    const match = /^\$\.nodes(?:\.([A-Za-z_$][\w$]*)|\[("(?:[^"\\]|\\.)*")\])/.exec(path);
+    if (!match) return null;
+    return match[1] || JSON.parse(match[2]);
+  }
+
+  /**
+   * Preview the selected node using the trainer's renderers
+   */
+  renderPreview() {
+    const preview = this.elements.preview;
+    const node = this.scenario.nodes[this.selectedNodeId];
+    preview.innerHTML = '';
+
+    if (!node) return;
+
+    if (node.type === 'branch') {
+      const note = document.createElement('p');
+      note.className = 'editor-preview-note';
+      note.textContent = 'Routing node: players pass straight through it to the first matching route.';
+      preview.appendChild(note);
+      return;
+    }
+
+    // Point the engine at the draft without touching saved progress
+    this.gameEngine.currentScenario = this.scenario;
+    this.gameEngine.currentNode = this.selectedNodeId;
+    this.gameEngine.choiceHistory = [];
+    this.gameEngine.variables = this.gameEngine.getInitialVariables();
+
+    const previousMode = this.uiManager.currentViewMode;
+    this.uiManager.currentViewMode = this.previewMode;
+
+    const container = document.createElement('div');
+    container.className = this.previewMode === 'visual-novel' ? 'visual-novel-mode' : 'text-adventure-mode';
+
+    try {
+      node.content = node.content || {};
+      if (this.previewMode === 'visual-novel') {
+        this.uiManager.renderVisualNovelMode(container, node);
+      } else {
+        this.uiManager.renderTextAdventureMode(container, node);
+      }
+      this.uiManager.renderChoices(container, node);
+      if (node.feedback) {
+        this.uiManager.renderFeedback(container, node.feedback);
+      }
+      if (node.type === 'resolution') {
+        this.uiManager.renderDebrief(container);
+        container.querySelector('.debrief-actions')?.remove();
+      }
+    } catch (error) {
+      console.error('Error rendering preview:', error);
+      container.textContent = `Preview unavailable: ${error.message}`;
+    } finally {
+      this.uiManager.currentViewMode = previousMode;
+    }
+
+    // Preview choices follow the branch in the editor instead of playing the scenario
+    container.querySelectorAll('.choice-button').forEach(button => {
+      const clone = button.cloneNode(true);
+      clone.addEventListener('click', () => {
+        const choice = (node.choices || []).find(c => c.id === clone.getAttribute('data-choice-id'));
+        if (choice && this.scenario.nodes[choice.nextNode]) {
+          this.selectNode(choice.nextNode);
+        }
+      });
+      button.replaceWith(clone);
+    });
+
+    // Preview replies are scored on the spot, so authors can try out the rubric
+    const responseForm = container.querySelector('.response-form');
+    if (responseForm) {
+      const clone = responseForm.cloneNode(true);
+      let review = null;
+      clone.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const result = this.rubricEvaluator.evaluate(node.response, clone.querySelector('.response-input').value);
+        const choiceId = this.rubricEvaluator.selectChoice(node.response, result.score, (node.choices || []).map(choice => choice.id));
+        const choice = (node.choices || []).find(c => c.id === choiceId);
+
+        review?.remove();
+        review = this.uiManager.renderResponseReview(result);
+        const outcome = document.createElement('p');
+        outcome.className = 'editor-preview-note';
+        outcome.textContent = choice ? `Leads to "${choice.id}" → ${choice.nextNode || '(no next node)'}` : 'No band leads to a choice for this score';
+        review.appendChild(outcome);
+        clone.after(review);
+      });
+      responseForm.replaceWith(clone);
+    }
+
+    preview.appendChild(container);
+  }
+
+  /**
+   * Render the active form tab
+   */
+  renderForm() {
+    this.elements.tabs.forEach(tab => {
+      const isActive = tab.getAttribute('data-tab') === this.activeTab;
+      tab.classList.toggle('active', isActive);
+      tab.setAttribute('aria-selected', isActive);
+    });
+
+    const form = this.elements.form;
+    form.innerHTML = '';
+
+    if (this.activeTab === 'scenario') {
+      this.renderScenarioForm(form);
+    } else if (this.activeTab === 'characters') {
+      this.renderCharactersForm(form);
+    } else {
+      this.renderNodeForm(form);
+    }
+  }
+
+  renderNodeForm(form) {
+    const nodeId = this.selectedNodeId;
+    const node = this.scenario.nodes[nodeId];
+    if (!node) {
+      form.textContent = 'Select a node in the decision tree.';
+      return;
+    }
+
+    const idInput = this.textInput(nodeId, null);
+    idInput.disabled = nodeId === 'start';
+    idInput.addEventListener('change', () => {
+      if (this.renameNode(nodeId, idInput.value)) {
+        this.refresh();
+      }
+      this.renderForm();
+    });
+    form.appendChild(this.field('Node ID', idInput));
+
+    form.appendChild(this.field('Type', this.selectInput(this.nodeTypes, node.type || 'scene', (value) => {
+      node.type = value;
+      if (value === 'branch') {
+        node.routes = node.routes || [];
+      } else {
+        node.content = node.content || { title: '', text: '', speaker: 'narrator', emotion: 'neutral' };
+      }
+      this.refresh();
+      this.renderForm();
+    })));
+
+    if (node.type === 'branch') {
+      this.renderRoutesEditor(form, node, 'Routes (first match wins)');
+      form.appendChild(this.field('Otherwise go to', this.nodeSelect(node.nextNode, (value) => {
+        node.nextNode = value;
+      })));
+    } else {
+      this.renderContentFields(form, node);
+      this.renderFeedbackFields(form, node);
+
+      if (node.type === 'resolution') {
+        this.renderEndingsEditor(form, node);
+      } else {
+        this.renderChoicesEditor(form, node);
+        this.renderResponseEditor(form, node);
+      }
+    }
+
+    if (nodeId !== 'start') {
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'editor-button danger';
+      deleteBtn.textContent = 'Delete node';
+      deleteBtn.addEventListener('click', () => this.deleteNode(nodeId));
+      form.appendChild(deleteBtn);
+    }
+  }
+
+  renderContentFields(form, node) {
+    const content = node.content = node.content || {};
+    const fieldset = this.fieldset('Content');
+
+    fieldset.appendChild(this.field('Title', this.textInput(content.title, (value) => {
+      content.title = value;
+    })));
+    fieldset.appendChild(this.field('Text', this.textArea(content.text, (value) => {
+      content.text = value;
+    }, 5)));
+
+    const speakers = ['narrator', ...Object.keys(this.scenario.characters).filter(key => key !== 'player')];
+    fieldset.appendChild(this.field('Speaker', this.selectInput(speakers, content.speaker || 'narrator', (value) => {
+      content.speaker = value;
+      this.refresh();
+    })));
+    fieldset.appendChild(this.field('Emotion', this.textInput(content.emotion, (value) => {
+      content.emotion = value;
+    })));
+
+    // Lines shown one at a time after the text, written as "speaker (emotion): text"
+    const dialogue = (content.dialogue || [])
+      .map(line => `${line.speaker || 'narrator'}${line.emotion ? ` (${line.emotion})` : ''}: ${line.text || ''}`)
+      .join('\n');
+    fieldset.appendChild(this.field('Dialogue lines (speaker (emotion): text)', this.textArea(dialogue, (value) => {
+      const lines = value.split('\n').map(line => line.match(/^\s*([\w-]+)\s*(?:\(([^)]*)\))?\s*:\s*(.*)$/)).filter(Boolean)
+        .map(([, speaker, emotion, text]) => (emotion && emotion.trim() ?
+          { speaker, emotion: emotion.trim(), text } : { speaker, text }));
+      if (lines.length > 0) {
+        content.dialogue = lines;
+      } else {
+        delete content.dialogue;
+      }
+    }, 4)));
+
+    form.appendChild(fieldset);
+  }
+
+  renderFeedbackFields(form, node) {
+    const fieldset = this.fieldset('Feedback');
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = Boolean(node.feedback);
+    toggle.addEventListener('change', () => {
+      if (toggle.checked) {
+        node.feedback = { strategy: this.strategies[0], effectiveness: 'medium', explanation: '', skillsUsed: [], consequences: '' };
+      } else {
+        delete node.feedback;
+      }
+      this.refresh();
+      this.renderForm();
+    });
+    fieldset.appendChild(this.field('Show feedback for this node', toggle, true));
+
+    if (node.feedback) {
+      const feedback = node.feedback;
+      fieldset.appendChild(this.field('Strategy', this.selectInput(this.strategies, feedback.strategy, (value) => {
+        feedback.strategy = value;
+        this.refresh();
+      }, (value) => this.uiManager.formatStrategyName(value))));
+      fieldset.appendChild(this.field('Effectiveness', this.selectInput(this.validator.effectivenessLevels, feedback.effectiveness, (value) => {
+        feedback.effectiveness = value;
+        this.refresh();
+      }, (value) => this.uiManager.formatEffectiveness(value))));
+      fieldset.appendChild(this.field('Explanation', this.textArea(feedback.explanation, (value) => {
+        feedback.explanation = value;
+      }, 3)));
+      fieldset.appendChild(this.field('Skills used (comma separated)', this.textInput((feedback.skillsUsed || []).join(', '), (value) => {
+        feedback.skillsUsed = value.split(',').map(skill => skill.trim()).filter(Boolean);
+      })));
+      fieldset.appendChild(this.field('Consequences', this.textArea(feedback.consequences, (value) => {
+        feedback.consequences = value;
+      }, 2)));
+    }
+
+    form.appendChild(fieldset);
+  }
+
+  renderChoicesEditor(form, node) {
+    const fieldset = this.fieldset('Choices');
+    node.choices = node.choices || [];
+
+    node.choices.forEach((choice, index) => {
+      const card = document.createElement('div');
+      card.className = 'editor-card';
+
+      card.appendChild(this.field('Choice ID', this.textInput(choice.id, (value) => {
+        choice.id = value.trim();
+      })));
+      card.appendChild(this.field('Text', this.textArea(choice.text, (value) => {
+        choice.text = value;
+      }, 2)));
+      card.appendChild(this.field('Strategy', this.selectInput(['', ...this.strategies], choice.strategy || '', (value) => {
+        if (value) {
+          choice.strategy = value;
+        } else {
+          delete choice.strategy;
+        }
+        this.refresh();
+      }, (value) => value ? this.uiManager.formatStrategyName(value) : '(none)')));
+      card.appendChild(this.field('Leads to', this.nodeSelect(choice.nextNode, (value) => {
+        choice.nextNode = value;
+      })));
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'editor-button small danger';
+      removeBtn.textContent = 'Remove choice';
+      removeBtn.addEventListener('click', () => {
+        node.choices.splice(index, 1);
+        this.refresh();
+        this.renderForm();
+      });
+      card.appendChild(removeBtn);
+
+      fieldset.appendChild(card);
+    });
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'editor-button small';
+    addBtn.textContent = '+ Add choice';
+    addBtn.addEventListener('click', () => {
+      node.choices.push({
+        id: `${this.selectedNodeId}_choice_${node.choices.length + 1}`,
+        text: '',
+        strategy: this.strategies[0],
+        nextNode: ''
+      });
+      this.refresh();
+      this.renderForm();
+    });
+    fieldset.appendChild(addBtn);
+
+    // Timed choices: what happens when the countdown runs out
+    fieldset.appendChild(this.field('When time runs out', this.selectInput(['', ...node.choices.map(choice => choice.id)], node.timeoutChoice || '', (value) => {
+      if (value) {
+        node.timeoutChoice = value;
+      } else {
+        delete node.timeoutChoice;
+        delete node.timeLimit;
+      }
+      this.refresh();
+      this.renderForm();
+    }, (value) => value || '(no timer)')));
+
+    if (node.timeoutChoice) {
+      const timeLimit = this.textInput(node.timeLimit, (value) => {
+        if (Number(value) > 0) {
+          node.timeLimit = Number(value);
+        } else {
+          delete node.timeLimit;
+        }
+      });
+      timeLimit.type = 'number';
+      timeLimit.min = '1';
+      timeLimit.placeholder = String(this.gameEngine.defaultTimeLimit);
+      fieldset.appendChild(this.field('Seconds to choose', timeLimit));
+    }
+
+    form.appendChild(fieldset);
+  }
+
+  /**
+   * Free-text nodes: the learner types a reply and its rubric score picks one of the choices
+   */
+  renderResponseEditor(form, node) {
+    const fieldset = this.fieldset('Typed response');
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = Boolean(node.response);
+    toggle.addEventListener('change', () => {
+      if (toggle.checked) {
+        // Earlier choices start in the higher bands
+        const count = node.choices.length;
+        node.response = {
+          prompt: '',
+          rubric: { concepts: [], banned: [], iStatements: { points: 1 } },
+          bands: node.choices.map((choice, index) => ({
+            minScore: Math.round((100 * (count - 1 - index)) / count),
+            choice: choice.id
+          }))
+        };
+      } else {
+        delete node.response;
+      }
+      this.refresh();
+      this.renderForm();
+    });
+    fieldset.appendChild(this.field('Learner types a reply instead of picking a choice', toggle, true));
+
+    if (!node.response) {
+      form.appendChild(fieldset);
+      return;
+    }
+
+    const response = node.response;
+    response.rubric = response.rubric || {};
+    const rubric = response.rubric;
+
+    fieldset.appendChild(this.field('Prompt', this.textInput(response.prompt, (value) => {
+      response.prompt = value;
+    })));
+
+    const minWords = this.textInput(response.minWords, (value) => {
+      if (Number(value) >= 1) {
+        response.minWords = Math.round(Number(value));
+      } else {
+        delete response.minWords;
+      }
+    });
+    minWords.type = 'number';
+    minWords.min = '1';
+    minWords.placeholder = String(this.rubricEvaluator.defaultMinWords);
+    fieldset.appendChild(this.field('Minimum words', minWords));
+
+    // Concepts and banned phrases as "label (points): phrase, phrase"; points default to 1
+    const formatGroups = (groups, key) => (groups || [])
+      .map(group => `${group.label || ''}${group.points !== undefined && group.points !== 1 ? ` (${group.points})` : ''}: ${(group[key] || []).join(', ')}`)
+      .join('\n');
+    const parseGroups = (value, key) => value.split('\n')
+      .map(line => line.match(/^\s*([^:(]+?)\s*(?:\(\s*(\d+(?:\.\d+)?)\s*\))?\s*:\s*(.*)$/))
+      .filter(Boolean)
+      .map(([, label, points, phrases]) => {
+        const group = { label, [key]: phrases.split(',').map(phrase => phrase.trim()).filter(Boolean) };
+        if (points !== undefined && Number(points) !== 1) {
+          group.points = Number(points);
+        }
+        return group;
+      });
+
+    fieldset.appendChild(this.field('Concepts to include (label (points): keyword, keyword)', this.textArea(formatGroups(rubric.concepts, 'keywords'), (value) => {
+      rubric.concepts = parseGroups(value, 'keywords');
+    }, 4)));
+    fieldset.appendChild(this.field('Banned phrases (label (points): phrase, phrase)', this.textArea(formatGroups(rubric.banned, 'phrases'), (value) => {
+      rubric.banned = parseGroups(value, 'phrases');
+    }, 3)));
+
+    const iPoints = this.textInput(rubric.iStatements ? String(rubric.iStatements.points !== undefined ? rubric.iStatements.points : 1) : '', (value) => {
+      if (value === '') {
+        delete rubric.iStatements;
+      } else if (Number(value) >= 0) {
+        rubric.iStatements = { ...rubric.iStatements, points: Number(value) };
+      }
+    });
+    iPoints.type = 'number';
+    iPoints.min = '0';
+    iPoints.placeholder = 'Not scored';
+    fieldset.appendChild(this.field('Points for an "I" statement', iPoints));
+
+    // One score band per choice; a blank minimum leaves the choice out
+    node.choices.forEach(choice => {
+      const band = (response.bands || []).find(item => item.choice === choice.id);
+      const minScore = this.textInput(band ? String(band.minScore || 0) : '', (value) => {
+        const others = (response.bands || []).filter(item => item.choice !== choice.id);
+        response.bands = value === '' ? others : [...others, { minScore: Number(value), choice: choice.id }]
+          .sort((a, b) => b.minScore - a.minScore);
+      });
+      minScore.type = 'number';
+      minScore.min = '0';
+      minScore.max = '100';
+      minScore.placeholder = 'Not used';
+      fieldset.appendChild(this.field(`Minimum score for "${choice.id}"`, minScore));
+    });
+
+    form.appendChild(fieldset);
+  }
+
+  renderRoutesEditor(form, node, title) {
+    const fieldset = this.fieldset(title);
+    node.routes = node.routes || [];
+
+    node.routes.forEach((route, index) => {
+      const card = document.createElement('div');
+      card.className = 'editor-card';
+
+      card.appendChild(this.field('Condition', this.textInput(route.condition, (value) => {
+        if (value.trim()) {
+          route.condition = value.trim();
+        } else {
+          delete route.condition;
+        }
+      })));
+      card.appendChild(this.field('Go to', this.nodeSelect(route.nextNode, (value) => {
+        route.nextNode = value;
+      })));
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'editor-button small danger';
+      removeBtn.textContent = 'Remove route';
+      removeBtn.addEventListener('click', () => {
+        node.routes.splice(index, 1);
+        this.refresh();
+        this.renderForm();
+      });
+      card.appendChild(removeBtn);
+
+      fieldset.appendChild(card);
+    });
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'editor-button small';
+    addBtn.textContent = '+ Add route';
+    addBtn.addEventListener('click', () => {
+      node.routes.push({ condition: '', nextNode: '' });
+      this.refresh();
+      this.renderForm();
+    });
+    fieldset.appendChild(addBtn);
+
+    form.appendChild(fieldset);
+  }
+
+  renderEndingsEditor(form, node) {
+    const fieldset = this.fieldset('Endings');
+    node.endings = node.endings || [];
+
+    node.endings.forEach((ending, index) => {
+      const card = document.createElement('div');
+      card.className = 'editor-card';
+
+      card.appendChild(this.field('Type', this.selectInput(this.validator.endingTypes, ending.type, (value) => {
+        ending.type = value;
+        this.refresh();
+      })));
+      card.appendChild(this.field('Title', this.textInput(ending.title, (value) => {
+        ending.title = value;
+      })));
+      card.appendChild(this.field('Description', this.textArea(ending.description, (value) => {
+        ending.description = value;
+      }, 2)));
+      card.appendChild(this.field('Reflection question', this.textArea(ending.reflection, (value) => {
+        ending.reflection = value;
+      }, 2)));
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'editor-button small danger';
+      removeBtn.textContent = 'Remove ending';
+      removeBtn.addEventListener('click', () => {
+        node.endings.splice(index, 1);
+        this.refresh();
+        this.renderForm();
+      });
+      card.appendChild(removeBtn);
+
+      fieldset.appendChild(card);
+    });
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'editor-button small';
+    addBtn.textContent = '+ Add ending';
+    addBtn.addEventListener('click', () => {
+      node.endings.push({ type: 'success', title: '', description: '', reflection: '' });
+      this.refresh();
+      this.renderForm();
+    });
+    fieldset.appendChild(addBtn);
+
+    form.appendChild(fieldset);
+  }
+
+  renderScenarioForm(form) {
+    const scenario = this.scenario;
+    const metadata = scenario.metadata;
+    scenario.settings = scenario.settings || {};
+    scenario.learningResources = scenario.learningResources || {};
+
+    const details = this.fieldset('Details');
+    details.appendChild(this.field('Scenario ID', this.textInput(scenario.id, (value) => {
+      scenario.id = value.trim();
+    })));
+    details.appendChild(this.field('Title', this.textInput(metadata.title, (value) => {
+      metadata.title = value;
+    })));
+    details.appendChild(this.field('Description', this.textArea(metadata.description, (value) => {
+      metadata.description = value;
+    }, 3)));
+
+    const categories = this.scenarioIndex ? this.scenarioIndex.categories.map(category => category.id) : [];
+    if (metadata.category && !categories.includes(metadata.category)) {
+      categories.push(metadata.category);
+    }
+    details.appendChild(this.field('Category', categories.length > 0 ?
+      this.selectInput(categories, metadata.category, (value) => {
+        metadata.category = value;
+      }) :
+      this.textInput(metadata.category, (value) => {
+        metadata.category = value;
+      })));
+    details.appendChild(this.field('Difficulty', this.selectInput(['beginner', 'intermediate', 'advanced'], metadata.difficulty, (value) => {
+      metadata.difficulty = value;
+    })));
+    details.appendChild(this.field('Estimated time', this.textInput(metadata.estimatedTime, (value) => {
+      metadata.estimatedTime = value;
+    })));
+    details.appendChild(this.field('Learning objectives (one per line)', this.listInput(metadata, 'learningObjectives')));
+    details.appendChild(this.field('Conflict types (one per line)', this.listInput(metadata, 'conflictTypes')));
+
+    const timed = document.createElement('input');
+    timed.type = 'checkbox';
+    timed.checked = Boolean(metadata.timedChoices);
+    timed.addEventListener('change', () => {
+      if (timed.checked) {
+        metadata.timedChoices = true;
+      } else {
+        delete metadata.timedChoices;
+      }
+      this.refresh();
+    });
+    details.appendChild(this.field('Timed choices on nodes with a timeout choice', timed, true));
+    form.appendChild(details);
+
+    const settings = this.fieldset('Setting');
+    settings.appendChild(this.field('Location', this.textInput(scenario.settings.location, (value) => {
+      scenario.settings.location = value;
+    })));
+    settings.appendChild(this.field('Background image', this.textInput(scenario.settings.background, (value) => {
+      scenario.settings.background = value;
+    })));
+    form.appendChild(settings);
+
+    // Variables are edited as JSON since they take several shapes
+    const variables = this.fieldset('Variables (JSON)');
+    const variablesInput = this.textArea(JSON.stringify(scenario.variables || {}, null, 2), null, 6);
+    variablesInput.classList.add('editor-code');
+    variablesInput.addEventListener('change', () => {
+      try {
+        const parsed = JSON.parse(variablesInput.value || '{}');
+        if (Object.keys(parsed).length > 0) {
+          scenario.variables = parsed;
+        } else {
+          delete scenario.variables;
+        }
+        variablesInput.setCustomValidity('');
+        this.refresh();
+      } catch (error) {
+        variablesInput.setCustomValidity(error.message);
+        variablesInput.reportValidity();
+      }
+    });
+    variables.appendChild(variablesInput);
+    form.appendChild(variables);
+
+    const resources = this.fieldset('Learning resources (one per line)');
+    [
+      ['keyTakeaways', 'Key takeaways'],
+      ['practiceQuestions', 'Practice questions'],
+      ['relatedStrategies', 'Related strategies'],
+      ['furtherReading', 'Further reading']
+    ].forEach(([key, label]) => {
+      resources.appendChild(this.field(label, this.listInput(scenario.learningResources, key)));
+    });
+    form.appendChild(resources);
+  }
+
+  renderCharactersForm(form) {
+    const characters = this.scenario.characters;
+
+    for (const [key, character] of Object.entries(characters)) {
+      const fieldset = this.fieldset(key);
+
+      fieldset.appendChild(this.field('Name', this.textInput(character.name, (value) => {
+        character.name = value;
+      })));
+      fieldset.appendChild(this.field('Role', this.textInput(character.role, (value) => {
+        character.role = value;
+      })));
+      fieldset.appendChild(this.field('Description', this.textArea(character.description, (value) => {
+        character.description = value;
+      }, 2)));
+
+      if (key !== 'player') {
+        fieldset.appendChild(this.field('Portrait image', this.textInput(character.portrait, (value) => {
+          if (value.trim()) {
+            character.portrait = value.trim();
+          } else {
+            delete character.portrait;
+          }
+        })));
+
+        // One "emotion = image" line per expression; moods (tense, hopeful, warm) work as keys too
+        const expressions = Object.entries(character.expressions || {})
+          .map(([emotion, image]) => `${emotion} = ${image}`).join('\n');
+        fieldset.appendChild(this.field('Expressions (emotion = image, one per line)', this.textArea(expressions, (value) => {
+          const parsed = {};
+          value.split('\n').forEach(line => {
+            const [emotion, ...image] = line.split('=');
+            if (emotion.trim() && image.join('=').trim()) {
+              parsed[emotion.trim().toLowerCase()] = image.join('=').trim();
+            }
+          });
+          if (Object.keys(parsed).length > 0) {
+            character.expressions = parsed;
+          } else {
+            delete character.expressions;
+          }
+        }, 3)));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'editor-button small danger';
+        removeBtn.textContent = 'Remove character';
+        removeBtn.addEventListener('click', () => {
+          delete characters[key];
+          this.refresh();
+          this.renderForm();
+        });
+        fieldset.appendChild(removeBtn);
+      }
+
+      form.appendChild(fieldset);
+    }
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'editor-button';
+    addBtn.textContent = '+ Add character';
+    addBtn.addEventListener('click', () => {
+      const key = (prompt('Character key used as "speaker" (e.g. "taylor"):') || '').trim().toLowerCase();
+      if (!key) return;
+      if (characters[key]) {
+        alert(`A character called "${key}" already exists.`);
+        return;
+      }
+      characters[key] = { name: key.charAt(0).toUpperCase() + key.slice(1), role: '', description: '' };
+      this.refresh();
+      this.renderForm();
+    });
+    form.appendChild(addBtn);
+  }
+
+  /**
+   * Form helpers
+   */
+  fieldset(title) {
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'editor-fieldset';
+    const legend = document.createElement('legend');
+    legend.textContent = title;
+    fieldset.appendChild(legend);
+    return fieldset;
+  }
+
+  field(labelText, input, inline = false) {
+    const label = document.createElement('label');
+    label.className = `editor-field${inline ? ' inline' : ''}`;
+    const text = document.createElement('span');
+    text.className = 'editor-field-label';
+    text.textContent = labelText;
+
+    if (inline) {
+      label.appendChild(input);
+      label.appendChild(text);
+    } else {
+      label.appendChild(text);
+      label.appendChild(input);
+    }
+    return label;
+  }
+
+  textInput(value, onInput) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'editor-input';
+    input.value = value || '';
+    if (onInput) {
+      input.addEventListener('input', () => {
+        onInput(input.value);
+        this.refresh();
+      });
+    }
+    return input;
+  }
+
+  textArea(value, onInput, rows = 3) {
+    const textarea = document.createElement('textarea');
+    textarea.className = 'editor-input';
+    textarea.rows = rows;
+    textarea.value = value || '';
+    if (onInput) {
+      textarea.addEventListener('input', () => {
+        onInput(textarea.value);
+        this.refresh();
+      });
+    }
+    return textarea;
+  }
+
+  listInput(target, key) {
+    return this.textArea((target[key] || []).join('\n'), (value) => {
+      target[key] = value.split('\n').map(line => line.trim()).filter(Boolean);
+    }, 3);
+  }
+
+  selectInput(values, selected, onChange, formatLabel = (value) => value) {
+    const select = document.createElement('select');
+    select.className = 'editor-input';
+    values.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = formatLabel(value);
+      option.selected = value === selected;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  }
+
+  /**
+   * Select a target node, with an option to create a new one
+   */
+  nodeSelect(selected, onChange) {
+    const newNodeValue = '__new__';
+    const nodeIds = Object.keys(this.scenario.nodes);
+    const values = ['', ...nodeIds, newNodeValue];
+    if (selected && !nodeIds.includes(selected)) {
+      values.splice(1, 0, selected);
+    }
+
+    return this.selectInput(values, selected || '', (value) => {
+      if (value === newNodeValue) {
+        const nodeId = this.addNode();
+        onChange(nodeId);
+        this.refresh();
+        this.renderForm();
+        return;
+      }
+      onChange(value);
+      this.refresh();
+    }, (value) => {
+      if (value === '') return '(choose a node)';
+      if (value === newNodeValue) return '+ New node…';
+      return this.scenario.nodes[value] ? value : `${value} (missing)`;
+    });
+  }
+
+  /**
+   * Build the scenario-index.json entry for the current scenario
+   */
+  getIndexEntry() {
+    const metadata = this.scenario.metadata;
+    return {
+      id: this.scenario.id,
+      title: metadata.title,
+      description: metadata.description,
+      category: metadata.category,
+      difficulty: metadata.difficulty,
+      estimatedTime: metadata.estimatedTime,
+      unlocked: true,
+      conflictTypes: metadata.conflictTypes || [],
+      learningObjectives: metadata.learningObjectives || [],
+      file: `scenarios/${this.scenario.id}.json`
+    };
+  }
+
+  downloadJson(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Create global instance
+window.scenarioEditor = new ScenarioEditor();
@@ -0,0 +1,140 @@
+/**
+ * SCENARIO LIBRARY - Search, filters and grouping for the scenario list on the welcome screen
+ * Works on index entries (see GameEngine.getScenarioList) and the active profile's attempt log
+ */
+
+class ScenarioLibrary {
+  constructor() {
+    // Best ending first
+    this.endingRank = ['success', 'mixed', 'failure'];
+
+    this.defaultFilters = {
+      search: '',
+      difficulty: '',
+      status: 'all', // 'all', 'not_completed' or 'completed'
+      maxMinutes: 0  // 0 means any length
+    };
+  }
+
+  /**
+   * Summarise a learner's attempts at one scenario
+   * @param {string} scenarioId - Scenario ID
+   * @param {Array} attempts - Attempt log
+   * @param {Array<string>} completedScenarios - Completed scenario IDs, which include completions from before the attempt log
+   * @returns {Object} { attemptCount, completedCount, bestEnding } where bestEnding is { type, title },
+   *   or null when no ending was reached or the completions didn't record one
+   */
+  getRecord(scenarioId, attempts, completedScenarios = []) {
+    const own = attempts.filter(attempt => attempt.scenarioId === scenarioId);
+    let bestEnding = null;
+
+    own.forEach(attempt => {
+      if (attempt.status !== 'completed' || !attempt.ending) return;
+
+      // Later attempts win ties so the most recent title is shown
+      if (!bestEnding || this.getEndingRank(attempt.ending.type) <= this.getEndingRank(bestEnding.type)) {
+        bestEnding = attempt.ending;
+      }
+    });
+
+    const completedAttempts = own.filter(attempt => attempt.status === 'completed').length;
+    // Completed before the attempt log existed, so there is one completion with no record or ending
+    const completedEarlier = completedAttempts === 0 && completedScenarios.includes(scenarioId) ? 1 : 0;
+
+    return {
+      attemptCount: own.length + completedEarlier,
+      completedCount: completedAttempts + completedEarlier,
+      bestEnding
+    };
+  }
+
+  getEndingRank(type) {
+    const rank = this.endingRank.indexOf(type);
+    return rank === -1 ? this.endingRank.length : rank;
+  }
+
+  /**
+   * Read the range out of an estimatedTime such as "5-8 minutes" or "10 min"
+   * @param {string} estimatedTime - Free-text estimate from the index
+   * @returns {Object|null} { min, max } in minutes, or null if there is no number
+   */
+  parseMinutes(estimatedTime) {
+    const numbers = String(estimatedTime || '').match(/\d+/g);
+    if (!numbers) return null;
+
+    const values = numbers.slice(0, 2).map(Number);
+    return { min: Math.min(...values), max: Math.max(...values) };
+  }
+
+  /**
+   * Check a scenario against the current filters
+   * @param {Object} entry - Index entry
+   * @param {Object} filters - { search, difficulty, status, maxMinutes }
+   * @param {boolean} completed - Whether the learner has finished the scenario
+   * @returns {boolean} True if the scenario should be shown
+   */
+  matches(entry, filters, completed) {
+    if (filters.difficulty && entry.difficulty !== filters.difficulty) {
+      return false;
+    }
+
+    if (filters.status === 'completed' && !completed) return false;
+    if (filters.status === 'not_completed' && completed) return false;
+
+    if (filters.maxMinutes) {
+      // Scenarios without a usable estimate are not hidden by the length filter
+      const minutes = this.parseMinutes(entry.estimatedTime);
+      if (minutes && minutes.max > filters.maxMinutes) return false;
+    }
+
+    return this.matchesSearch(entry, filters.search);
+  }
+
+  /**
+   * Every word of the query must appear in the title, description, conflict types or learning objectives
+   */
+  matchesSearch(entry, query) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+
+    const text = [
+      entry.title,
+      entry.description,
+      ...(entry.conflictTypes || []),
+      ...(entry.learningObjectives || [])
+    ].filter(Boolean).join(' ').toLowerCase();
+
+    return words.every(word => text.includes(word));
+  }
+
+  /**
+   * Group scenarios by category, in the order the index lists categories
+   * @param {Array} entries - Index entries to group
+   * @param {Array} categories - Index categories ({ id, name, description, icon })
+   * @returns {Array} [{ category, scenarios }]; scenarios in unknown categories go in a final "Other" group
+   */
+  groupByCategory(entries, categories = []) {
+    const groups = categories.map(category => ({
+      category,
+      scenarios: entries.filter(entry => entry.category === category.id)
+    }));
+
+    const known = categories.map(category => category.id);
+    const other = entries.filter(entry => !known.includes(entry.category));
+    if (other.length > 0) {
+      groups.push({ category: { id: 'other', name: 'Other Scenarios', description: '', icon: '📁' }, scenarios: other });
+    }
+
+    return groups.filter(group => group.scenarios.length > 0);
+  }
+
+  /**
+   * Whether any filter differs from the defaults
+   */
+  isFiltered(filters) {
+    return Object.keys(this.defaultFilters).some(key => filters[key] !== this.defaultFilters[key]);
+  }
+}
+
+// Create global instance
+window.scenarioLibrary = new ScenarioLibrary();
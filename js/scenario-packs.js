@@ -0,0 +1,409 @@
+/**
+ * SCENARIO PACKS - Custom scenarios imported from a zip or JSON file, stored in IndexedDB
+ *
+ * Zip pack:                              JSON pack:
+ *   pack.json            { id, name, version, description }   { "pack": {...},
+ *   scenario-index.json  { scenarios, categories }              "index": { scenarios, categories },
+ *   <entry.file>         scenario JSON for each index entry     "scenarios": { "<entry.file>": {...} },
+ *   assets/...           images and sounds the scenarios use    "assets": { "assets/...": "data:..." } }
+ *
+ * Packs are shared by every learner profile on the device and merged into the library with a "custom" badge.
+ */
+
+class ScenarioPackManager {
+  constructor() {
+    this.dbName = 'conflict-training-packs';
+    this.storeName = 'packs';
+    this.dbPromise = null;
+
+    this.maxPackBytes = 20 * 1024 * 1024;
+    this.difficulties = ['beginner', 'intermediate', 'advanced'];
+
+    // File types allowed as pack assets
+    this.assetTypes = {
+      png: 'image/png',
+      jpg: 'image/jpeg',
+      jpeg: 'image/jpeg',
+      gif: 'image/gif',
+      webp: 'image/webp',
+      svg: 'image/svg+xml',
+      mp3: 'audio/mpeg',
+      ogg: 'audio/ogg',
+      wav: 'audio/wav'
+    };
+  }
+
+  /**
+   * Whether packs can be stored in this browser
+   */
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and on first use create) the pack database
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one request against the pack store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - Receives the object store and returns an IDBRequest
+   * @returns {Promise<*>} The request's result
+   */
+  async withStore(mode, makeRequest) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = makeRequest(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get every stored pack, oldest import first
+   * @returns {Promise<Array>} Pack records; empty if IndexedDB is unavailable
+   */
+  async getPacks() {
+    if (!this.isSupported()) return [];
+
+    try {
+      const packs = await this.withStore('readonly', store => store.getAll());
+      return packs.sort((a, b) => a.importedAt.localeCompare(b.importedAt));
+    } catch (error) {
+      console.error('Could not read scenario packs:', error);
+      return [];
+    }
+  }
+
+  async getPack(packId) {
+    return (await this.withStore('readonly', store => store.get(packId))) || null;
+  }
+
+  /**
+   * Store a validated pack, replacing any pack with the same ID
+   * @param {Object} record - Pack record from validate()
+   */
+  async savePack(record) {
+    await this.withStore('readwrite', store => store.put(record));
+  }
+
+  async removePack(packId) {
+    await this.withStore('readwrite', store => store.delete(packId));
+  }
+
+  /**
+   * Read a pack chosen with a file picker
+   * @param {File} file - .zip or .json pack
+   * @returns {Promise<Object>} Bundle { pack, index, scenarios, assets }
+   */
+  async readFile(file) {
+    if (file.size > this.maxPackBytes) {
+      throw new Error(`${file.name} is larger than the ${this.formatMegabytes(this.maxPackBytes)} limit for packs`);
+    }
+    return this.parse(await file.arrayBuffer());
+  }
+
+  /**
+   * Download a pack from a URL; the server must allow cross-origin requests
+   * @param {string} url - Address of a .zip or .json pack
+   * @returns {Promise<Object>} Bundle { pack, index, scenarios, assets }
+   */
+  async fetchPack(url) {
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      throw new Error(`Could not download ${url}. Check the address, and that the server allows downloads from other sites (CORS).`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Could not download ${url}: the server returned ${response.status}`);
+    }
+
+    const buffer = await response.arrayBuffer();
+    if (buffer.byteLength > this.maxPackBytes) {
+      throw new Error(`That pack is larger than the ${this.formatMegabytes(this.maxPackBytes)} limit for packs`);
+    }
+    return this.parse(buffer);
+  }
+
+  /**
+   * Turn zip or JSON pack contents into a bundle
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {Promise<Object>} Bundle { pack, index, scenarios, assets }
+   */
+  async parse(buffer) {
+    if (window.zipReader.isZip(buffer)) {
+      return this.fromZip(await window.zipReader.read(buffer));
+    }
+
+    let json;
+    try {
+      json = JSON.parse(new TextDecoder().decode(buffer));
+    } catch (error) {
+      throw new Error('The pack is neither a zip file nor valid JSON');
+    }
+
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    return {
+      pack: json.pack,
+      index: json.index,
+      scenarios: isObject(json.scenarios) ? json.scenarios : {},
+      assets: isObject(json.assets) ? json.assets : {}
+    };
+  }
+
+  /**
+   * Build a bundle from the files in a zip pack
+   * @param {Map<string, Uint8Array>} files - Zip contents by path
+   */
+  fromZip(files) {
+    // Packs zipped from a folder have every path inside that folder
+    const names = [...files.keys()];
+    const root = names.includes('pack.json') ? '' : (names.find(name => name.endsWith('/pack.json')) || '').replace(/pack\.json$/, '');
+    const decoder = new TextDecoder();
+
+    const readJson = name => {
+      if (!files.has(root + name)) {
+        throw new Error(`The zip has no ${name}`);
+      }
+      try {
+        return JSON.parse(decoder.decode(files.get(root + name)));
+      } catch (error) {
+        throw new Error(`${name} is not valid JSON: ${error.message}`);
+      }
+    };
+
+    const bundle = { pack: readJson('pack.json'), index: readJson('scenario-index.json'), scenarios: {}, assets: {} };
+
+    const entries = Array.isArray(bundle.index.scenarios) ? bundle.index.scenarios : [];
+    entries.forEach(entry => {
+      if (typeof entry.file === 'string' && files.has(root + entry.file)) {
+        bundle.scenarios[entry.file] = readJson(entry.file);
+      }
+    });
+
+    names.filter(name => name.startsWith(`${root}assets/`)).forEach(name => {
+      const path = name.slice(root.length);
+      const type = this.assetTypes[path.split('.').pop().toLowerCase()];
+      if (type) {
+        bundle.assets[path] = this.toDataUrl(files.get(name), type);
+      }
+    });
+
+    return bundle;
+  }
+
+  toDataUrl(bytes, type) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${type};base64,${btoa(binary)}`;
+  }
+
+  /**
+   * Check a bundle before it is stored
+   * @param {Object} bundle - From parse()
+   * @param {Object} libraryIndex - Scenario index currently in use, including other packs
+   * @returns {Object} { valid, errors, warnings, record } where problems are readable strings
+   */
+  validate(bundle, libraryIndex) {
+    const errors = [];
+    const warnings = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const pack = isObject(bundle.pack) ? bundle.pack : {};
+    const index = isObject(bundle.index) ? bundle.index : {};
+
+    if (typeof pack.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(pack.id)) {
+      errors.push('pack.id: Must be lower-case letters, digits and hyphens, such as "acme-onboarding"');
+    }
+    if (typeof pack.name !== 'string' || !pack.name.trim()) {
+      errors.push('pack.name: Missing pack name');
+    }
+
+    // Scenarios and categories from this pack's earlier version don't count as clashes
+    const others = libraryIndex.scenarios.filter(entry => entry.packId !== pack.id);
+    const takenIds = others.map(entry => entry.id);
+    const categories = (index.categories || []).filter(isObject);
+    const categoryIds = (libraryIndex.categories || [])
+      .filter(category => category.packId !== pack.id)
+      .map(category => category.id)
+      .concat(categories.map(category => category.id));
+
+    categories.forEach((category, i) => {
+      if (!category.id || !category.name) {
+        errors.push(`index.categories[${i}]: Needs an id and a name`);
+      }
+    });
+
+    const entries = Array.isArray(index.scenarios) ? index.scenarios : [];
+    if (entries.length === 0) {
+      errors.push('index.scenarios: The pack has no scenarios');
+    }
+
+    entries.forEach((entry, i) => {
+      const path = `index.scenarios[${i}]`;
+      if (!isObject(entry)) {
+        errors.push(`${path}: Must be an object`);
+        return;
+      }
+
+      if (!entry.id) {
+        errors.push(`${path}.id: Missing scenario id`);
+      } else if (takenIds.includes(entry.id)) {
+        errors.push(`${path}.id: "${entry.id}" is already in the library; give the scenario a different id`);
+      } else if (entries.filter(other => other.id === entry.id).length > 1) {
+        errors.push(`${path}.id: "${entry.id}" is used more than once in the pack`);
+      }
+
+      if (!entry.title) errors.push(`${path}.title: Missing title`);
+      if (!this.difficulties.includes(entry.difficulty)) {
+        errors.push(`${path}.difficulty: Must be one of ${this.difficulties.join(', ')}`);
+      }
+      if (!categoryIds.includes(entry.category)) {
+        errors.push(`${path}.category: "${entry.category}" is not a library category or one of the pack's categories`);
+      }
+
+      const scenario = bundle.scenarios[entry.file];
+      if (!scenario) {
+        errors.push(`${path}.file: "${entry.file}" is not in the pack`);
+        return;
+      }
+
+      const report = window.scenarioValidator.validate(scenario);
+      report.errors.forEach(problem => errors.push(`${entry.file} ${problem.path}: ${problem.message}`));
+      report.warnings.forEach(problem => warnings.push(`${entry.file} ${problem.path}: ${problem.message}`));
+
+      if (scenario.id !== entry.id) {
+        errors.push(`${entry.file} $.id: "${scenario.id}" does not match the index id "${entry.id}"`);
+      }
+
+      this.collectAssetPaths(scenario).forEach(asset => {
+        if (!(asset in bundle.assets)) {
+          warnings.push(`${entry.file}: ${asset} is not in the pack, so the app's own copy is used if it has one`);
+        }
+      });
+    });
+
+    Object.entries(bundle.assets).forEach(([asset, value]) => {
+      if (typeof value !== 'string' || !/^data:(image|audio)\/[\w.+-]+;base64,/.test(value)) {
+        errors.push(`assets["${asset}"]: Must be an image or audio data URL`);
+      }
+    });
+
+    // Prerequisites may point at built-in scenarios as well as the pack's own
+    if (window.prerequisiteChecker && entries.every(isObject)) {
+      const merged = { scenarios: others.concat(entries), categories: (libraryIndex.categories || []).concat(categories) };
+      window.prerequisiteChecker.validateIndex(merged).forEach(problem => {
+        const match = problem.path.match(/^\$\.scenarios\[(\d+)\](.*)$/);
+        if (match && Number(match[1]) >= others.length) {
+          errors.push(`index.scenarios[${Number(match[1]) - others.length}]${match[2]}: ${problem.message}`);
+        }
+      });
+    }
+
+    const record = errors.length > 0 ? null : {
+      id: pack.id,
+      name: pack.name.trim(),
+      version: pack.version ? String(pack.version) : '1.0',
+      description: pack.description || '',
+      importedAt: new Date().toISOString(),
+      index: { scenarios: entries, categories },
+      scenarios: Object.fromEntries(entries.map(entry => [entry.file, bundle.scenarios[entry.file]])),
+      assets: bundle.assets
+    };
+
+    return { valid: errors.length === 0, errors, warnings, record };
+  }
+
+  /**
+   * Every "assets/..." path a scenario refers to
+   */
+  collectAssetPaths(value, found = new Set()) {
+    if (typeof value === 'string') {
+      if (value.startsWith('assets/')) found.add(value);
+    } else if (Array.isArray(value)) {
+      value.forEach(item => this.collectAssetPaths(item, found));
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(item => this.collectAssetPaths(item, found));
+    }
+    return found;
+  }
+
+  /**
+   * Add stored packs to a scenario index loaded from the server
+   * @param {Object} index - Scenario index; scenarios and categories are appended in place
+   * @returns {Promise<Object>} The same index
+   */
+  async mergeInto(index) {
+    const packs = await this.getPacks();
+    index.categories = index.categories || [];
+
+    packs.forEach(pack => {
+      pack.index.categories.forEach(category => {
+        if (!index.categories.some(existing => existing.id === category.id)) {
+          index.categories.push({ ...category, packId: pack.id });
+        }
+      });
+
+      pack.index.scenarios.forEach(entry => {
+        // A later version of the built-in library may have taken the ID
+        if (index.scenarios.some(existing => existing.id === entry.id)) {
+          console.warn(`Skipping ${entry.id} from pack ${pack.name}: a scenario with that ID is already in the library`);
+          return;
+        }
+        index.scenarios.push({ ...entry, custom: true, packId: pack.id, packName: pack.name });
+      });
+    });
+
+    return index;
+  }
+
+  /**
+   * Get a pack scenario with its asset paths pointing at the pack's embedded files
+   * @param {string} packId - Pack ID
+   * @param {string} file - Scenario file path from the index entry
+   * @returns {Promise<Object>} Scenario JSON
+   */
+  async getScenario(packId, file) {
+    const pack = await this.getPack(packId);
+    if (!pack || !pack.scenarios[file]) {
+      throw new Error(`Scenario ${file} is not in pack ${packId}`);
+    }
+
+    const resolve = value => {
+      if (typeof value === 'string') return pack.assets[value] || value;
+      if (Array.isArray(value)) return value.map(resolve);
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolve(item)]));
+      }
+      return value;
+    };
+
+    return resolve(pack.scenarios[file]);
+  }
+
+  formatMegabytes(bytes) {
+    return `${Math.round(bytes / 1024 / 1024)} MB`;
+  }
+}
+
+// Create global instance
+window.scenarioPacks = new ScenarioPackManager();
@@ -0,0 +1,503 @@
+/**
+ * SCENARIO VALIDATOR - Check scenario files against the engine's rules
+ * Collects every problem with a JSON path instead of stopping at the first one.
+ * Runs in the browser (used by GameEngine) and under Node for content authors:
+ *
+ *   node js/scenario-validator.js [scenario files...]
+ */
+
+class ScenarioValidator {
+  /**
+   * @param {Object} options - Optional dependencies
+   * @param {Object} options.evaluator - ExpressionEvaluator instance for condition checks
+   * @param {Object} options.scorer - ScoringEngine instance for metadata.scoring checks
+   * @param {Object} options.rubric - RubricEvaluator instance for free-text response checks
+   * @param {Array} options.strategies - Known strategy names
+   */
+  constructor(options = {}) {
+    this.evaluator = options.evaluator || window.expressionEvaluator;
+    this.scorer = options.scorer || window.scoringEngine;
+    this.rubric = options.rubric || window.rubricEvaluator;
+    this.strategies = options.strategies || [...window.storageManager.strategies];
+    this.effectivenessLevels = ['very_high', 'high', 'medium', 'low', 'very_low'];
+    this.endingTypes = ['success', 'mixed', 'failure'];
+  }
+
+  /**
+   * Validate a scenario
+   * @param {Object} scenario - Parsed scenario JSON
+   * @returns {Object} { valid, errors, warnings } where each problem has a path and message
+   */
+  validate(scenario) {
+    const report = { valid: true, errors: [], warnings: [] };
+    const error = (path, message) => report.errors.push({ path, message });
+    const warning = (path, message) => report.warnings.push({ path, message });
+
+    if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+      error('$', 'Scenario must be a JSON object');
+      report.valid = false;
+      return report;
+    }
+
+    // Required top-level properties
+    if (!scenario.id) error('$.id', 'Missing scenario id');
+    if (!scenario.metadata) {
+      error('$.metadata', 'Missing metadata');
+    } else {
+      if (!scenario.metadata.title) {
+        error('$.metadata.title', 'Missing scenario title');
+      }
+      if ('timedChoices' in scenario.metadata && typeof scenario.metadata.timedChoices !== 'boolean') {
+        error('$.metadata.timedChoices', 'timedChoices must be true or false');
+      }
+      if ('scoring' in scenario.metadata) {
+        this.scorer.validateSettings(scenario.metadata.scoring)
+          .forEach(problem => error(problem.path, problem.message));
+      }
+    }
+
+    if (!scenario.nodes || typeof scenario.nodes !== 'object') {
+      error('$.nodes', 'Missing nodes');
+      report.valid = false;
+      return report;
+    }
+
+    const nodes = scenario.nodes;
+    if (!nodes.start) {
+      error('$.nodes', 'Missing start node');
+    }
+
+    const characters = scenario.characters || {};
+    const declaredVariables = Object.keys(scenario.variables || {});
+    const choiceIds = this.collectChoiceIds(scenario, error);
+    this.validateCharacters(characters, error);
+
+    for (const [nodeId, node] of Object.entries(nodes)) {
+      this.validateNode(nodeId, node, {
+        nodes, characters, declaredVariables, choiceIds, error, warning
+      });
+    }
+
+    this.checkReachability(nodes, warning);
+    this.checkRoutingLoops(nodes, error);
+
+    report.valid = report.errors.length === 0;
+    return report;
+  }
+
+  /**
+   * Collect all choice IDs, reporting duplicates
+   * @returns {Set} Set of choice IDs in the scenario
+   */
+  collectChoiceIds(scenario, error) {
+    const seen = new Map();
+
+    for (const [nodeId, node] of Object.entries(scenario.nodes)) {
+      (node.choices || []).forEach((choice, index) => {
+        const path = `${this.nodePath(nodeId)}.choices[${index}].id`;
+        if (!choice.id) {
+          error(path, 'Choice is missing an id');
+          return;
+        }
+        if (seen.has(choice.id)) {
+          error(path, `Duplicate choice id "${choice.id}" (first used at ${seen.get(choice.id)})`);
+          return;
+        }
+        seen.set(choice.id, path);
+      });
+    }
+
+    return new Set(seen.keys());
+  }
+
+  /**
+   * Check each character's expression map: emotion or mood names to image paths
+   */
+  validateCharacters(characters, error) {
+    for (const [key, character] of Object.entries(characters)) {
+      if (!character || !('expressions' in character)) continue;
+
+      const path = `$.characters.${key}.expressions`;
+      const expressions = character.expressions;
+      if (!expressions || typeof expressions !== 'object' || Array.isArray(expressions)) {
+        error(path, 'Expressions must be an object of emotion names and image paths');
+        continue;
+      }
+
+      for (const [emotion, image] of Object.entries(expressions)) {
+        if (typeof image !== 'string' || !image.trim()) {
+          error(`${path}.${emotion}`, 'Expression image must be a path');
+        }
+      }
+    }
+  }
+
+  /**
+   * Validate a single node
+   */
+  validateNode(nodeId, node, context) {
+    const { nodes, characters, error, warning } = context;
+    const path = this.nodePath(nodeId);
+
+    // Routing nodes only need routes and a default target
+    if (node.type === 'branch') {
+      this.checkTarget(`${path}.nextNode`, node.nextNode, nodes, error, true);
+      this.validateRoutes(`${path}.routes`, node.routes, context);
+      return;
+    }
+
+    if (!node.content) {
+      error(`${path}.content`, 'Node is missing content');
+    } else {
+      const dialogue = node.content.dialogue;
+      if (dialogue !== undefined && !Array.isArray(dialogue)) {
+        error(`${path}.content.dialogue`, 'Dialogue must be a list of lines');
+      }
+
+      // A dialogue sequence can stand in for the single text
+      const hasDialogue = Array.isArray(dialogue) && dialogue.length > 0;
+      if (typeof node.content.text !== 'string' && !hasDialogue) {
+        error(`${path}.content.text`, 'Node content is missing text');
+      }
+
+      const speaker = node.content.speaker;
+      if (speaker && speaker !== 'narrator' && !characters[speaker]) {
+        warning(`${path}.content.speaker`, `Speaker "${speaker}" is not defined in characters`);
+      }
+
+      (Array.isArray(dialogue) ? dialogue : []).forEach((line, index) => {
+        const linePath = `${path}.content.dialogue[${index}]`;
+        if (!line || typeof line.text !== 'string') {
+          error(`${linePath}.text`, 'Dialogue line is missing text');
+          return;
+        }
+        if (line.speaker && line.speaker !== 'narrator' && !characters[line.speaker]) {
+          warning(`${linePath}.speaker`, `Speaker "${line.speaker}" is not defined in characters`);
+        }
+      });
+    }
+
+    if (node.feedback) {
+      this.validateFeedback(`${path}.feedback`, node.feedback, error);
+    }
+
+    const choices = node.choices || [];
+
+    if (node.type === 'resolution') {
+      if (choices.length > 0) {
+        warning(`${path}.choices`, 'Resolution node has choices that will never be shown');
+      }
+      if (!node.endings || node.endings.length === 0) {
+        warning(`${path}.endings`, 'Resolution node has no endings for the debrief');
+      } else {
+        node.endings.forEach((ending, index) => {
+          if (!this.endingTypes.includes(ending.type)) {
+            warning(`${path}.endings[${index}].type`, `Unknown ending type "${ending.type}"`);
+          }
+          if (!ending.title) {
+            error(`${path}.endings[${index}].title`, 'Ending is missing a title');
+          }
+        });
+      }
+      return;
+    }
+
+    if (choices.length === 0) {
+      error(`${path}.choices`, `Dead end: "${nodeId}" has no choices and is not a resolution node`);
+      return;
+    }
+
+    choices.forEach((choice, index) => {
+      this.validateChoice(`${path}.choices[${index}]`, choice, context);
+    });
+
+    // Timed choices: the choice taken when the countdown runs out
+    if ('timeoutChoice' in node && !choices.some(choice => choice.id === node.timeoutChoice)) {
+      error(`${path}.timeoutChoice`, `Timeout choice "${node.timeoutChoice}" is not one of this node's choices`);
+    } else if (node.timeoutChoice) {
+      const fallback = choices.find(choice => choice.id === node.timeoutChoice);
+      if (fallback.requirements) {
+        warning(`${path}.timeoutChoice`, 'Timeout choice has requirements, so the timer is skipped when they are not met');
+      }
+    }
+    if ('timeLimit' in node && !(typeof node.timeLimit === 'number' && node.timeLimit > 0)) {
+      error(`${path}.timeLimit`, 'Time limit must be a number of seconds greater than 0');
+    }
+    if ('timeLimit' in node && !node.timeoutChoice) {
+      warning(`${path}.timeLimit`, 'Time limit has no effect without a timeoutChoice');
+    }
+
+    // Free-text nodes: the rubric's bands pick among the node's choices
+    if ('response' in node) {
+      const choiceIds = choices.map(choice => choice.id);
+      this.rubric.validateResponse(node.response, choiceIds, `${path}.response`).forEach(problem => {
+        (problem.warning ? warning : error)(problem.path, problem.message);
+      });
+
+      const banded = new Set(((node.response && node.response.bands) || []).map(band => band && band.choice));
+      choices.forEach((choice, index) => {
+        if (!banded.has(choice.id) && choice.id !== node.timeoutChoice) {
+          warning(`${path}.choices[${index}]`, `Choice "${choice.id}" is in no response band, so it can never be taken`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Validate a single choice
+   */
+  validateChoice(path, choice, context) {
+    const { nodes, error } = context;
+
+    if (!choice.text) {
+      error(`${path}.text`, 'Choice is missing text');
+    }
+
+    if (choice.strategy && !this.strategies.includes(choice.strategy)) {
+      error(`${path}.strategy`, `Unknown strategy "${choice.strategy}" (expected one of: ${this.strategies.join(', ')})`);
+    }
+
+    this.checkTarget(`${path}.nextNode`, choice.nextNode, nodes, error, true);
+
+    if (choice.requirements) {
+      this.validateRequirements(`${path}.requirements`, choice.requirements, context);
+    }
+
+    this.validateRoutes(`${path}.routes`, choice.routes, context);
+
+    for (const name of Object.keys(choice.effects || {})) {
+      if (!context.declaredVariables.includes(name)) {
+        error(`${path}.effects.${name}`, `Unknown variable "${name}"`);
+      }
+    }
+  }
+
+  /**
+   * Validate conditional routes on a choice or routing node
+   */
+  validateRoutes(path, routes, context) {
+    if (routes === undefined) return;
+
+    if (!Array.isArray(routes)) {
+      context.error(path, 'Routes must be an array');
+      return;
+    }
+
+    routes.forEach((route, index) => {
+      const routePath = `${path}[${index}]`;
+      this.checkTarget(`${routePath}.nextNode`, route.nextNode, context.nodes, context.error, true);
+      this.validateRequirements(routePath, route, context);
+    });
+  }
+
+  /**
+   * Validate requirement fields: previousChoices, forbiddenChoices and condition
+   */
+  validateRequirements(path, requirements, context) {
+    const { choiceIds, error } = context;
+
+    ['previousChoices', 'forbiddenChoices'].forEach(key => {
+      (requirements[key] || []).forEach((choiceId, index) => {
+        if (!choiceIds.has(choiceId)) {
+          error(`${path}.${key}[${index}]`, `Requirement refers to unknown choice "${choiceId}"`);
+        }
+      });
+    });
+
+    if (requirements.condition !== undefined) {
+      this.validateCondition(`${path}.condition`, requirements.condition, context);
+    }
+  }
+
+  /**
+   * Validate a condition expression and the identifiers it uses
+   */
+  validateCondition(path, condition, context) {
+    const { declaredVariables, choiceIds, error } = context;
+
+    let identifiers;
+    try {
+      identifiers = this.evaluator.getIdentifiers(condition);
+    } catch (parseError) {
+      error(path, `Invalid condition: ${parseError.message}`);
+      return;
+    }
+
+    identifiers.forEach(name => {
+      if (name.startsWith('strategies.')) {
+        const strategy = name.slice('strategies.'.length);
+        if (!this.strategies.includes(strategy)) {
+          error(path, `Condition counts unknown strategy "${strategy}"`);
+        }
+      } else if (name.startsWith('choices.')) {
+        const choiceId = name.slice('choices.'.length);
+        if (!choiceIds.has(choiceId)) {
+          error(path, `Condition refers to unknown choice "${choiceId}"`);
+        }
+      } else if (!declaredVariables.includes(name)) {
+        error(path, `Condition uses unknown variable "${name}"`);
+      }
+    });
+  }
+
+  /**
+   * Validate a feedback block
+   */
+  validateFeedback(path, feedback, error) {
+    if (feedback.strategy && !this.strategies.includes(feedback.strategy)) {
+      error(`${path}.strategy`, `Unknown strategy "${feedback.strategy}"`);
+    }
+
+    if (feedback.effectiveness && !this.effectivenessLevels.includes(feedback.effectiveness)) {
+      error(`${path}.effectiveness`, `Unknown effectiveness level "${feedback.effectiveness}" (expected one of: ${this.effectivenessLevels.join(', ')})`);
+    }
+  }
+
+  /**
+   * Check that a node reference points at an existing node
+   */
+  checkTarget(path, target, nodes, error, required) {
+    if (!target) {
+      if (required) error(path, 'Missing nextNode');
+      return;
+    }
+
+    if (!nodes[target]) {
+      error(path, `References missing node "${target}"`);
+    }
+  }
+
+  /**
+   * Report nodes that cannot be reached from the start node
+   */
+  checkReachability(nodes, warning) {
+    if (!nodes.start) return;
+
+    const reachable = new Set(['start']);
+    const queue = ['start'];
+
+    while (queue.length > 0) {
+      const nodeId = queue.shift();
+      for (const target of ScenarioValidator.getTargets(nodes[nodeId])) {
+        if (nodes[target] && !reachable.has(target)) {
+          reachable.add(target);
+          queue.push(target);
+        }
+      }
+    }
+
+    for (const nodeId of Object.keys(nodes)) {
+      if (!reachable.has(nodeId)) {
+        warning(this.nodePath(nodeId), `Node "${nodeId}" is unreachable from start`);
+      }
+    }
+  }
+
+  /**
+   * Report routing nodes that can route back into themselves without player input
+   */
+  checkRoutingLoops(nodes, error) {
+    const reported = new Set();
+
+    const visit = (nodeId, trail) => {
+      const node = nodes[nodeId];
+      if (!node || node.type !== 'branch') return;
+
+      if (trail.includes(nodeId)) {
+        const loop = trail.slice(trail.indexOf(nodeId));
+        const key = [...loop].sort().join(',');
+        if (!reported.has(key)) {
+          reported.add(key);
+          error(this.nodePath(nodeId), `Routing loop: ${[...loop, nodeId].join(' → ')}`);
+        }
+        return;
+      }
+
+      ScenarioValidator.getTargets(node).forEach(target => visit(target, [...trail, nodeId]));
+    };
+
+    Object.keys(nodes).forEach(nodeId => visit(nodeId, []));
+  }
+
+  /**
+   * Build a JSON path for a node
+   */
+  nodePath(nodeId) {
+    return /^[A-Za-z_$][\w$]*$/.test(nodeId) ? `$.nodes.${nodeId}` : `$.nodes[${JSON.stringify(nodeId)}]`;
+  }
+
+  /**
+   * List every node a node can lead to
+   * @param {Object} node - Node data
+   * @returns {Array} Target node IDs
+   */
+  static getTargets(node) {
+    if (!node) return [];
+
+    const targets = [];
+    const addSource = (source) => {
+      if (source.nextNode) targets.push(source.nextNode);
+      (source.routes || []).forEach(route => {
+        if (route.nextNode) targets.push(route.nextNode);
+      });
+    };
+
+    if (node.type === 'branch') {
+      addSource(node);
+    }
+    (node.choices || []).forEach(addSource);
+
+    return [...new Set(targets)];
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.scenarioValidator = new ScenarioValidator();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScenarioValidator;
+
+  // Command line: validate scenario files (defaults to scenarios/scenario-*.json)
+  if (require.main === module) {
+    const fs = require('fs');
+    const path = require('path');
+    const ExpressionEvaluator = require('./expression-evaluator.js');
+    const ScoringEngine = require('./scoring-engine.js');
+    const RubricEvaluator = require('./rubric-evaluator.js');
+    const StorageManager = require('./storage-manager.js');
+
+    const validator = new ScenarioValidator({
+      evaluator: new ExpressionEvaluator(),
+      scorer: new ScoringEngine(),
+      rubric: new RubricEvaluator(),
+      strategies: new StorageManager().strategies
+    });
+
+    const scenarioDir = path.join(__dirname, '..', 'scenarios');
+    const files = process.argv.length > 2 ?
+      process.argv.slice(2) :
+      fs.readdirSync(scenarioDir)
+        .filter(name => /^scenario-.*\.json$/.test(name) && name !== 'scenario-index.json')
+        .map(name => path.join(scenarioDir, name));
+
+    let failed = 0;
+    for (const file of files) {
+      let report;
+      try {
+        report = validator.validate(JSON.parse(fs.readFileSync(file, 'utf8')));
+      } catch (error) {
+        report = { valid: false, errors: [{ path: '$', message: error.message }], warnings: [] };
+      }
+
+      console.log(`${report.valid ? '✓' : '✗'} ${file}`);
+      report.errors.forEach(problem => console.log(`  error    ${problem.path}: ${problem.message}`));
+      report.warnings.forEach(problem => console.log(`  warning  ${problem.path}: ${problem.message}`));
+      if (!report.valid) failed++;
+    }
+
+    console.log(`\n${files.length - failed}/${files.length} scenario files valid`);
+    process.exitCode = failed > 0 ? 1 : 0;
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * SCORING ENGINE - Turn a finished path into a scenario score and per-skill competency
+ * Step scores come from feedback effectiveness, the ending adds its own score,
+ * and each feedback's skillsUsed tags collect the scores of the steps that exercised them.
+ * Authors can tune everything through an optional "scoring" block in scenario metadata.
+ */
+
+class ScoringEngine {
+  constructor() {
+    this.defaults = {
+      // Share of the final score from the choices and from the ending reached
+      weights: {
+        choices: 0.7,
+        ending: 0.3
+      },
+      effectivenessPoints: {
+        very_high: 100,
+        high: 75,
+        medium: 50,
+        low: 25,
+        very_low: 0
+      },
+      endingPoints: {
+        success: 100,
+        mixed: 50,
+        failure: 0
+      },
+      // Minimum score (0-100) to pass the scenario and to demonstrate a skill
+      passThreshold: 70,
+      skillThreshold: 70
+    };
+  }
+
+  /**
+   * Get the scoring settings for a scenario, filling gaps from the defaults
+   * @param {Object} scenario - Scenario data
+   * @returns {Object} Complete scoring settings
+   */
+  getSettings(scenario) {
+    const custom = (scenario && scenario.metadata && scenario.metadata.scoring) || {};
+
+    return {
+      weights: { ...this.defaults.weights, ...custom.weights },
+      effectivenessPoints: { ...this.defaults.effectivenessPoints, ...custom.effectivenessPoints },
+      endingPoints: { ...this.defaults.endingPoints, ...custom.endingPoints },
+      passThreshold: custom.passThreshold !== undefined ? custom.passThreshold : this.defaults.passThreshold,
+      skillThreshold: custom.skillThreshold !== undefined ?
+        custom.skillThreshold :
+        (custom.passThreshold !== undefined ? custom.passThreshold : this.defaults.skillThreshold)
+    };
+  }
+
+  /**
+   * Score a path through a scenario
+   * @param {Object} scenario - Scenario data
+   * @param {Array} path - Choice history entries ({ nodeId, choiceId, resultNode, ... })
+   * @param {Object} ending - Ending reached ({ type }), or null if the scenario is unfinished
+   * @returns {Object} { score, passed, threshold, choiceScore, endingScore, ratedSteps, skills }
+   */
+  score(scenario, path, ending = null) {
+    const settings = this.getSettings(scenario);
+    const stepScores = [];
+    const skills = new Map();
+
+    path.forEach(entry => {
+      const feedback = this.getStepFeedback(scenario, entry);
+      if (!feedback || !(feedback.effectiveness in settings.effectivenessPoints)) {
+        return;
+      }
+
+      const points = settings.effectivenessPoints[feedback.effectiveness];
+      stepScores.push(points);
+
+      (feedback.skillsUsed || []).forEach(skill => {
+        const stat = skills.get(skill) || { total: 0, uses: 0 };
+        stat.total += points;
+        stat.uses++;
+        skills.set(skill, stat);
+      });
+    });
+
+    const choiceScore = stepScores.length > 0 ?
+      stepScores.reduce((sum, points) => sum + points, 0) / stepScores.length :
+      null;
+    const endingScore = ending && ending.type in settings.endingPoints ?
+      settings.endingPoints[ending.type] :
+      null;
+
+    const score = this.combine([
+      [choiceScore, settings.weights.choices],
+      [endingScore, settings.weights.ending]
+    ]);
+
+    return {
+      score,
+      passed: score !== null && score >= settings.passThreshold,
+      threshold: settings.passThreshold,
+      choiceScore: choiceScore === null ? null : Math.round(choiceScore),
+      endingScore,
+      ratedSteps: stepScores.length,
+      skills: [...skills.entries()]
+        .map(([skill, stat]) => {
+          const skillScore = Math.round(stat.total / stat.uses);
+          return {
+            skill,
+            score: skillScore,
+            uses: stat.uses,
+            demonstrated: skillScore >= settings.skillThreshold
+          };
+        })
+        .sort((a, b) => b.score - a.score || a.skill.localeCompare(b.skill))
+    };
+  }
+
+  /**
+   * Weighted average of the parts that have a value
+   * @param {Array} parts - [value, weight] pairs; null values are left out
+   * @returns {number|null} Rounded score from 0 to 100
+   */
+  combine(parts) {
+    const counted = parts.filter(([value, weight]) => value !== null && weight > 0);
+    const totalWeight = counted.reduce((sum, [, weight]) => sum + weight, 0);
+
+    if (totalWeight === 0) {
+      return null;
+    }
+
+    return Math.round(counted.reduce((sum, [value, weight]) => sum + value * weight, 0) / totalWeight);
+  }
+
+  /**
+   * Find the feedback shown after a choice
+   * @param {Object} scenario - Scenario data
+   * @param {Object} entry - Choice history entry
+   * @returns {Object} Feedback object or null
+   */
+  getStepFeedback(scenario, entry) {
+    const node = scenario.nodes[entry.nodeId];
+    const choice = node && node.choices ? node.choices.find(c => c.id === entry.choiceId) : null;
+    const outcome = scenario.nodes[entry.resultNode || (choice && choice.nextNode)];
+
+    return outcome && outcome.feedback ? outcome.feedback : null;
+  }
+
+  /**
+   * Check a metadata.scoring block
+   * @param {Object} scoring - Scoring settings from scenario metadata
+   * @returns {Array} [{ path, message }] relative to $.metadata.scoring
+   */
+  validateSettings(scoring) {
+    const problems = [];
+    const problem = (path, message) => problems.push({ path: `$.metadata.scoring${path}`, message });
+    const isScore = value => typeof value === 'number' && value >= 0 && value <= 100;
+
+    if (!scoring || typeof scoring !== 'object' || Array.isArray(scoring)) {
+      problem('', 'Scoring settings must be an object');
+      return problems;
+    }
+
+    const knownKeys = Object.keys(this.defaults);
+    Object.keys(scoring).forEach(key => {
+      if (!knownKeys.includes(key)) {
+        problem(`.${key}`, `Unknown scoring setting (expected one of: ${knownKeys.join(', ')})`);
+      }
+    });
+
+    ['passThreshold', 'skillThreshold'].forEach(key => {
+      if (key in scoring && !isScore(scoring[key])) {
+        problem(`.${key}`, 'Threshold must be a number from 0 to 100');
+      }
+    });
+
+    const checkTable = (key, isValid, rule) => {
+      if (!(key in scoring)) return;
+      if (!scoring[key] || typeof scoring[key] !== 'object' || Array.isArray(scoring[key])) {
+        problem(`.${key}`, 'Must be an object');
+        return;
+      }
+      Object.entries(scoring[key]).forEach(([name, value]) => {
+        if (!(name in this.defaults[key])) {
+          problem(`.${key}.${name}`, `Unknown key (expected one of: ${Object.keys(this.defaults[key]).join(', ')})`);
+        } else if (!isValid(value)) {
+          problem(`.${key}.${name}`, rule);
+        }
+      });
+    };
+
+    checkTable('weights', value => typeof value === 'number' && value >= 0, 'Weight must be a non-negative number');
+    checkTable('effectivenessPoints', isScore, 'Points must be a number from 0 to 100');
+    checkTable('endingPoints', isScore, 'Points must be a number from 0 to 100');
+
+    return problems;
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.scoringEngine = new ScoringEngine();
+}
+
+// Allow Node-based authoring tools to score paths and check settings
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScoringEngine;
+}
@@ -0,0 +1,537 @@
+/**
+ * SETTINGS PANEL - Preferences dialog and data management actions
+ * Opened from the ⚙️ button; edits userPreferences and applies them immediately
+ */
+
+class SettingsPanel {
+  constructor() {
+    this.storage = window.storageManager;
+    this.uiManager = window.uiManager;
+    this.gameEngine = window.gameEngine;
+    this.packs = window.scenarioPacks;
+    
+    // Longest list of pack problems shown at once
+    this.maxPackProblems = 20;
+    
+    // Backup file waiting for the user to confirm import
+    this.pendingImport = null;
+
+    // DOM elements
+    this.elements = {};
+
+    // Initialize after DOM loads
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.initializeElements());
+    } else {
+      this.initializeElements();
+    }
+  }
+
+  /**
+   * Initialize DOM element references and event listeners
+   */
+  initializeElements() {
+    this.elements = {
+      dialog: document.getElementById('settings-dialog'),
+      viewMode: document.getElementById('setting-view-mode'),
+      autoSave: document.getElementById('setting-auto-save'),
+      soundEnabled: document.getElementById('setting-sound-enabled'),
+      volume: document.getElementById('setting-volume'),
+      textSpeed: document.getElementById('setting-text-speed'),
+      autoAdvance: document.getElementById('setting-auto-advance'),
+      choiceTimers: document.getElementById('setting-choice-timers'),
+      timerScale: document.getElementById('setting-timer-scale'),
+      packFileInput: document.getElementById('pack-file-input'),
+      packUrlInput: document.getElementById('pack-url-input'),
+      packUrlBtn: document.getElementById('pack-url-btn'),
+      packProblems: document.getElementById('pack-problems'),
+      packList: document.getElementById('pack-list'),
+      exportBtn: document.getElementById('settings-export-btn'),
+      importInput: document.getElementById('settings-import-input'),
+      importPreview: document.getElementById('settings-import-preview'),
+      importFile: document.getElementById('settings-import-file'),
+      importModes: document.querySelectorAll('input[name="importMode"]'),
+      importChanges: document.getElementById('settings-import-changes'),
+      importConfirmBtn: document.getElementById('settings-import-confirm-btn'),
+      importCancelBtn: document.getElementById('settings-import-cancel-btn'),
+      clearProgressBtn: document.getElementById('settings-clear-progress-btn'),
+      resetBtn: document.getElementById('settings-reset-btn'),
+      status: document.getElementById('settings-status')
+    };
+
+    if (!this.elements.dialog) return;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners for preference and data controls
+   */
+  setupEventListeners() {
+    // Preferences are saved as soon as they change
+    this.elements.viewMode.addEventListener('change', () => {
+      this.updatePreference({ viewMode: this.elements.viewMode.value });
+    });
+
+    this.elements.autoSave.addEventListener('change', () => {
+      this.updatePreference({ autoSave: this.elements.autoSave.checked });
+    });
+
+    this.elements.textSpeed.addEventListener('change', () => {
+      this.updatePreference({ textSpeed: this.elements.textSpeed.value });
+    });
+
+    this.elements.autoAdvance.addEventListener('change', () => {
+      this.updatePreference({ autoAdvance: this.elements.autoAdvance.checked });
+    });
+
+    this.elements.choiceTimers.addEventListener('change', () => {
+      this.updatePreference({ choiceTimers: this.elements.choiceTimers.value });
+      this.elements.timerScale.disabled = this.elements.choiceTimers.value === 'off';
+    });
+
+    this.elements.timerScale.addEventListener('change', () => {
+      this.updatePreference({ timerScale: Number(this.elements.timerScale.value) });
+    });
+
+    this.elements.soundEnabled.addEventListener('change', () => {
+      this.updatePreference({ soundEnabled: this.elements.soundEnabled.checked });
+      this.elements.volume.disabled = !this.elements.soundEnabled.checked;
+    });
+
+    // Save when the slider is released, with a cue so the learner hears the new level
+    this.elements.volume.addEventListener('change', () => {
+      const volume = Number(this.elements.volume.value) / 100;
+      this.updatePreference({ volume });
+      window.audioManager?.playCue('choice', { volume });
+    });
+
+    // Scenario packs
+    this.elements.packFileInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        this.importPack(() => this.packs.readFile(file), file.name);
+      }
+      e.target.value = '';
+    });
+
+    this.elements.packUrlBtn.addEventListener('click', () => {
+      this.importPackFromUrl();
+    });
+
+    // Enter would otherwise submit the dialog form and close it
+    this.elements.packUrlInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.importPackFromUrl();
+      }
+    });
+
+    // Data management
+    this.elements.exportBtn.addEventListener('click', () => {
+      window.conflictTrainingApp.exportData();
+      this.showStatus('Backup downloaded.');
+    });
+
+    this.elements.importInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        this.importFile(file);
+      }
+      e.target.value = '';
+    });
+
+    this.elements.importModes.forEach(input => {
+      input.addEventListener('change', () => this.renderImportPreview());
+    });
+
+    this.elements.importConfirmBtn.addEventListener('click', () => {
+      this.confirmImport();
+    });
+
+    this.elements.importCancelBtn.addEventListener('click', () => {
+      this.cancelImport();
+      this.showStatus('Import cancelled.');
+    });
+
+    this.elements.clearProgressBtn.addEventListener('click', () => {
+      this.clearProgress();
+    });
+
+    this.elements.resetBtn.addEventListener('click', () => {
+      window.conflictTrainingApp.reset();
+    });
+
+    this.elements.dialog.addEventListener('close', () => {
+      this.cancelImport();
+      this.showPackProblems([]);
+      this.elements.status.textContent = '';
+      this.uiManager.elements.settingsBtn?.focus();
+    });
+  }
+
+  /**
+   * Open the settings dialog with current values
+   */
+  open() {
+    if (!this.elements.dialog) return;
+
+    this.render();
+    this.renderPacks();
+    this.elements.dialog.showModal();
+  }
+
+  close() {
+    this.elements.dialog?.close();
+  }
+
+  /**
+   * Fill the form from stored preferences
+   */
+  render() {
+    const preferences = this.storage.getUserPreferences();
+    this.elements.viewMode.value = preferences.viewMode;
+    this.elements.autoSave.checked = preferences.autoSave;
+    this.elements.textSpeed.value = preferences.textSpeed;
+    this.elements.autoAdvance.checked = preferences.autoAdvance;
+    this.elements.choiceTimers.value = preferences.choiceTimers;
+    this.elements.timerScale.value = String(preferences.timerScale);
+    this.elements.timerScale.disabled = preferences.choiceTimers === 'off';
+    this.elements.soundEnabled.checked = preferences.soundEnabled;
+    this.elements.volume.value = Math.round(preferences.volume * 100);
+    this.elements.volume.disabled = !preferences.soundEnabled;
+  }
+
+  /**
+   * Save a preference change and apply it to the running app
+   * @param {Object} preferences - Preferences to update
+   */
+  updatePreference(preferences) {
+    if (!this.storage.updatePreferences(preferences)) {
+      this.showStatus('Could not save your settings. Storage may be full or disabled.');
+      return;
+    }
+
+    this.uiManager.applyPreferences();
+    this.showStatus('Settings saved.');
+  }
+
+  /**
+   * List the imported scenario packs with a remove button for each
+   */
+  async renderPacks() {
+    const list = this.elements.packList;
+
+    if (!this.packs || !this.packs.isSupported()) {
+      this.elements.packFileInput.disabled = true;
+      this.elements.packUrlInput.disabled = true;
+      this.elements.packUrlBtn.disabled = true;
+      list.innerHTML = '<li>This browser cannot store scenario packs.</li>';
+      return;
+    }
+
+    const packs = await this.packs.getPacks();
+    list.innerHTML = '';
+
+    if (packs.length === 0) {
+      list.innerHTML = '<li class="pack-empty">No packs loaded.</li>';
+      return;
+    }
+
+    packs.forEach(pack => {
+      const item = document.createElement('li');
+      item.className = 'pack-item';
+
+      const details = document.createElement('div');
+      const name = document.createElement('strong');
+      name.textContent = `${pack.name} `;
+      details.appendChild(name);
+
+      const count = pack.index.scenarios.length;
+      const summary = document.createElement('span');
+      summary.className = 'pack-summary';
+      summary.textContent = `v${pack.version} · ${count} ${count === 1 ? 'scenario' : 'scenarios'} · added ${new Date(pack.importedAt).toLocaleDateString()}`;
+      details.appendChild(summary);
+
+      if (pack.source) {
+        const source = document.createElement('span');
+        source.className = 'pack-summary';
+        source.textContent = `From ${pack.source}`;
+        details.appendChild(source);
+      }
+      item.appendChild(details);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'settings-button danger';
+      removeBtn.textContent = 'Remove';
+      removeBtn.setAttribute('aria-label', `Remove ${pack.name}`);
+      removeBtn.addEventListener('click', () => this.removePack(pack));
+      item.appendChild(removeBtn);
+
+      list.appendChild(item);
+    });
+  }
+
+  importPackFromUrl() {
+    const url = this.elements.packUrlInput.value.trim();
+    if (!url) {
+      this.showStatus('Enter the web address of a pack first.');
+      this.elements.packUrlInput.focus();
+      return;
+    }
+
+    this.importPack(() => this.packs.fetchPack(url), url);
+  }
+
+  /**
+   * Load, validate and store a scenario pack, then refresh the library
+   * @param {Function} readBundle - Returns a promise of the pack bundle
+   * @param {string} source - File name or URL, shown to the user and kept with the pack
+   */
+  async importPack(readBundle, source) {
+    this.showPackProblems([]);
+    this.showStatus(`Checking ${source}…`);
+
+    let bundle;
+    try {
+      bundle = await readBundle();
+    } catch (error) {
+      this.showStatus(`Could not load ${source}: ${error.message}`);
+      return;
+    }
+
+    const result = this.packs.validate(bundle, this.gameEngine.scenarioIndex);
+    if (!result.valid) {
+      this.showPackProblems(result.errors);
+      this.showStatus(`${source} was not imported. Fix the problems listed and try again.`);
+      return;
+    }
+
+    const pack = { ...result.record, source };
+    const existing = await this.packs.getPack(pack.id);
+    if (existing && !confirm(`Replace ${existing.name} version ${existing.version} with version ${pack.version}?`)) {
+      this.showStatus('Import cancelled.');
+      return;
+    }
+
+    try {
+      await this.packs.savePack(pack);
+    } catch (error) {
+      this.showStatus(`Could not save the pack. Storage may be full or disabled. (${error.message})`);
+      return;
+    }
+
+    await this.refreshLibrary();
+    this.elements.packUrlInput.value = '';
+    this.showPackProblems(result.warnings);
+
+    const count = pack.index.scenarios.length;
+    this.showStatus(`Imported ${pack.name} with ${count} ${count === 1 ? 'scenario' : 'scenarios'}.` +
+      (result.warnings.length > 0 ? ' Some notes are listed below.' : ''));
+  }
+
+  /**
+   * Remove a pack after confirmation; progress already recorded is kept
+   * @param {Object} pack - Pack record
+   */
+  async removePack(pack) {
+    if (!confirm(`Remove ${pack.name}? Its scenarios will disappear from the library on this device. Progress already recorded is kept.`)) {
+      return;
+    }
+
+    try {
+      await this.packs.removePack(pack.id);
+    } catch (error) {
+      this.showStatus(`Could not remove ${pack.name}.`);
+      return;
+    }
+
+    await this.refreshLibrary();
+    this.showStatus(`Removed ${pack.name}.`);
+  }
+
+  /**
+   * Reload the index with the current packs and redraw the library and pack list
+   */
+  async refreshLibrary() {
+    await this.gameEngine.loadScenarioIndex();
+    this.uiManager.renderScenarioList();
+    await this.renderPacks();
+  }
+
+  /**
+   * Show validation problems or notes for the last pack, or hide the list when empty
+   * @param {Array<string>} problems - Readable problems
+   */
+  showPackProblems(problems) {
+    const list = this.elements.packProblems;
+    list.innerHTML = '';
+
+    problems.slice(0, this.maxPackProblems).forEach(problem => {
+      const item = document.createElement('li');
+      item.textContent = problem;
+      list.appendChild(item);
+    });
+
+    if (problems.length > this.maxPackProblems) {
+      const item = document.createElement('li');
+      item.textContent = `…and ${problems.length - this.maxPackProblems} more`;
+      list.appendChild(item);
+    }
+
+    list.hidden = problems.length === 0;
+  }
+
+  /**
+   * Read a backup file and show what importing it would change
+   * @param {File} file - Backup chosen by the user
+   */
+  importFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      this.pendingImport = { name: file.name, contents: reader.result };
+      
+      if (this.renderImportPreview()) {
+        this.showStatus('Review the changes below, then choose Import.');
+        this.elements.importConfirmBtn.focus();
+      }
+    };
+    reader.onerror = () => {
+      this.showStatus('Could not read that file.');
+    };
+    reader.readAsText(file);
+  }
+
+  /**
+   * Get the import mode picked in the preview
+   * @returns {string} 'merge' or 'replace'
+   */
+  getImportMode() {
+    const checked = Array.from(this.elements.importModes).find(input => input.checked);
+    return checked ? checked.value : 'merge';
+  }
+
+  /**
+   * Render the change list for the pending import in the selected mode
+   * @returns {boolean} True if the backup is valid
+   */
+  renderImportPreview() {
+    if (!this.pendingImport) return false;
+
+    const preview = this.storage.previewImport(this.pendingImport.contents, { mode: this.getImportMode() });
+
+    if (!preview.valid) {
+      const name = this.pendingImport.name;
+      this.cancelImport();
+      this.showStatus(`${name} is not a valid backup: ${preview.errors.join(' ')}`);
+      return false;
+    }
+
+    this.elements.importFile.textContent = this.pendingImport.name;
+    this.elements.importChanges.innerHTML = '';
+
+    this.describeChanges(preview.changes).forEach(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      this.elements.importChanges.appendChild(item);
+    });
+
+    this.elements.importPreview.hidden = false;
+    return true;
+  }
+
+  /**
+   * Turn a change summary from StorageManager into readable lines
+   * @param {Object} changes - Result of StorageManager.describeChanges
+   * @returns {Array<string>} Lines for the preview list
+   */
+  describeChanges(changes) {
+    const lines = [];
+    const titleOf = id => this.gameEngine.getScenarioTitle(id);
+
+    if (changes.completedAdded.length > 0) {
+      lines.push(`Adds completed: ${changes.completedAdded.map(titleOf).join(', ')}`);
+    }
+
+    if (changes.completedRemoved.length > 0) {
+      lines.push(`Removes completed: ${changes.completedRemoved.map(titleOf).join(', ')}`);
+    }
+
+    if (changes.attemptsAdded > 0) {
+      lines.push(`Adds ${changes.attemptsAdded} past ${changes.attemptsAdded === 1 ? 'attempt' : 'attempts'} to your history`);
+    }
+
+    if (changes.legacyChoicesAdded > 0) {
+      lines.push(`Adds ${changes.legacyChoicesAdded} ${changes.legacyChoicesAdded === 1 ? 'choice' : 'choices'} counted by an older version of the simulator`);
+    }
+
+    Object.entries(changes.strategiesUsed).forEach(([strategy, { from, to }]) => {
+      lines.push(`${this.uiManager.formatStrategyName(strategy)}: ${from} → ${to} uses`);
+    });
+
+    if (changes.progress) {
+      lines.push(changes.progress.to
+        ? `Scenario in progress: ${titleOf(changes.progress.to)}`
+        : 'Clears the scenario in progress');
+    }
+
+    if (changes.preferencesChanged) {
+      lines.push('Replaces your settings with the ones in the backup');
+    }
+
+    if (lines.length === 0) {
+      lines.push('Nothing will change – this device already has everything in the backup.');
+    }
+
+    return lines;
+  }
+
+  /**
+   * Save the pending import in the selected mode and reload
+   */
+  confirmImport() {
+    if (!this.pendingImport) return;
+
+    const mode = this.getImportMode();
+    if (this.storage.importData(this.pendingImport.contents, { mode })) {
+      this.showStatus(mode === 'merge' ? 'Backup merged. Reloading…' : 'Backup imported. Reloading…');
+      window.location.reload();
+    } else {
+      this.showStatus('Could not import that backup.');
+    }
+  }
+
+  /**
+   * Discard the pending import and hide the preview
+   */
+  cancelImport() {
+    this.pendingImport = null;
+    this.elements.importPreview.hidden = true;
+    this.elements.importChanges.innerHTML = '';
+  }
+
+  /**
+   * Clear progress and statistics but keep preferences
+   */
+  clearProgress() {
+    if (!confirm('This will clear your completed scenarios, statistics and every save slot in this profile. Your settings will be kept. Continue?')) {
+      return;
+    }
+
+    if (this.storage.resetProgress()) {
+      this.showStatus('Progress cleared. Reloading…');
+      window.location.reload();
+    } else {
+      this.showStatus('Could not clear progress.');
+    }
+  }
+
+  showStatus(message) {
+    this.elements.status.textContent = message;
+    this.uiManager.announceToScreenReader(message);
+  }
+}
+
+// Create global instance
+window.settingsPanel = new SettingsPanel();
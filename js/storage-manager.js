@@ -1,63 +1,136 @@
 /**
  * STORAGE MANAGER - Handle local storage operations for user progress
- * Manages save/load functionality, user preferences, and scenario completion tracking
+ * Manages save/load functionality, user preferences, and scenario completion tracking.
+ * Data is kept per learner profile, and each profile has several save slots.
  */
 
 class StorageManager {
   constructor() {
     this.storageKey = 'conflict-training-simulator';
+    // xAPI statements waiting for a learning record store, shared by all profiles
+    this.outboxKey = 'conflict-training-lms-outbox';
+    this.outboxLimit = 1000;
+    this.dataVersion = 2;
+    this.storeVersion = 2;
+    this.slotCount = 3;
+    this.strategies = [
+      'collaborating',
+      'compromising',
+      'competing',
+      'accommodating',
+      'avoiding',
+      'active_listening'
+    ];
     this.defaultState = {
+      version: this.dataVersion,
       userProgress: {
         currentScenario: null,
         currentNode: null,
-        choiceHistory: []
+        choiceHistory: [],
+        variables: {},
+        attemptId: null
       },
       completedScenarios: [],
+      // Append-only log of every play-through; statistics are derived from it
+      attempts: [],
+      // Counters kept before the attempt log, added on top of it (see convertLegacyStatistics)
+      legacyStatistics: [],
       userPreferences: {
         viewMode: 'visual-novel', // or 'text-adventure'
         autoSave: true,
-        soundEnabled: true
-      },
-      statistics: {
-        totalChoicesMade: 0,
-        scenariosCompleted: 0,
-        strategiesUsed: {
-          collaborating: 0,
-          compromising: 0,
-          competing: 0,
-          accommodating: 0,
-          avoiding: 0,
-          active_listening: 0
-        }
+        soundEnabled: true,
+        volume: 0.6, // 0 to 1, for ambient audio and cues
+        textSpeed: 'normal', // 'instant', 'slow', 'normal' or 'fast'
+        autoAdvance: false,
+        choiceTimers: 'scenario', // 'scenario', 'on' or 'off'
+        timerScale: 1 // Multiplies every countdown
       }
     };
   }
 
   /**
-   * Load all data from localStorage
+   * Load the active profile's data, with its active save slot as userProgress
    * @returns {Object} User data or default state if not found
    */
   loadData() {
+    const store = this.loadStore();
+    const profile = store.profiles[store.activeProfileId];
+    
+    return this.mergeWithDefaults({
+      userProgress: profile.slots[profile.activeSlotId],
+      completedScenarios: profile.completedScenarios,
+      attempts: profile.attempts,
+      legacyStatistics: profile.legacyStatistics,
+      // Data from before the attempt log, converted by mergeWithDefaults
+      completedRuns: profile.completedRuns,
+      statistics: profile.statistics,
+      userPreferences: profile.userPreferences
+    });
+  }
+
+  /**
+   * Get a fresh copy of the default state
+   * @returns {Object} Default user data that is safe to modify
+   */
+  getDefaultState() {
+    return JSON.parse(JSON.stringify(this.defaultState));
+  }
+
+  /**
+   * Save data to the active profile, writing userProgress to its active slot
+   * @param {Object} data - Complete user data object
+   */
+  saveData(data) {
+    const store = this.loadStore();
+    const profile = store.profiles[store.activeProfileId];
+    
+    profile.slots[profile.activeSlotId] = { ...data.userProgress };
+    profile.completedScenarios = [...data.completedScenarios];
+    profile.attempts = JSON.parse(JSON.stringify(data.attempts));
+    profile.legacyStatistics = JSON.parse(JSON.stringify(data.legacyStatistics));
+    profile.userPreferences = { ...data.userPreferences };
+    
+    // Superseded by the attempt log and legacyStatistics
+    delete profile.completedRuns;
+    delete profile.statistics;
+    
+    return this.saveStore(store);
+  }
+
+  /**
+   * Load every profile from localStorage, upgrading single-learner data if needed
+   * @returns {Object} { version, activeProfileId, profiles }
+   */
+  loadStore() {
+    let parsed = null;
+    
     try {
       const stored = localStorage.getItem(this.storageKey);
       if (stored) {
-        const data = JSON.parse(stored);
-        // Merge with defaults to handle new properties
-        return this.mergeWithDefaults(data);
+        parsed = JSON.parse(stored);
       }
     } catch (error) {
       console.warn('Error loading stored data:', error);
     }
-    return { ...this.defaultState };
+    
+    if (parsed && parsed.profiles) {
+      return this.normalizeStore(parsed);
+    }
+    
+    // First run, or data saved before profiles existed: keep it as the first profile.
+    // Saved straight away so the new profile keeps the same ID on the next load.
+    const store = this.createStore('Learner 1', parsed || {});
+    this.saveStore(store);
+    return store;
   }
 
   /**
-   * Save all data to localStorage
-   * @param {Object} data - Complete user data object
+   * Save every profile to localStorage
+   * @param {Object} store - Store from loadStore()
    */
-  saveData(data) {
+  saveStore(store) {
     try {
-      localStorage.setItem(this.storageKey, JSON.stringify(data));
+      localStorage.setItem(this.storageKey, JSON.stringify(store));
       return true;
     } catch (error) {
       console.error('Error saving data:', error);
@@ -65,23 +138,102 @@ class StorageManager {
     }
   }
 
+  /**
+   * Create a store holding a single profile
+   * @param {string} name - Profile name
+   * @param {Object} data - Existing user data to put in the profile
+   * @returns {Object} New store
+   */
+  createStore(name, data = {}) {
+    const profile = this.createProfileRecord(name, data);
+    return {
+      version: this.storeVersion,
+      activeProfileId: profile.id,
+      profiles: { [profile.id]: profile }
+    };
+  }
+
+  /**
+   * Build a profile record; existing progress goes in the first slot
+   * @param {string} name - Profile name
+   * @param {Object} data - User data in the loadData() shape
+   * @returns {Object} Profile record
+   */
+  createProfileRecord(name, data = {}) {
+    const merged = this.mergeWithDefaults(data);
+    const slots = {};
+    
+    for (let i = 1; i <= this.slotCount; i++) {
+      slots[`slot-${i}`] = { ...this.defaultState.userProgress, choiceHistory: [], variables: {} };
+    }
+    slots['slot-1'] = merged.userProgress;
+    
+    return {
+      id: this.generateId('profile'),
+      name,
+      createdAt: new Date().toISOString(),
+      activeSlotId: 'slot-1',
+      slots,
+      completedScenarios: merged.completedScenarios,
+      attempts: merged.attempts,
+      legacyStatistics: merged.legacyStatistics,
+      userPreferences: merged.userPreferences
+    };
+  }
+
+  /**
+   * Make sure a stored store has an active profile and every slot
+   * @param {Object} store - Parsed store
+   * @returns {Object} Store that is safe to use
+   */
+  normalizeStore(store) {
+    const profiles = store.profiles || {};
+    
+    if (Object.keys(profiles).length === 0) {
+      return this.createStore('Learner 1');
+    }
+    
+    Object.values(profiles).forEach(profile => {
+      profile.slots = profile.slots || {};
+      for (let i = 1; i <= this.slotCount; i++) {
+        profile.slots[`slot-${i}`] = this.mergeWithDefaults({ userProgress: profile.slots[`slot-${i}`] }).userProgress;
+      }
+      if (!profile.slots[profile.activeSlotId]) {
+        profile.activeSlotId = 'slot-1';
+      }
+    });
+    
+    if (!profiles[store.activeProfileId]) {
+      store.activeProfileId = Object.keys(profiles)[0];
+    }
+    
+    return store;
+  }
+
   /**
    * Save current scenario progress
    * @param {string} scenarioId - Current scenario ID
    * @param {string} nodeId - Current node ID
    * @param {Array} choiceHistory - Array of previous choices
+   * @param {Object} variables - Current scenario variable values
+   * @param {string} attemptId - Attempt this progress belongs to
    */
-  saveProgress(scenarioId, nodeId, choiceHistory = []) {
+  saveProgress(scenarioId, nodeId, choiceHistory = [], variables = {}, attemptId = null) {
     const data = this.loadData();
+    
+    // Overwriting a slot ends whatever attempt was saved in it
+    if (data.userProgress.attemptId && data.userProgress.attemptId !== attemptId) {
+      this.endAttempt(data, data.userProgress.attemptId, 'abandoned');
+    }
+    
     data.userProgress = {
       currentScenario: scenarioId,
       currentNode: nodeId,
-      choiceHistory: [...choiceHistory]
+      choiceHistory: [...choiceHistory],
+      variables: { ...variables },
+      attemptId
     };
     
-    // Update statistics
-    data.statistics.totalChoicesMade = choiceHistory.length;
-    
     return this.saveData(data);
   }
 
@@ -108,32 +260,121 @@ class StorageManager {
     
     if (!data.completedScenarios.includes(scenarioId)) {
       data.completedScenarios.push(scenarioId);
-      data.statistics.scenariosCompleted++;
     }
     
     // Clear current progress since scenario is complete
-    data.userProgress = {
-      currentScenario: null,
-      currentNode: null,
-      choiceHistory: []
+    data.userProgress = this.getDefaultState().userProgress;
+    
+    return this.saveData(data);
+  }
+
+  /**
+   * Start a new attempt in the attempt log
+   * @param {string} scenarioId - Scenario being played
+   * @param {string} startedAt - ISO time the scenario was opened
+   * @returns {string|null} Attempt ID, or null if it could not be saved
+   */
+  startAttempt(scenarioId, startedAt = new Date().toISOString()) {
+    const data = this.loadData();
+    const attempt = {
+      id: this.generateId('attempt'),
+      scenarioId,
+      startedAt,
+      endedAt: null,
+      status: 'in_progress', // 'completed' or 'abandoned' once it ends
+      path: [],
+      ending: null,
+      score: null,
+      undoCount: 0
     };
     
+    data.attempts.push(attempt);
+    return this.saveData(data) ? attempt.id : null;
+  }
+
+  /**
+   * Update an attempt that is still in progress
+   * @param {string} attemptId - Attempt to update
+   * @param {Object} changes - Any of path, undoCount, ending
+   * @returns {boolean} Success status
+   */
+  updateAttempt(attemptId, changes) {
+    const data = this.loadData();
+    const attempt = data.attempts.find(a => a.id === attemptId);
+    
+    if (!attempt || attempt.status !== 'in_progress') {
+      return false;
+    }
+    
+    ['path', 'undoCount', 'ending'].forEach(key => {
+      if (key in changes) {
+        attempt[key] = JSON.parse(JSON.stringify(changes[key]));
+      }
+    });
+    
     return this.saveData(data);
   }
 
   /**
-   * Record strategy usage for statistics
-   * @param {string} strategy - Strategy used (collaborating, competing, etc.)
+   * Finish an attempt as completed, with the ending reached and its assessment
+   * @param {string} attemptId - Attempt to finish
+   * @param {Object} ending - { type, title } of the ending, or null
+   * @param {Object} score - Result from ScoringEngine.score, or null
+   * @returns {boolean} Success status
    */
-  recordStrategyUsage(strategy) {
+  completeAttempt(attemptId, ending = null, score = null) {
     const data = this.loadData();
+    if (!this.endAttempt(data, attemptId, 'completed')) {
+      return false;
+    }
     
-    if (data.statistics.strategiesUsed.hasOwnProperty(strategy)) {
-      data.statistics.strategiesUsed[strategy]++;
-      return this.saveData(data);
+    const attempt = data.attempts.find(a => a.id === attemptId);
+    attempt.ending = ending;
+    attempt.score = score;
+    return this.saveData(data);
+  }
+
+  /**
+   * Finish an attempt that was restarted or replaced without reaching an ending
+   * @param {string} attemptId - Attempt to finish
+   * @returns {boolean} Success status
+   */
+  abandonAttempt(attemptId) {
+    const data = this.loadData();
+    return this.endAttempt(data, attemptId, 'abandoned') && this.saveData(data);
+  }
+
+  /**
+   * Set an in-progress attempt's final status in loaded data (does not save)
+   * @returns {boolean} True if the attempt was in progress
+   */
+  endAttempt(data, attemptId, status) {
+    const attempt = data.attempts.find(a => a.id === attemptId);
+    if (!attempt || attempt.status !== 'in_progress') {
+      return false;
     }
     
-    return false;
+    attempt.status = status;
+    attempt.endedAt = new Date().toISOString();
+    return true;
+  }
+
+  /**
+   * Get the active profile's attempt log, oldest first
+   * @returns {Array} Attempt records
+   */
+  getAttempts() {
+    const data = this.loadData();
+    return data.attempts;
+  }
+
+  /**
+   * Get one attempt by ID
+   * @param {string} attemptId - Attempt to find
+   * @returns {Object} Attempt record or null
+   */
+  getAttempt(attemptId) {
+    return this.getAttempts().find(a => a.id === attemptId) || null;
   }
 
   /**
@@ -156,12 +397,78 @@ class StorageManager {
   }
 
   /**
-   * Get user statistics
+   * Get user statistics, derived from the attempt log
    * @returns {Object} User statistics
    */
   getStatistics() {
-    const data = this.loadData();
-    return data.statistics;
+    return this.deriveStatistics(this.loadData());
+  }
+
+  /**
+   * Work out totals from completed scenarios and the attempt log, plus any counters kept from before it.
+   * Choices that were undone are not counted; only each attempt's final path is.
+   * @param {Object} data - User data in the loadData() shape
+   * @returns {Object} { totalChoicesMade, scenariosCompleted, attemptsStarted, attemptsCompleted, totalUndos, strategiesUsed }
+   */
+  deriveStatistics(data) {
+    const strategiesUsed = {};
+    this.strategies.forEach(strategy => {
+      strategiesUsed[strategy] = 0;
+    });
+    
+    let totalChoicesMade = 0;
+    let totalUndos = 0;
+    
+    data.attempts.forEach(attempt => {
+      totalChoicesMade += attempt.path.length;
+      totalUndos += attempt.undoCount || 0;
+      attempt.path.forEach(entry => {
+        if (entry.strategy in strategiesUsed) {
+          strategiesUsed[entry.strategy]++;
+        }
+      });
+    });
+    
+    (data.legacyStatistics || []).forEach(baseline => {
+      totalChoicesMade += baseline.totalChoicesMade;
+      Object.entries(baseline.strategiesUsed).forEach(([strategy, count]) => {
+        if (strategy in strategiesUsed) {
+          strategiesUsed[strategy] += count;
+        }
+      });
+    });
+    
+    return {
+      totalChoicesMade,
+      scenariosCompleted: data.completedScenarios.length,
+      attemptsStarted: data.attempts.length,
+      attemptsCompleted: data.attempts.filter(attempt => attempt.status === 'completed').length,
+      totalUndos,
+      strategiesUsed
+    };
+  }
+
+  /**
+   * Make a unique ID for profiles and attempts
+   * @param {string} prefix - ID prefix
+   * @returns {string} New ID
+   */
+  generateId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  /**
+   * Short, stable hash of a string, for IDs that must come out the same on every device
+   * @param {string} text - Text to hash
+   * @returns {string} 32-bit FNV-1a hash in base 36
+   */
+  hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
   }
 
   /**
@@ -175,11 +482,12 @@ class StorageManager {
   }
 
   /**
-   * Clear all stored data (reset)
+   * Clear all stored data, including every profile (reset)
    */
   clearAllData() {
     try {
       localStorage.removeItem(this.storageKey);
+      localStorage.removeItem(this.outboxKey);
       return true;
     } catch (error) {
       console.error('Error clearing data:', error);
@@ -192,37 +500,397 @@ class StorageManager {
    */
   clearCurrentProgress() {
     const data = this.loadData();
-    data.userProgress = {
-      currentScenario: null,
-      currentNode: null,
-      choiceHistory: []
-    };
+    if (data.userProgress.attemptId) {
+      this.endAttempt(data, data.userProgress.attemptId, 'abandoned');
+    }
+    data.userProgress = this.getDefaultState().userProgress;
     return this.saveData(data);
   }
 
   /**
-   * Export user data as JSON string (for backup)
+   * Clear the active profile's completed scenarios, attempt log and save slots (keep preferences)
+   */
+  resetProgress() {
+    const store = this.loadStore();
+    const profile = store.profiles[store.activeProfileId];
+    const fresh = this.createProfileRecord(profile.name, { userPreferences: profile.userPreferences });
+    
+    store.profiles[profile.id] = { ...fresh, id: profile.id, createdAt: profile.createdAt };
+    return this.saveStore(store);
+  }
+
+  /**
+   * Get a summary of every profile
+   * @returns {Array} [{ id, name, createdAt, completedCount, isActive }]
+   */
+  getProfiles() {
+    const store = this.loadStore();
+    
+    return Object.values(store.profiles).map(profile => ({
+      id: profile.id,
+      name: profile.name,
+      createdAt: profile.createdAt,
+      completedCount: profile.completedScenarios.length,
+      isActive: profile.id === store.activeProfileId
+    }));
+  }
+
+  /**
+   * Get the active profile's ID and name
+   * @returns {Object} { id, name }
+   */
+  getActiveProfile() {
+    const store = this.loadStore();
+    const profile = store.profiles[store.activeProfileId];
+    return { id: profile.id, name: profile.name };
+  }
+
+  /**
+   * Create a new profile and make it active
+   * @param {string} name - Display name for the learner
+   * @returns {string|null} New profile ID, or null if it could not be saved
+   */
+  createProfile(name) {
+    const store = this.loadStore();
+    const trimmed = (name || '').trim();
+    const profile = this.createProfileRecord(trimmed || `Learner ${Object.keys(store.profiles).length + 1}`);
+    
+    store.profiles[profile.id] = profile;
+    store.activeProfileId = profile.id;
+    
+    return this.saveStore(store) ? profile.id : null;
+  }
+
+  /**
+   * Switch the active profile
+   * @param {string} profileId - Profile to activate
+   * @returns {boolean} Success status
+   */
+  switchProfile(profileId) {
+    const store = this.loadStore();
+    if (!store.profiles[profileId]) {
+      return false;
+    }
+    
+    store.activeProfileId = profileId;
+    return this.saveStore(store);
+  }
+
+  /**
+   * Rename a profile
+   * @param {string} profileId - Profile to rename
+   * @param {string} name - New display name
+   * @returns {boolean} Success status
+   */
+  renameProfile(profileId, name) {
+    const store = this.loadStore();
+    const trimmed = (name || '').trim();
+    if (!store.profiles[profileId] || !trimmed) {
+      return false;
+    }
+    
+    store.profiles[profileId].name = trimmed;
+    return this.saveStore(store);
+  }
+
+  /**
+   * Delete a profile. The last remaining profile cannot be deleted.
+   * @param {string} profileId - Profile to delete
+   * @returns {boolean} Success status
+   */
+  deleteProfile(profileId) {
+    const store = this.loadStore();
+    if (!store.profiles[profileId] || Object.keys(store.profiles).length <= 1) {
+      return false;
+    }
+    
+    delete store.profiles[profileId];
+    if (store.activeProfileId === profileId) {
+      store.activeProfileId = Object.keys(store.profiles)[0];
+    }
+    
+    return this.saveStore(store);
+  }
+
+  /**
+   * Get the active profile's save slots
+   * @returns {Array} [{ id, number, progress, isActive }] where progress is null for empty slots
+   */
+  getSaveSlots() {
+    const store = this.loadStore();
+    const profile = store.profiles[store.activeProfileId];
+    
+    return Object.keys(profile.slots).map((slotId, index) => {
+      const progress = profile.slots[slotId];
+      return {
+        id: slotId,
+        number: index + 1,
+        progress: progress.currentScenario && progress.currentNode ? progress : null,
+        isActive: slotId === profile.activeSlotId
+      };
+    });
+  }
+
+  /**
+   * Choose which save slot the active profile reads and writes
+   * @param {string} slotId - Slot to activate
+   * @returns {boolean} Success status
+   */
+  setActiveSlot(slotId) {
+    const store = this.loadStore();
+    const profile = store.profiles[store.activeProfileId];
+    if (!profile.slots[slotId]) {
+      return false;
+    }
+    
+    profile.activeSlotId = slotId;
+    return this.saveStore(store);
+  }
+
+  /**
+   * Export the active profile's data as JSON string (for backup)
+   * The learner name is included so certificates can be checked against the file; imports ignore it.
    * @returns {string} JSON string of all user data
    */
   exportData() {
     const data = this.loadData();
-    return JSON.stringify(data, null, 2);
+    return JSON.stringify({ learnerName: this.getActiveProfile().name, ...data }, null, 2);
   }
 
   /**
    * Import user data from JSON string
    * @param {string} jsonString - JSON data to import
+   * @param {Object} options - { mode: 'replace' | 'merge' }
    * @returns {boolean} Success status
    */
-  importData(jsonString) {
+  importData(jsonString, options = {}) {
+    const preview = this.previewImport(jsonString, options);
+    
+    if (!preview.valid) {
+      console.error('Error importing data:', preview.errors.join('; '));
+      return false;
+    }
+    
+    return this.saveData(preview.result);
+  }
+
+  /**
+   * Work out what an import would change without saving anything
+   * @param {string} jsonString - Backup file contents
+   * @param {Object} options - { mode: 'replace' | 'merge' }
+   * @returns {Object} { valid, errors, mode, result, changes }
+   */
+  previewImport(jsonString, options = {}) {
+    const mode = options.mode === 'merge' ? 'merge' : 'replace';
+    let backup;
+    
     try {
-      const data = JSON.parse(jsonString);
-      const mergedData = this.mergeWithDefaults(data);
-      return this.saveData(mergedData);
+      backup = JSON.parse(jsonString);
     } catch (error) {
-      console.error('Error importing data:', error);
-      return false;
+      return { valid: false, errors: ['The file is not valid JSON.'], mode };
+    }
+    
+    const errors = this.validateBackup(backup);
+    if (errors.length > 0) {
+      return { valid: false, errors, mode };
+    }
+    
+    const current = this.loadData();
+    const incoming = this.mergeWithDefaults(backup);
+    const result = mode === 'merge' 
+      ? this.mergeBackup(current, incoming) 
+      : incoming;
+    
+    return {
+      valid: true,
+      errors: [],
+      mode,
+      result,
+      changes: this.describeChanges(current, result)
+    };
+  }
+
+  /**
+   * Check that parsed data looks like a backup this version can read
+   * @param {Object} backup - Parsed backup file
+   * @returns {Array<string>} Problems found (empty when valid)
+   */
+  validateBackup(backup) {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    
+    if (!isObject(backup)) {
+      return ['The file does not contain a progress backup.'];
+    }
+    
+    if (backup.version !== undefined) {
+      if (!Number.isInteger(backup.version) || backup.version < 1) {
+        errors.push('The backup version is not recognised.');
+      } else if (backup.version > this.dataVersion) {
+        errors.push(`The backup was made by a newer version of the simulator (version ${backup.version}).`);
+      }
+    }
+    
+    const knownSections = ['userProgress', 'completedScenarios', 'attempts', 'legacyStatistics', 'userPreferences', 'statistics'];
+    if (!knownSections.some(section => section in backup)) {
+      errors.push('The file does not contain any progress, preferences or statistics.');
+    }
+    
+    if ('completedScenarios' in backup) {
+      if (!Array.isArray(backup.completedScenarios) || 
+          !backup.completedScenarios.every(id => typeof id === 'string')) {
+        errors.push('completedScenarios must be a list of scenario IDs.');
+      }
+    }
+    
+    if ('attempts' in backup) {
+      if (!Array.isArray(backup.attempts) ||
+          !backup.attempts.every(attempt => isObject(attempt) && typeof attempt.id === 'string' &&
+            typeof attempt.scenarioId === 'string' && Array.isArray(attempt.path))) {
+        errors.push('attempts must be a list of attempts with an id, scenarioId and path.');
+      }
+    }
+    
+    // Version 1 backups kept finished runs and counters instead of the attempt log
+    if ('completedRuns' in backup) {
+      if (!Array.isArray(backup.completedRuns) ||
+          !backup.completedRuns.every(run => isObject(run) && typeof run.scenarioId === 'string' && Array.isArray(run.choiceHistory))) {
+        errors.push('completedRuns must be a list of play-throughs with a scenarioId and choiceHistory.');
+      }
+    }
+    
+    const checkCounters = (counters, label) => {
+      if (!(Number.isFinite(counters.totalChoicesMade) && counters.totalChoicesMade >= 0)) {
+        errors.push(`${label}.totalChoicesMade must be a non-negative number.`);
+      }
+      if (!isObject(counters.strategiesUsed) ||
+          !Object.values(counters.strategiesUsed).every(count => Number.isFinite(count) && count >= 0)) {
+        errors.push(`${label}.strategiesUsed must map strategies to non-negative numbers.`);
+      }
+    };
+    
+    if ('legacyStatistics' in backup) {
+      if (!Array.isArray(backup.legacyStatistics) ||
+          !backup.legacyStatistics.every(baseline => isObject(baseline) && typeof baseline.id === 'string')) {
+        errors.push('legacyStatistics must be a list of counters with an id.');
+      } else {
+        backup.legacyStatistics.forEach((baseline, index) => checkCounters(baseline, `legacyStatistics[${index}]`));
+      }
+    }
+    
+    if ('userPreferences' in backup && !isObject(backup.userPreferences)) {
+      errors.push('userPreferences must be an object.');
+    }
+    
+    if ('userProgress' in backup) {
+      if (!isObject(backup.userProgress)) {
+        errors.push('userProgress must be an object.');
+      } else if ('choiceHistory' in backup.userProgress && !Array.isArray(backup.userProgress.choiceHistory)) {
+        errors.push('userProgress.choiceHistory must be a list.');
+      }
+    }
+    
+    if ('statistics' in backup) {
+      const statistics = backup.statistics;
+      if (!isObject(statistics)) {
+        errors.push('statistics must be an object.');
+      } else {
+        ['totalChoicesMade', 'scenariosCompleted'].forEach(key => {
+          if (key in statistics && !(Number.isFinite(statistics[key]) && statistics[key] >= 0)) {
+            errors.push(`statistics.${key} must be a non-negative number.`);
+          }
+        });
+        
+        if ('strategiesUsed' in statistics) {
+          if (!isObject(statistics.strategiesUsed)) {
+            errors.push('statistics.strategiesUsed must be an object.');
+          } else {
+            Object.entries(statistics.strategiesUsed).forEach(([strategy, count]) => {
+              if (!(Number.isFinite(count) && count >= 0)) {
+                errors.push(`statistics.strategiesUsed.${strategy} must be a non-negative number.`);
+              }
+            });
+          }
+        }
+      }
+    }
+    
+    return errors;
+  }
+
+  /**
+   * Combine a backup with the data already in this browser.
+   * Completed scenarios, attempts and counters kept from before the attempt log are unioned,
+   * so strategy counts add up; preferences and any scenario in progress here are kept.
+   * Attempts added from the backup are stamped with importedAt, so certificates issued
+   * here before the merge keep verifying (see CertificateGenerator.getCountedAttempts).
+   * @param {Object} current - Data currently stored
+   * @param {Object} incoming - Backup data merged with defaults
+   * @param {string} importedAt - Time of the merge
+   * @returns {Object} Combined data
+   */
+  mergeBackup(current, incoming, importedAt = new Date().toISOString()) {
+    const merged = JSON.parse(JSON.stringify(current));
+    
+    incoming.completedScenarios.forEach(scenarioId => {
+      if (!merged.completedScenarios.includes(scenarioId)) {
+        merged.completedScenarios.push(scenarioId);
+      }
+    });
+    
+    incoming.attempts.forEach(attempt => {
+      if (!merged.attempts.some(existing => existing.id === attempt.id)) {
+        merged.attempts.push({ ...attempt, importedAt });
+      }
+    });
+    merged.attempts.sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+    
+    incoming.legacyStatistics.forEach(baseline => {
+      if (!merged.legacyStatistics.some(existing => existing.id === baseline.id)) {
+        merged.legacyStatistics.push(baseline);
+      }
+    });
+    
+    if (!merged.userProgress.currentScenario && incoming.userProgress.currentScenario) {
+      merged.userProgress = { ...incoming.userProgress };
     }
+    
+    return merged;
+  }
+
+  /**
+   * Summarise the differences between two data snapshots for display
+   * @param {Object} before - Data before import
+   * @param {Object} after - Data after import
+   * @returns {Object} Added/removed scenarios, counters carried over from older versions,
+   *   strategy count changes, progress and preference changes
+   */
+  describeChanges(before, after) {
+    const strategies = {};
+    const beforeCounts = this.deriveStatistics(before).strategiesUsed;
+    const afterCounts = this.deriveStatistics(after).strategiesUsed;
+    const legacyAdded = after.legacyStatistics.filter(baseline => !before.legacyStatistics.some(b => b.id === baseline.id));
+    
+    this.strategies.forEach(strategy => {
+      const from = beforeCounts[strategy];
+      const to = afterCounts[strategy];
+      if (from !== to) {
+        strategies[strategy] = { from, to };
+      }
+    });
+    
+    return {
+      attemptsAdded: after.attempts.filter(attempt => !before.attempts.some(a => a.id === attempt.id)).length,
+      legacyChoicesAdded: legacyAdded.reduce((total, baseline) => total + baseline.totalChoicesMade, 0),
+      completedAdded: after.completedScenarios.filter(id => !before.completedScenarios.includes(id)),
+      completedRemoved: before.completedScenarios.filter(id => !after.completedScenarios.includes(id)),
+      strategiesUsed: strategies,
+      progress: before.userProgress.currentScenario !== after.userProgress.currentScenario ||
+        before.userProgress.currentNode !== after.userProgress.currentNode
+        ? { from: before.userProgress.currentScenario, to: after.userProgress.currentScenario }
+        : null,
+      preferencesChanged: JSON.stringify(before.userPreferences) !== JSON.stringify(after.userPreferences)
+    };
   }
 
   /**
@@ -231,7 +899,7 @@ class StorageManager {
    * @returns {Object} Merged data with all required properties
    */
   mergeWithDefaults(loaded) {
-    const merged = { ...this.defaultState };
+    const merged = this.getDefaultState();
     
     if (loaded.userProgress) {
       merged.userProgress = { ...merged.userProgress, ...loaded.userProgress };
@@ -241,21 +909,82 @@ class StorageManager {
       merged.completedScenarios = [...loaded.completedScenarios];
     }
     
+    if (loaded.attempts) {
+      merged.attempts = JSON.parse(JSON.stringify(loaded.attempts));
+    } else if (loaded.completedRuns) {
+      merged.attempts = this.convertCompletedRuns(loaded.completedRuns);
+    }
+    
+    if (loaded.legacyStatistics) {
+      merged.legacyStatistics = JSON.parse(JSON.stringify(loaded.legacyStatistics));
+    } else if (loaded.statistics) {
+      merged.legacyStatistics = this.convertLegacyStatistics(loaded.statistics, merged.attempts);
+    }
+    
     if (loaded.userPreferences) {
       merged.userPreferences = { ...merged.userPreferences, ...loaded.userPreferences };
     }
     
-    if (loaded.statistics) {
-      merged.statistics = { ...merged.statistics, ...loaded.statistics };
-      if (loaded.statistics.strategiesUsed) {
-        merged.statistics.strategiesUsed = { 
-          ...merged.statistics.strategiesUsed, 
-          ...loaded.statistics.strategiesUsed 
-        };
-      }
+    return merged;
+  }
+
+  /**
+   * Turn the completed runs kept before the attempt log existed into attempts.
+   * IDs are based on the completion time so the same run always gets the same ID.
+   * @param {Array} runs - [{ scenarioId, completedAt, choiceHistory }]
+   * @returns {Array} Attempt records
+   */
+  convertCompletedRuns(runs) {
+    return runs.map((run, index) => {
+      const path = JSON.parse(JSON.stringify(run.choiceHistory || []));
+      return {
+        id: `attempt-${(Date.parse(run.completedAt) || 0).toString(36)}-${index}`,
+        scenarioId: run.scenarioId,
+        startedAt: path.length > 0 && path[0].timestamp ? path[0].timestamp : run.completedAt,
+        endedAt: run.completedAt,
+        status: 'completed',
+        path,
+        ending: null,
+        score: null,
+        undoCount: 0
+      };
+    });
+  }
+
+  /**
+   * Keep the counters stored before the attempt log as a baseline on top of it.
+   * Choices already in attempts converted from the same data are taken off so they aren't counted twice.
+   * The ID comes from the counters, so merging the same old backup twice adds them once.
+   * @param {Object} statistics - { totalChoicesMade, strategiesUsed }
+   * @param {Array} attempts - Attempts converted from the same data
+   * @returns {Array} No baseline, or one { id, totalChoicesMade, strategiesUsed }
+   */
+  convertLegacyStatistics(statistics, attempts) {
+    const counted = this.deriveStatistics({ completedScenarios: [], attempts });
+    const stored = statistics.strategiesUsed || {};
+    const strategiesUsed = {};
+    let strategyTotal = 0;
+    
+    this.strategies.forEach(strategy => {
+      const count = Number(stored[strategy]) || 0;
+      strategyTotal += count;
+      strategiesUsed[strategy] = Math.max(0, count - counted.strategiesUsed[strategy]);
+    });
+    
+    // The first release overwrote totalChoicesMade with the length of the current run,
+    // while strategy counts grew with every choice, so take whichever is larger
+    const total = Math.max(Number(statistics.totalChoicesMade) || 0, strategyTotal);
+    const totalChoicesMade = Math.max(0, total - counted.totalChoicesMade);
+    
+    if (totalChoicesMade === 0 && Object.values(strategiesUsed).every(count => count === 0)) {
+      return [];
     }
     
-    return merged;
+    return [{
+      id: `legacy-${this.hashString(JSON.stringify([total, this.strategies.map(strategy => Number(stored[strategy]) || 0)]))}`,
+      totalChoicesMade,
+      strategiesUsed
+    }];
   }
 
   /**
@@ -264,8 +993,8 @@ class StorageManager {
    */
   getStorageInfo() {
     try {
-      const data = this.loadData();
-      const dataSize = JSON.stringify(data).length;
+      const store = this.loadStore();
+      const dataSize = JSON.stringify(store).length;
       const maxSize = 5 * 1024 * 1024; // 5MB typical localStorage limit
       
       return {
@@ -280,6 +1009,56 @@ class StorageManager {
     }
   }
 
+  /**
+   * Add xAPI statements to the outbox, dropping the oldest beyond the limit
+   * @param {Array} statements - Statements with IDs
+   * @returns {boolean} Success status
+   */
+  queueStatements(statements) {
+    const outbox = this.getQueuedStatements().concat(statements).slice(-this.outboxLimit);
+    
+    try {
+      localStorage.setItem(this.outboxKey, JSON.stringify(outbox));
+      return true;
+    } catch (error) {
+      console.error('Error queueing statements:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the statements waiting in the outbox, oldest first
+   * @returns {Array} Queued statements
+   */
+  getQueuedStatements() {
+    try {
+      const stored = localStorage.getItem(this.outboxKey);
+      const outbox = stored ? JSON.parse(stored) : [];
+      return Array.isArray(outbox) ? outbox : [];
+    } catch (error) {
+      console.warn('Error loading queued statements:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Remove statements from the outbox once they have been delivered
+   * @param {Array<string>} statementIds - IDs of delivered statements
+   * @returns {boolean} Success status
+   */
+  removeQueuedStatements(statementIds) {
+    const delivered = new Set(statementIds);
+    const outbox = this.getQueuedStatements().filter(statement => !delivered.has(statement.id));
+    
+    try {
+      localStorage.setItem(this.outboxKey, JSON.stringify(outbox));
+      return true;
+    } catch (error) {
+      console.error('Error updating queued statements:', error);
+      return false;
+    }
+  }
+
   /**
    * Announce changes to screen readers
    * @param {string} message - Message to announce
@@ -297,4 +1076,11 @@ class StorageManager {
 }
 
 // Create global instance
-window.storageManager = new StorageManager();
\ No newline at end of file
+if (typeof window !== 'undefined') {
+  window.storageManager = new StorageManager();
+}
+
+// Allow Node-based authoring tools to read the default state
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StorageManager;
+}
\ No newline at end of file
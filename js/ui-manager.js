@@ -9,6 +9,32 @@ class UIManager {
     this.gameEngine = window.gameEngine;
     this.storage = window.storageManager;
     
+    // Search and filters for the scenario list (not saved between visits)
+    this.library = window.scenarioLibrary;
+    this.libraryFilters = this.library ? { ...this.library.defaultFilters } : null;
+    
+    // Ambient loop and cues; absent in the editor preview
+    this.audio = window.audioManager;
+    
+    // Node emotions grouped into the moods that tint the scene; anything else is neutral
+    this.sceneMoods = {
+      tense: ['tense', 'adversarial', 'frustrated', 'uncomfortable', 'conflicted', 'disappointed', 'concerned', 'cautious', 'busy', 'defensive', 'angry'],
+      hopeful: ['hopeful', 'relieved', 'optimistic', 'satisfied', 'triumphant', 'accomplished', 'aligned', 'recovering', 'insightful', 'creative', 'growth-oriented'],
+      warm: ['supportive', 'gentle', 'understanding', 'friendly', 'open', 'honest', 'apologetic', 'vulnerable', 'constructive', 'diplomatic']
+    };
+    
+    // Expression images that failed to load, so they are not requested on every node
+    this.missingPortraits = new Set();
+    
+    // Visual novel playback: characters per second for each text speed (0 shows lines at once)
+    this.textSpeeds = { instant: 0, slow: 20, normal: 45, fast: 90 };
+    this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.typewriter = null;
+    this.autoAdvanceTimer = null;
+    
+    // Time on the current choices, and the countdown on timed nodes
+    this.choiceClock = null;
+    
     // DOM elements
     this.elements = {};
     
@@ -32,6 +58,13 @@ class UIManager {
       errorScreen: document.getElementById('error-screen'),
       
       scenarioList: document.getElementById('scenario-list'),
+      libraryFilters: document.getElementById('library-filters'),
+      librarySearch: document.getElementById('library-search'),
+      libraryDifficulty: document.getElementById('library-difficulty'),
+      libraryStatus: document.getElementById('library-status'),
+      libraryTime: document.getElementById('library-time'),
+      libraryClearBtn: document.getElementById('library-clear-btn'),
+      librarySummary: document.getElementById('library-summary'),
       progressBar: document.getElementById('progress-bar'),
       progressFill: document.getElementById('progress-fill'),
       progressText: document.getElementById('progress-text'),
@@ -41,12 +74,19 @@ class UIManager {
       menuBtn: document.getElementById('menu-btn'),
       viewModeBtn: document.getElementById('view-mode-btn'),
       settingsBtn: document.getElementById('settings-btn'),
+      backlogBtn: document.getElementById('backlog-btn'),
+      profileBtn: document.getElementById('profile-btn'),
       retryBtn: document.getElementById('retry-btn'),
       
       choiceCounter: document.getElementById('choice-counter'),
       saveStatus: document.getElementById('save-status'),
       errorMessage: document.getElementById('error-message'),
       
+      resumeDialog: document.getElementById('resume-dialog'),
+      resumeScenarioTitle: document.getElementById('resume-scenario-title'),
+      resumeMeta: document.getElementById('resume-meta'),
+      resumePath: document.getElementById('resume-path'),
+      
       srAnnouncements: document.getElementById('sr-announcements')
     };
     
@@ -84,6 +124,46 @@ class UIManager {
       });
     }
     
+    // Settings dialog
+    if (this.elements.settingsBtn) {
+      this.elements.settingsBtn.addEventListener('click', () => {
+        window.settingsPanel.open();
+      });
+    }
+    
+    // Backlog of lines and choices so far
+    if (this.elements.backlogBtn) {
+      this.elements.backlogBtn.addEventListener('click', () => {
+        window.backlogPanel.open();
+      });
+    }
+    
+    // Profile dashboard
+    if (this.elements.profileBtn) {
+      this.elements.profileBtn.addEventListener('click', () => {
+        window.profileDashboard.open();
+      });
+    }
+    
+    // Scenario library search and filters
+    if (this.elements.libraryFilters) {
+      this.elements.libraryFilters.addEventListener('input', () => {
+        this.updateLibraryFilters();
+      });
+      
+      this.elements.libraryFilters.addEventListener('submit', (e) => {
+        e.preventDefault();
+      });
+      
+      // Form reset restores the controls after this event, so read them afterwards
+      this.elements.libraryFilters.addEventListener('reset', () => {
+        setTimeout(() => {
+          this.updateLibraryFilters();
+          this.elements.librarySearch.focus();
+        });
+      });
+    }
+    
     // Retry button
     if (this.elements.retryBtn) {
       this.elements.retryBtn.addEventListener('click', () => {
@@ -95,6 +175,13 @@ class UIManager {
     document.addEventListener('keydown', (e) => {
       this.handleKeyboardNavigation(e);
     });
+    
+    // Time in a background tab doesn't count towards response times or countdowns
+    document.addEventListener('visibilitychange', () => {
+      if (this.choiceClock) {
+        this.choiceClock.lastTick = Date.now();
+      }
+    });
   }
 
   /**
@@ -111,6 +198,25 @@ class UIManager {
       this.elements.viewModeBtn.setAttribute('aria-label', 
         `Switch to ${this.currentViewMode === 'visual-novel' ? 'text adventure' : 'visual novel'} mode`);
     }
+    
+    // Update save status label
+    if (this.elements.saveStatus) {
+      this.elements.saveStatus.textContent = preferences.autoSave ? 'Auto-save' : 'Auto-save off';
+    }
+  }
+
+  /**
+   * Re-apply preferences after they change in the settings dialog
+   */
+  applyPreferences() {
+    const previousViewMode = this.currentViewMode;
+    this.loadUserPreferences();
+    
+    if (previousViewMode !== this.currentViewMode && this.gameEngine.getCurrentNode()) {
+      this.renderCurrentNode();
+    }
+    
+    this.audio?.applyPreferences();
   }
 
   /**
@@ -119,41 +225,159 @@ class UIManager {
   renderScenarioList() {
     if (!this.elements.scenarioList) return;
     
-    const scenarios = this.gameEngine.getAvailableScenarios();
+    // Locked scenarios are listed too, with what unlocks them
+    const scenarios = this.gameEngine.getScenarioList();
     this.elements.scenarioList.innerHTML = '';
     
-    scenarios.forEach(scenario => {
-      const card = this.createScenarioCard(scenario);
-      this.elements.scenarioList.appendChild(card);
-    });
-    
     if (scenarios.length === 0) {
       this.elements.scenarioList.innerHTML = 
         '<p class="text-center">No scenarios available. Please check your connection.</p>';
+      return;
+    }
+    
+    // Without the library script, fall back to a flat list
+    if (!this.library) {
+      scenarios.forEach(scenario => {
+        this.elements.scenarioList.appendChild(this.createScenarioCard(scenario));
+      });
+      return;
+    }
+    
+    const attempts = this.storage.getAttempts();
+    const completedScenarios = this.storage.loadData().completedScenarios;
+    const shown = scenarios.filter(scenario =>
+      this.library.matches(scenario, this.libraryFilters, this.storage.isScenarioCompleted(scenario.id))
+    );
+    const groups = this.library.groupByCategory(shown, this.gameEngine.scenarioIndex.categories);
+    
+    groups.forEach(({ category, scenarios: groupScenarios }) => {
+      const group = document.createElement('section');
+      group.className = 'scenario-group';
+      group.setAttribute('aria-label', category.name);
+      
+      const heading = document.createElement('h4');
+      heading.className = 'scenario-group-title';
+      heading.textContent = `${category.icon || ''} ${category.name}`.trim();
+      group.appendChild(heading);
+      
+      if (category.description) {
+        const description = document.createElement('p');
+        description.className = 'scenario-group-description';
+        description.textContent = category.description;
+        group.appendChild(description);
+      }
+      
+      const cards = document.createElement('div');
+      cards.className = 'scenario-group-cards';
+      groupScenarios.forEach(scenario => {
+        cards.appendChild(this.createScenarioCard(scenario, this.library.getRecord(scenario.id, attempts, completedScenarios)));
+      });
+      group.appendChild(cards);
+      
+      this.elements.scenarioList.appendChild(group);
+    });
+    
+    if (shown.length === 0) {
+      this.elements.scenarioList.innerHTML = 
+        '<p class="text-center">No scenarios match these filters.</p>';
+    }
+    
+    const filtered = this.library.isFiltered(this.libraryFilters);
+    if (this.elements.libraryClearBtn) {
+      this.elements.libraryClearBtn.hidden = !filtered;
+    }
+    if (this.elements.librarySummary) {
+      this.elements.librarySummary.textContent = filtered ?
+        `Showing ${shown.length} of ${scenarios.length} scenarios` :
+        '';
     }
   }
 
+  /**
+   * Read the library controls and re-render the scenario list
+   */
+  updateLibraryFilters() {
+    this.libraryFilters = {
+      search: this.elements.librarySearch.value.trim(),
+      difficulty: this.elements.libraryDifficulty.value,
+      status: this.elements.libraryStatus.value,
+      maxMinutes: Number(this.elements.libraryTime.value)
+    };
+    
+    this.renderScenarioList();
+  }
+
   /**
    * Create a scenario selection card
+   * @param {Object} scenario - Entry from GameEngine.getScenarioList
+   * @param {Object} record - Attempt summary from ScenarioLibrary.getRecord, if known
    */
-  createScenarioCard(scenario) {
+  createScenarioCard(scenario, record = null) {
     const card = document.createElement('button');
     card.className = 'scenario-card';
     card.setAttribute('data-scenario-id', scenario.id);
     
     const isCompleted = this.storage.isScenarioCompleted(scenario.id);
     
-    card.innerHTML = `
-      <h3>${scenario.title} ${isCompleted ? '✓' : ''}</h3>
-      <p>${scenario.description || 'Practice conflict resolution skills in this scenario.'}</p>
-      <div class="scenario-meta">
-        <span class="difficulty-badge ${scenario.difficulty}">${scenario.difficulty}</span>
-        <span class="estimated-time">${scenario.estimatedTime || '5-10 min'}</span>
-        ${isCompleted ? '<span class="completion-status">Completed</span>' : ''}
-      </div>
-    `;
+    // Built with textContent because imported packs supply these strings
+    const title = document.createElement('h3');
+    title.textContent = `${scenario.title} ${isCompleted ? '✓' : ''}`.trim();
+    card.appendChild(title);
+    
+    const description = document.createElement('p');
+    description.textContent = scenario.description || 'Practice conflict resolution skills in this scenario.';
+    card.appendChild(description);
+    
+    const meta = document.createElement('div');
+    meta.className = 'scenario-meta';
+    const addBadge = (className, text) => {
+      const badge = document.createElement('span');
+      badge.className = className;
+      badge.textContent = text;
+      meta.appendChild(badge);
+      return badge;
+    };
+    
+    addBadge(`difficulty-badge ${scenario.difficulty}`, scenario.difficulty);
+    addBadge('estimated-time', scenario.estimatedTime || '5-10 min');
+    if (isCompleted) addBadge('completion-status', 'Completed');
+    if (scenario.locked) addBadge('lock-badge', '🔒 Locked');
+    if (scenario.custom) addBadge('custom-badge', 'Custom').title = `From the ${scenario.packName} pack`;
+    card.appendChild(meta);
+    
+    if (record && record.attemptCount > 0) {
+      const history = document.createElement('p');
+      history.className = 'scenario-history';
+      
+      const attemptsText = `${record.attemptCount} ${record.attemptCount === 1 ? 'attempt' : 'attempts'}`;
+      if (record.bestEnding) {
+        history.setAttribute('data-ending-type', record.bestEnding.type);
+        history.textContent = `Best: ${this.formatEndingType(record.bestEnding.type)} · ${attemptsText}`;
+        history.title = record.bestEnding.title || '';
+      } else if (record.completedCount > 0) {
+        history.textContent = `Completed, ending not recorded · ${attemptsText}`;
+      } else {
+        history.textContent = `No ending reached yet · ${attemptsText}`;
+      }
+      
+      card.appendChild(history);
+    }
+    
+    if (scenario.locked) {
+      card.classList.add('locked');
+      card.setAttribute('aria-disabled', 'true');
+      
+      const requirement = document.createElement('p');
+      requirement.className = 'unlock-requirement';
+      requirement.textContent = `To unlock: ${scenario.unlockRequirement}`;
+      card.appendChild(requirement);
+    }
     
     card.addEventListener('click', () => {
+      if (scenario.locked) {
+        this.announceToScreenReader(`${scenario.title} is locked. To unlock: ${scenario.unlockRequirement}`);
+        return;
+      }
       this.startScenario(scenario.id);
     });
     
@@ -197,6 +421,8 @@ class UIManager {
     
     // Clear previous content
     this.elements.scenarioDisplay.innerHTML = '';
+    this.stopPlayback();
+    this.dialogue = null;
     
     // Create container based on view mode
     const container = document.createElement('div');
@@ -213,23 +439,60 @@ class UIManager {
     // Add choices
     this.renderChoices(container, nodeData);
     
+    // Say so when the countdown made the last choice
+    const lastChoice = this.gameEngine.getChoiceHistory().pop();
+    if (lastChoice && lastChoice.timedOut && lastChoice.resultNode === this.gameEngine.currentNode) {
+      const notice = document.createElement('p');
+      notice.className = 'timeout-notice';
+      notice.textContent = `⏱ Time ran out, so this happened: ${lastChoice.choiceText}`;
+      container.appendChild(notice);
+    }
+    
+    // Show how a typed reply was scored
+    if (lastChoice && lastChoice.response && lastChoice.resultNode === this.gameEngine.currentNode) {
+      container.appendChild(this.renderResponseReview(lastChoice.response));
+    }
+    
     // Add feedback if present
     if (nodeData.feedback) {
       this.renderFeedback(container, nodeData.feedback);
     }
     
+    // Add end-of-scenario debrief
+    if (this.gameEngine.isScenarioComplete()) {
+      this.renderDebrief(container);
+    }
+    
+    if (this.isDialoguePending()) {
+      this.hideUntilDialogueEnds(container);
+    }
+    
     this.elements.scenarioDisplay.appendChild(container);
     
     // Smooth transition
     container.classList.add('scene-transition');
     setTimeout(() => container.classList.add('active'), 50);
     
+    if (!this.isDialoguePending()) {
+      this.startChoiceClock();
+    }
+    
     // Update back button state
     this.updateBackButton();
     
     // Announce to screen readers
+    const ending = this.gameEngine.getEnding();
+    if (this.isDialoguePending()) {
+      this.announceToScreenReader(
+        `${nodeData.content.title || 'New scene'}. ${this.dialogue.lines.length} lines of dialogue; press Enter for the next line.`
+      );
+      return;
+    }
+    const prompt = nodeData.response ? 'Type your reply.' :
+      (nodeData.choices ? `${nodeData.choices.length} choices available.` : '');
     this.announceToScreenReader(
-      `${nodeData.content.title || 'New scene'}. ${nodeData.choices ? nodeData.choices.length + ' choices available.' : ''}`
+      `${nodeData.content.title || 'New scene'}. ${prompt}` +
+      `${ending ? ` Scenario complete: ${ending.title}.` : ''}`
     );
   }
 
@@ -240,7 +503,7 @@ class UIManager {
     const { content } = nodeData;
     const scenario = this.gameEngine.currentScenario;
     
-    // Scene background
+    // Scene background, tinted by the mood of the line being shown
     const sceneBackground = document.createElement('div');
     sceneBackground.className = 'scene-background';
     
@@ -262,29 +525,101 @@ class UIManager {
       sceneBackground.classList.add('placeholder');
     }
     
+    const moodLight = document.createElement('div');
+    moodLight.className = 'scene-mood';
+    moodLight.setAttribute('aria-hidden', 'true');
+    sceneBackground.appendChild(moodLight);
+    
     container.appendChild(sceneBackground);
     
+    // Relationship and tension meters
+    this.renderVariableMeters(container);
+    
+    // Portrait and dialogue box for the current line; multi-line nodes step through them
+    const stage = document.createElement('div');
+    stage.className = 'dialogue-stage';
+    container.appendChild(stage);
+    
+    this.dialogue = {
+      lines: this.getDialogueLines(content),
+      index: 0,
+      container,
+      stage,
+      sceneBackground
+    };
+    this.renderDialogueLine();
+  }
+
+  /**
+   * Dialogue lines for a node: content.text as the opening line, then any content.dialogue entries
+   * @param {Object} content - Node content
+   * @returns {Array<Object>} Lines as { speaker, emotion, text }; always at least one
+   */
+  getDialogueLines(content) {
+    const lines = [];
+    
+    if (content.text || !Array.isArray(content.dialogue)) {
+      lines.push({ speaker: content.speaker || 'narrator', emotion: content.emotion, text: content.text || '' });
+    }
+    
+    (Array.isArray(content.dialogue) ? content.dialogue : []).forEach(line => {
+      lines.push({
+        speaker: line.speaker || 'narrator',
+        emotion: line.emotion || content.emotion,
+        text: line.text || ''
+      });
+    });
+    
+    return lines.length > 0 ? lines : [{ speaker: 'narrator', emotion: content.emotion, text: '' }];
+  }
+
+  /**
+   * Whether the visual novel view still has dialogue lines to show before the choices
+   */
+  isDialoguePending() {
+    return Boolean(this.dialogue && this.dialogue.index < this.dialogue.lines.length - 1);
+  }
+
+  /**
+   * Draw the current dialogue line: speaker portrait, name, text and the scene mood
+   */
+  renderDialogueLine() {
+    const { lines, index, stage, sceneBackground } = this.dialogue;
+    const line = lines[index];
+    const scenario = this.gameEngine.currentScenario;
+    const character = scenario?.characters?.[line.speaker];
+    
+    stage.innerHTML = '';
+    sceneBackground.setAttribute('data-mood', this.getSceneMood(line.emotion));
+    
     // Character area (if speaker is not narrator)
-    if (content.speaker && content.speaker !== 'narrator') {
+    if (line.speaker !== 'narrator') {
       const characterArea = document.createElement('div');
       characterArea.className = 'character-area';
       
       const portrait = document.createElement('div');
-      portrait.className = `character-portrait ${content.speaker}`;
+      portrait.className = `character-portrait ${line.speaker}`;
       
-      // Load character portrait if available
-      const character = scenario?.characters?.[content.speaker];
-      if (character && character.portrait) {
+      // Load the expression for this line's emotion, falling back to the neutral portrait
+      const sources = this.getPortraitSources(character, line.emotion);
+      if (sources.length > 0) {
         const img = document.createElement('img');
-        img.src = character.portrait;
         img.alt = `${character.name} portrait`;
         img.onload = () => {
           portrait.classList.remove('placeholder');
         };
         img.onerror = () => {
-          console.warn(`Failed to load portrait for ${content.speaker}`);
+          const failed = sources.shift();
+          if (sources.length > 0) {
+            this.missingPortraits.add(failed);
+            img.src = sources[0];
+            return;
+          }
+          console.warn(`Failed to load portrait for ${line.speaker}`);
           portrait.classList.add('placeholder');
         };
+        img.src = sources[0];
+        portrait.setAttribute('data-emotion', line.emotion || 'neutral');
         portrait.appendChild(img);
         
         // Add character name tooltip
@@ -297,36 +632,414 @@ class UIManager {
       }
       
       characterArea.appendChild(portrait);
-      container.appendChild(characterArea);
+      stage.appendChild(characterArea);
     }
     
     // Dialogue box
     const dialogueBox = document.createElement('div');
     dialogueBox.className = 'dialogue-box';
     
-    if (content.speaker && content.speaker !== 'narrator') {
+    if (line.speaker !== 'narrator') {
       const speakerName = document.createElement('div');
       speakerName.className = 'speaker-name';
       
       // Get character name from scenario data
-      const character = scenario?.characters?.[content.speaker];
-      const displayName = character ? character.name : content.speaker;
+      const displayName = character ? character.name : line.speaker;
       const role = character ? character.role : '';
       
-      speakerName.innerHTML = `
-        <span class="speaker-name-text">${displayName}</span>
-        ${role ? `<span class="speaker-role">${role}</span>` : ''}
-      `;
+      const nameText = document.createElement('span');
+      nameText.className = 'speaker-name-text';
+      nameText.textContent = displayName;
+      speakerName.appendChild(nameText);
+      
+      if (role) {
+        const roleText = document.createElement('span');
+        roleText.className = 'speaker-role';
+        roleText.textContent = role;
+        speakerName.appendChild(roleText);
+      }
       
       dialogueBox.appendChild(speakerName);
     }
     
     const dialogueText = document.createElement('div');
     dialogueText.className = 'dialogue-text';
-    dialogueText.textContent = content.text;
     dialogueBox.appendChild(dialogueText);
     
-    container.appendChild(dialogueBox);
+    // Click anywhere on the box (or press Enter) to finish the line, then for the next one
+    dialogueBox.addEventListener('click', () => this.handleDialogueInput());
+    
+    if (lines.length > 1) {
+      const footer = document.createElement('div');
+      footer.className = 'dialogue-footer';
+      
+      const progress = document.createElement('span');
+      progress.className = 'dialogue-progress';
+      progress.textContent = `${index + 1} / ${lines.length}`;
+      footer.appendChild(progress);
+      
+      if (this.isDialoguePending()) {
+        const continueBtn = document.createElement('button');
+        continueBtn.className = 'dialogue-continue';
+        continueBtn.textContent = 'Continue ▸';
+        continueBtn.setAttribute('aria-label', 'Next line');
+        footer.appendChild(continueBtn);
+        
+        dialogueBox.classList.add('has-more');
+      }
+      
+      dialogueBox.appendChild(footer);
+    }
+    
+    stage.appendChild(dialogueBox);
+    this.playLine(dialogueText, line.text);
+  }
+
+  /**
+   * Text speed and auto-advance, both off under reduced motion
+   * Pages that only borrow the renderers (e.g. the scenario editor) always show text at once.
+   * @returns {Object} { speed: characters per second, 0 for instant; autoAdvance }
+   */
+  getPlayback() {
+    const preferences = this.storage.getUserPreferences();
+    if (this.reducedMotion.matches || !this.elements.scenarioDisplay) {
+      return { speed: 0, autoAdvance: false };
+    }
+    
+    const speed = this.textSpeeds[preferences.textSpeed];
+    return {
+      speed: speed === undefined ? this.textSpeeds.normal : speed,
+      autoAdvance: Boolean(preferences.autoAdvance)
+    };
+  }
+
+  /**
+   * Reveal a line character by character; screen readers get the whole line from a hidden copy
+   */
+  playLine(element, text) {
+    const { speed } = this.getPlayback();
+    
+    if (!speed || !text) {
+      element.textContent = text;
+      this.scheduleAutoAdvance();
+      return;
+    }
+    
+    const visible = document.createElement('span');
+    visible.setAttribute('aria-hidden', 'true');
+    const spoken = document.createElement('span');
+    spoken.className = 'sr-only';
+    spoken.textContent = text;
+    element.appendChild(visible);
+    element.appendChild(spoken);
+    element.classList.add('typing');
+    
+    const interval = 30;
+    const perTick = Math.max(1, Math.round(speed * interval / 1000));
+    let shown = 0;
+    
+    const tick = () => {
+      shown = Math.min(text.length, shown + perTick);
+      visible.textContent = text.slice(0, shown);
+      if (shown < text.length) {
+        this.typewriter.timer = setTimeout(tick, interval);
+      } else {
+        this.finishTyping();
+      }
+    };
+    
+    this.typewriter = { element, visible, text, timer: setTimeout(tick, interval) };
+  }
+
+  isTyping() {
+    return Boolean(this.typewriter);
+  }
+
+  /**
+   * Show the rest of the line being typed
+   */
+  finishTyping() {
+    if (!this.typewriter) return;
+    
+    clearTimeout(this.typewriter.timer);
+    this.typewriter.visible.textContent = this.typewriter.text;
+    this.typewriter.element.classList.remove('typing');
+    this.typewriter = null;
+    this.scheduleAutoAdvance();
+  }
+
+  /**
+   * With auto-advance on, move to the next line after a pause that grows with the line's length
+   */
+  scheduleAutoAdvance() {
+    clearTimeout(this.autoAdvanceTimer);
+    if (!this.getPlayback().autoAdvance || !this.isDialoguePending()) return;
+    
+    const line = this.dialogue.lines[this.dialogue.index];
+    const stage = this.dialogue.stage;
+    const delay = Math.max(1500, line.text.length * 50);
+    
+    this.autoAdvanceTimer = setTimeout(() => {
+      if (!stage.isConnected) return;
+      
+      // Wait while a dialog (e.g. the backlog) is open
+      if (document.querySelector('dialog[open]')) {
+        this.scheduleAutoAdvance();
+        return;
+      }
+      this.advanceDialogue();
+    }, delay);
+  }
+
+  stopPlayback() {
+    if (this.typewriter) {
+      clearTimeout(this.typewriter.timer);
+      this.typewriter = null;
+    }
+    clearTimeout(this.autoAdvanceTimer);
+    this.stopChoiceClock();
+  }
+
+  /**
+   * Click or key press on the dialogue: finish typing first, then step to the next line
+   */
+  handleDialogueInput() {
+    if (this.isTyping()) {
+      this.finishTyping();
+    } else {
+      this.advanceDialogue();
+    }
+  }
+
+  /**
+   * Show the next dialogue line; after the last one, reveal the choices or debrief
+   */
+  advanceDialogue() {
+    if (!this.isDialoguePending()) return;
+    
+    const hadFocus = this.dialogue.stage.contains(document.activeElement);
+    this.stopPlayback();
+    this.dialogue.index++;
+    this.renderDialogueLine();
+    
+    const line = this.dialogue.lines[this.dialogue.index];
+    const character = this.gameEngine.currentScenario?.characters?.[line.speaker];
+    this.announceToScreenReader(line.speaker === 'narrator' ? line.text :
+      `${character ? character.name : line.speaker}: ${line.text}`);
+    
+    if (this.isDialoguePending()) {
+      if (hadFocus) {
+        this.dialogue.stage.querySelector('.dialogue-continue')?.focus();
+      }
+      return;
+    }
+    
+    this.revealAfterDialogue();
+    if (hadFocus) {
+      this.dialogue.container.querySelector('.choice-button, .response-input, .debrief-panel button')?.focus();
+    }
+  }
+
+  /**
+   * Keep the choices and debrief hidden until the last dialogue line
+   */
+  hideUntilDialogueEnds(container) {
+    container.querySelectorAll('.choices-panel, .debrief-panel').forEach(element => {
+      element.hidden = true;
+    });
+  }
+
+  revealAfterDialogue() {
+    this.dialogue.container.querySelectorAll('.choices-panel, .debrief-panel').forEach(element => {
+      element.hidden = false;
+    });
+    this.startChoiceClock();
+  }
+
+  /**
+   * Start timing the learner once the choices are on screen, with a countdown on timed nodes
+   */
+  startChoiceClock() {
+    this.stopChoiceClock();
+    
+    // Pages that only borrow the renderers have nothing to time
+    const choicesContainer = this.elements.scenarioDisplay?.querySelector('.choices-panel, .choices-list');
+    if (!choicesContainer) return;
+    
+    const timer = this.gameEngine.getChoiceTimer();
+    this.choiceClock = {
+      elapsedMs: 0,
+      lastTick: Date.now(),
+      timer,
+      warned: false,
+      interval: setInterval(() => this.tickChoiceClock(), 200)
+    };
+    
+    if (timer) {
+      this.choiceClock.display = this.renderChoiceTimer(choicesContainer, timer);
+      this.announceToScreenReader(`You have ${timer.seconds} seconds to choose.`);
+    }
+  }
+
+  stopChoiceClock() {
+    if (this.choiceClock) {
+      clearInterval(this.choiceClock.interval);
+      this.choiceClock = null;
+    }
+  }
+
+  /**
+   * Add time on screen, except while the tab is hidden or a dialog is open, and run out the countdown
+   */
+  tickChoiceClock() {
+    const clock = this.choiceClock;
+    const now = Date.now();
+    if (!document.hidden && !document.querySelector('dialog[open]')) {
+      clock.elapsedMs += now - clock.lastTick;
+    }
+    clock.lastTick = now;
+    
+    if (!clock.timer) return;
+    
+    const remainingMs = Math.max(0, clock.timer.seconds * 1000 - clock.elapsedMs);
+    this.updateChoiceTimer(clock.display, remainingMs, clock.timer.seconds);
+    
+    if (remainingMs <= 5000 && !clock.warned && clock.timer.seconds > 5) {
+      clock.warned = true;
+      this.announceToScreenReader('5 seconds left.');
+    }
+    
+    if (remainingMs === 0) {
+      this.handleChoice(clock.timer.timeoutChoice, { timedOut: true });
+    }
+  }
+
+  /**
+   * Countdown bar above the choices
+   * @returns {Object} The fill and text elements to update
+   */
+  renderChoiceTimer(choicesContainer, timer) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'choice-timer';
+    wrapper.setAttribute('role', 'timer');
+    wrapper.setAttribute('aria-label', 'Time left to choose');
+    
+    const track = document.createElement('div');
+    track.className = 'choice-timer-track';
+    const fill = document.createElement('div');
+    fill.className = 'choice-timer-fill';
+    track.appendChild(fill);
+    
+    const text = document.createElement('span');
+    text.className = 'choice-timer-text';
+    
+    wrapper.appendChild(track);
+    wrapper.appendChild(text);
+    choicesContainer.prepend(wrapper);
+    
+    const display = { wrapper, fill, text };
+    this.updateChoiceTimer(display, timer.seconds * 1000, timer.seconds);
+    return display;
+  }
+
+  updateChoiceTimer(display, remainingMs, seconds) {
+    display.fill.style.width = `${(remainingMs / (seconds * 1000)) * 100}%`;
+    display.text.textContent = `${Math.ceil(remainingMs / 1000)}s`;
+    display.wrapper.classList.toggle('urgent', remainingMs <= 5000);
+  }
+
+  /**
+   * Mood that tints the scene for a node emotion
+   * @param {string} emotion - content.emotion of the node
+   * @returns {string} 'tense', 'hopeful', 'warm' or 'neutral'
+   */
+  getSceneMood(emotion) {
+    const key = String(emotion || '').toLowerCase();
+    const mood = Object.keys(this.sceneMoods).find(name => this.sceneMoods[name].includes(key));
+    return mood || 'neutral';
+  }
+
+  /**
+   * Portrait images to try for a character, best match first
+   * Uses the character's "expressions" map (by emotion, then by mood) when it has one.
+   * Only declared images are tried, so characters without expressions don't request files that aren't there.
+   * The neutral portrait always comes last.
+   * @param {Object} character - Character from the scenario's characters block
+   * @param {string} emotion - content.emotion of the node
+   * @returns {Array<string>} Image paths; empty when the character has no images
+   */
+  getPortraitSources(character, emotion) {
+    if (!character) return [];
+    
+    const sources = [];
+    const key = String(emotion || '').toLowerCase();
+    const expressions = character.expressions;
+    
+    if (expressions && typeof expressions === 'object') {
+      sources.push(expressions[key], expressions[this.getSceneMood(key)]);
+    }
+    
+    const variants = sources.filter(source => source && !this.missingPortraits.has(source));
+    return [...new Set([...variants, character.portrait])].filter(Boolean);
+  }
+
+  /**
+   * Render meters for scenario variables that authors flagged with "meter": true
+   */
+  renderVariableMeters(container) {
+    const definitions = this.gameEngine.getVariableDefinitions();
+    const values = this.gameEngine.getVariables();
+    const shown = Object.entries(definitions).filter(([, definition]) => definition.meter);
+    if (shown.length === 0) return;
+    
+    const meters = document.createElement('div');
+    meters.className = 'variable-meters';
+    
+    shown.forEach(([name, definition]) => {
+      const value = values[name];
+      const meter = document.createElement('div');
+      meter.className = 'variable-meter';
+      meter.setAttribute('data-variable', name);
+      
+      const label = document.createElement('span');
+      label.className = 'meter-label';
+      label.textContent = definition.label;
+      meter.appendChild(label);
+      
+      if (typeof value === 'boolean') {
+        const flag = document.createElement('span');
+        flag.className = `meter-flag ${value ? 'on' : 'off'}`;
+        flag.textContent = value ? 'Yes' : 'No';
+        meter.appendChild(flag);
+      } else {
+        const min = typeof definition.min === 'number' ? definition.min : 0;
+        const max = typeof definition.max === 'number' ? definition.max : 10;
+        const percent = max > min ? ((value - min) / (max - min)) * 100 : 0;
+        
+        const track = document.createElement('div');
+        track.className = 'meter-track';
+        track.setAttribute('role', 'meter');
+        track.setAttribute('aria-label', definition.label);
+        track.setAttribute('aria-valuemin', min);
+        track.setAttribute('aria-valuemax', max);
+        track.setAttribute('aria-valuenow', value);
+        
+        const fill = document.createElement('div');
+        fill.className = 'meter-fill';
+        fill.style.width = `${Math.max(0, Math.min(percent, 100))}%`;
+        track.appendChild(fill);
+        meter.appendChild(track);
+        
+        const number = document.createElement('span');
+        number.className = 'meter-value';
+        number.textContent = value;
+        meter.appendChild(number);
+      }
+      
+      meters.appendChild(meter);
+    });
+    
+    container.appendChild(meters);
   }
 
   /**
@@ -345,10 +1058,28 @@ class UIManager {
       storyText.appendChild(title);
     }
     
-    const description = document.createElement('p');
-    description.className = 'scene-description';
-    description.textContent = content.text;
-    storyText.appendChild(description);
+    // Narration as paragraphs, character lines as a script
+    const scenario = this.gameEngine.currentScenario;
+    this.getDialogueLines(content).forEach(line => {
+      const paragraph = document.createElement('p');
+      
+      if (line.speaker === 'narrator') {
+        paragraph.className = 'scene-description';
+        paragraph.textContent = line.text;
+      } else {
+        const character = scenario?.characters?.[line.speaker];
+        const speaker = document.createElement('span');
+        speaker.className = 'script-speaker';
+        speaker.textContent = `${character ? character.name : line.speaker}:`;
+        
+        paragraph.className = 'script-line';
+        paragraph.setAttribute('data-emotion', line.emotion || 'neutral');
+        paragraph.appendChild(speaker);
+        paragraph.appendChild(document.createTextNode(` ${line.text}`));
+      }
+      
+      storyText.appendChild(paragraph);
+    });
     
     container.appendChild(storyText);
   }
@@ -364,7 +1095,10 @@ class UIManager {
     choicesContainer.className = this.currentViewMode === 'visual-novel' ? 
       'choices-panel' : 'choices-list';
     
-    if (this.currentViewMode === 'text-adventure') {
+    // Free-text nodes take a typed reply, and its rubric score picks the choice
+    if (nodeData.response) {
+      choicesContainer.appendChild(this.renderResponseForm(nodeData.response));
+    } else if (this.currentViewMode === 'text-adventure') {
       const choicesList = document.createElement('ol');
       choicesList.className = 'choice-options';
       
@@ -403,6 +1137,115 @@ class UIManager {
     return button;
   }
 
+  /**
+   * Reply box for a free-text node
+   * @param {Object} response - The node's response block
+   * @returns {HTMLFormElement} Form that scores the reply when sent
+   */
+  renderResponseForm(response) {
+    const form = document.createElement('form');
+    form.className = 'response-form';
+    
+    const label = document.createElement('label');
+    label.className = 'response-prompt';
+    label.setAttribute('for', 'response-input');
+    label.textContent = response.prompt || 'What do you say?';
+    
+    const input = document.createElement('textarea');
+    input.id = 'response-input';
+    input.className = 'response-input';
+    input.rows = 4;
+    input.placeholder = response.placeholder || 'Type what you would say…';
+    input.setAttribute('aria-describedby', 'response-hint');
+    
+    const minWords = response.minWords || this.gameEngine.rubric.defaultMinWords;
+    const hint = document.createElement('p');
+    hint.id = 'response-hint';
+    hint.className = 'response-hint';
+    hint.textContent = `Write it the way you would say it, in at least ${minWords} words. Ctrl+Enter sends.`;
+    
+    const actions = document.createElement('div');
+    actions.className = 'response-actions';
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'btn btn-primary response-submit';
+    submit.textContent = 'Say it';
+    actions.appendChild(hint);
+    actions.appendChild(submit);
+    
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        form.requestSubmit();
+      }
+    });
+    
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      
+      const words = this.gameEngine.rubric.countWords(input.value);
+      if (words < minWords) {
+        hint.textContent = `Please write at least ${minWords} words; you have ${words}.`;
+        hint.classList.add('error');
+        input.focus();
+        this.announceToScreenReader(hint.textContent);
+        return;
+      }
+      
+      this.handleResponse(input.value);
+    });
+    
+    form.appendChild(label);
+    form.appendChild(input);
+    form.appendChild(actions);
+    return form;
+  }
+
+  /**
+   * What a typed reply included, missed and should have avoided
+   * @param {Object} response - Rubric results from the choice history entry
+   * @returns {HTMLElement} Review panel
+   */
+  renderResponseReview(response) {
+    const review = document.createElement('div');
+    review.className = 'response-review';
+    
+    const title = document.createElement('h3');
+    title.className = 'response-review-title';
+    title.textContent = `How your reply landed: ${response.score}/100`;
+    review.appendChild(title);
+    
+    const quote = document.createElement('blockquote');
+    quote.className = 'response-quote';
+    quote.textContent = response.text;
+    review.appendChild(quote);
+    
+    const points = document.createElement('ul');
+    points.className = 'response-points';
+    const addPoint = (status, text) => {
+      const item = document.createElement('li');
+      item.className = `response-point ${status}`;
+      item.textContent = text;
+      points.appendChild(item);
+    };
+    
+    response.matched.forEach(label => addPoint('met', `Included: ${label}`));
+    response.missed.forEach(label => addPoint('missed', `Missing: ${label}`));
+    if (response.iStatement !== null) {
+      addPoint(response.iStatement ? 'met' : 'missed', response.iStatement ?
+        'Included: spoke from your own view with an "I" statement' :
+        'Missing: an "I" statement such as "I\'m concerned…" or "I noticed…"');
+    }
+    response.banned.forEach(group => {
+      addPoint('banned', `Avoid: ${group.label} (${group.phrases.map(phrase => `"${phrase}"`).join(', ')})`);
+    });
+    
+    if (points.children.length > 0) {
+      review.appendChild(points);
+    }
+    return review;
+  }
+
   /**
    * Render feedback panel
    */
@@ -459,18 +1302,259 @@ class UIManager {
       content.appendChild(skillsSection);
     }
     
+    if (feedback.consequences) {
+      const consequences = document.createElement('p');
+      consequences.className = 'consequences';
+      consequences.innerHTML = `<strong>Consequences:</strong> `;
+      consequences.appendChild(document.createTextNode(feedback.consequences));
+      content.appendChild(consequences);
+    }
+    
     feedbackPanel.appendChild(content);
     container.appendChild(feedbackPanel);
   }
 
+  /**
+   * Render the end-of-scenario debrief: ending, path taken and learning resources
+   */
+  renderDebrief(container) {
+    const ending = this.gameEngine.getEnding();
+    const path = this.gameEngine.getPathSummary();
+    const resources = this.gameEngine.getLearningResources() || {};
+    
+    const debrief = document.createElement('section');
+    debrief.className = 'debrief-panel';
+    debrief.setAttribute('aria-label', 'Scenario debrief');
+    
+    // Ending reached
+    if (ending) {
+      const endingCard = document.createElement('div');
+      endingCard.className = 'ending-card';
+      endingCard.setAttribute('data-ending-type', ending.type);
+      
+      const endingType = document.createElement('span');
+      endingType.className = 'ending-type';
+      endingType.textContent = this.formatEndingType(ending.type);
+      endingCard.appendChild(endingType);
+      
+      const endingTitle = document.createElement('h3');
+      endingTitle.className = 'ending-title';
+      endingTitle.textContent = ending.title;
+      endingCard.appendChild(endingTitle);
+      
+      const endingDescription = document.createElement('p');
+      endingDescription.className = 'ending-description';
+      endingDescription.textContent = ending.description;
+      endingCard.appendChild(endingDescription);
+      
+      if (ending.reflection) {
+        const reflection = document.createElement('p');
+        reflection.className = 'ending-reflection';
+        reflection.textContent = ending.reflection;
+        endingCard.appendChild(reflection);
+      }
+      
+      debrief.appendChild(endingCard);
+    }
+    
+    // Score and skills assessment
+    const score = this.gameEngine.getScore();
+    if (score && score.score !== null) {
+      debrief.appendChild(this.renderScoreCard(score));
+    }
+    
+    // Path taken
+    if (path.length > 0) {
+      const pathSection = document.createElement('div');
+      pathSection.className = 'debrief-section debrief-path';
+      
+      const pathTitle = document.createElement('h4');
+      pathTitle.textContent = 'Your Path';
+      pathSection.appendChild(pathTitle);
+      
+      // Response times, when the attempt recorded them
+      const timed = path.filter(step => step.responseMs !== null);
+      if (timed.length > 0) {
+        const average = timed.reduce((sum, step) => sum + step.responseMs, 0) / timed.length;
+        const timedOut = path.filter(step => step.timedOut).length;
+        const summary = document.createElement('p');
+        summary.className = 'path-timing';
+        summary.textContent = `Average response time ${this.formatResponseTime(average)}` +
+          (timedOut > 0 ? ` · ${timedOut} ${timedOut === 1 ? 'choice' : 'choices'} made by the timer` : '');
+        pathSection.appendChild(summary);
+      }
+      
+      const pathList = document.createElement('ol');
+      pathList.className = 'path-steps';
+      
+      path.forEach(step => {
+        const item = document.createElement('li');
+        item.className = 'path-step';
+        
+        const scene = document.createElement('span');
+        scene.className = 'path-scene';
+        scene.textContent = step.sceneTitle;
+        item.appendChild(scene);
+        
+        const choiceText = document.createElement('p');
+        choiceText.className = 'path-choice';
+        choiceText.textContent = step.choiceText;
+        item.appendChild(choiceText);
+        
+        // The learner's own words on free-text nodes
+        if (step.response) {
+          const said = document.createElement('blockquote');
+          said.className = 'path-response';
+          said.textContent = step.response.text;
+          item.appendChild(said);
+        }
+        
+        const meta = document.createElement('div');
+        meta.className = 'path-meta';
+        
+        if (step.strategy) {
+          const strategyBadge = document.createElement('span');
+          strategyBadge.className = 'strategy-badge';
+          strategyBadge.setAttribute('data-strategy', step.strategy);
+          strategyBadge.textContent = this.formatStrategyName(step.strategy);
+          meta.appendChild(strategyBadge);
+        }
+        
+        if (step.effectiveness) {
+          const effectiveness = document.createElement('span');
+          effectiveness.className = 'effectiveness-rating';
+          effectiveness.setAttribute('data-level', step.effectiveness);
+          effectiveness.textContent = this.formatEffectiveness(step.effectiveness);
+          meta.appendChild(effectiveness);
+        }
+        
+        if (step.response) {
+          const rubricScore = document.createElement('span');
+          rubricScore.className = 'path-response-score';
+          rubricScore.textContent = `Reply ${step.response.score}/100`;
+          meta.appendChild(rubricScore);
+        }
+        
+        if (step.timedOut) {
+          const time = document.createElement('span');
+          time.className = 'path-time timed-out';
+          time.textContent = '⏱ Timed out';
+          meta.appendChild(time);
+        } else if (step.responseMs !== null) {
+          const time = document.createElement('span');
+          time.className = 'path-time';
+          time.textContent = `⏱ ${this.formatResponseTime(step.responseMs)}`;
+          meta.appendChild(time);
+        }
+        
+        item.appendChild(meta);
+        pathList.appendChild(item);
+      });
+      
+      pathSection.appendChild(pathList);
+      debrief.appendChild(pathSection);
+    }
+    
+    // Scenarios this result unlocked
+    const unlocked = this.gameEngine.getNewlyUnlockedScenarios();
+    if (unlocked.length > 0) {
+      const unlockSection = document.createElement('div');
+      unlockSection.className = 'debrief-section debrief-unlocked';
+      
+      const unlockTitle = document.createElement('h4');
+      unlockTitle.textContent = '🔓 Unlocked';
+      unlockSection.appendChild(unlockTitle);
+      
+      const unlockList = document.createElement('ul');
+      unlocked.forEach(scenario => {
+        const item = document.createElement('li');
+        item.textContent = scenario.title;
+        unlockList.appendChild(item);
+      });
+      unlockSection.appendChild(unlockList);
+      
+      debrief.appendChild(unlockSection);
+      this.announceToScreenReader(`Unlocked: ${unlocked.map(scenario => scenario.title).join(', ')}`);
+    }
+    
+    // Learning resources
+    const resourceSections = [
+      { key: 'keyTakeaways', title: 'Key Takeaways' },
+      { key: 'practiceQuestions', title: 'Practice Questions' },
+      { key: 'relatedStrategies', title: 'Related Strategies' },
+      { key: 'furtherReading', title: 'Further Reading' }
+    ];
+    
+    resourceSections.forEach(({ key, title }) => {
+      const items = resources[key];
+      if (!items || items.length === 0) return;
+      
+      const section = document.createElement('div');
+      section.className = `debrief-section debrief-${key}`;
+      
+      const heading = document.createElement('h4');
+      heading.textContent = title;
+      section.appendChild(heading);
+      
+      const list = document.createElement('ul');
+      items.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+      });
+      section.appendChild(list);
+      
+      debrief.appendChild(section);
+    });
+    
+    // Actions
+    const actions = document.createElement('div');
+    actions.className = 'debrief-actions';
+    
+    const replayBtn = document.createElement('button');
+    replayBtn.className = 'debrief-button primary';
+    replayBtn.textContent = '↺ Replay Scenario';
+    replayBtn.addEventListener('click', () => {
+      this.handleReplayScenario();
+    });
+    
+    const otherBtn = document.createElement('button');
+    otherBtn.className = 'debrief-button';
+    otherBtn.textContent = 'Try Another Scenario';
+    otherBtn.addEventListener('click', () => {
+      this.showMainMenu();
+    });
+    
+    actions.appendChild(replayBtn);
+    actions.appendChild(otherBtn);
+    debrief.appendChild(actions);
+    
+    container.appendChild(debrief);
+  }
+
   /**
    * Handle choice selection
+   * @param {string} choiceId - Choice picked
+   * @param {Object} options - { timedOut: true } when the countdown picked it, or { response } for a typed reply
    */
-  async handleChoice(choiceId) {
+  async handleChoice(choiceId, options = {}) {
     try {
-      const nextNode = this.gameEngine.makeChoice(choiceId);
+      // Time since the choices appeared, not counting a hidden tab or open dialogs
+      const clock = this.choiceClock;
+      const responseMs = clock ? Math.round(clock.elapsedMs + (document.hidden ? 0 : Date.now() - clock.lastTick)) : undefined;
+      this.stopChoiceClock();
+      
+      const nextNode = this.gameEngine.makeChoice(choiceId, {
+        responseMs,
+        timedOut: options.timedOut,
+        response: options.response
+      });
       this.renderCurrentNode();
       
+      // Endings get their own cue in place of the choice click
+      const ending = this.gameEngine.isScenarioComplete() ? this.gameEngine.getEnding() : null;
+      this.audio?.playCue(ending ? ending.type : 'choice');
+      
       // Show save status briefly
       this.showSaveStatus();
       
@@ -480,6 +1564,108 @@ class UIManager {
     }
   }
 
+  /**
+   * Score a typed reply and take the choice its rubric band leads to
+   * @param {string} text - What the learner typed
+   */
+  handleResponse(text) {
+    let evaluation;
+    try {
+      evaluation = this.gameEngine.evaluateResponse(text);
+    } catch (error) {
+      console.error('Error scoring response:', error);
+      this.showError('Error processing your reply. Please try again.');
+      return;
+    }
+    
+    this.handleChoice(evaluation.choiceId, { response: evaluation.response });
+  }
+
+  /**
+   * Build the score and per-skill competency card for the debrief
+   * @param {Object} result - Result from ScoringEngine.score
+   * @returns {HTMLElement} Score card
+   */
+  renderScoreCard(result) {
+    const card = document.createElement('div');
+    card.className = 'debrief-section score-card';
+    card.setAttribute('data-passed', result.passed ? 'true' : 'false');
+    
+    const title = document.createElement('h4');
+    title.textContent = 'Your Assessment';
+    card.appendChild(title);
+    
+    const summary = document.createElement('div');
+    summary.className = 'score-summary';
+    
+    const total = document.createElement('span');
+    total.className = 'score-total';
+    total.textContent = result.score;
+    total.setAttribute('aria-label', `Score ${result.score} out of 100`);
+    summary.appendChild(total);
+    
+    const verdict = document.createElement('div');
+    verdict.className = 'score-verdict';
+    
+    const badge = document.createElement('span');
+    badge.className = 'score-badge';
+    badge.textContent = result.passed ? 'Passed' : 'Not yet passed';
+    verdict.appendChild(badge);
+    
+    const breakdown = document.createElement('p');
+    breakdown.className = 'score-breakdown';
+    const parts = [`Pass mark ${result.threshold}`];
+    if (result.choiceScore !== null) parts.push(`choices ${result.choiceScore}`);
+    if (result.endingScore !== null) parts.push(`ending ${result.endingScore}`);
+    breakdown.textContent = parts.join(' · ');
+    verdict.appendChild(breakdown);
+    
+    summary.appendChild(verdict);
+    card.appendChild(summary);
+    
+    if (result.skills.length > 0) {
+      const skillList = document.createElement('ul');
+      skillList.className = 'skill-scores';
+      skillList.setAttribute('aria-label', 'Skills assessed');
+      
+      result.skills.forEach(skill => {
+        const item = document.createElement('li');
+        item.className = 'skill-score';
+        item.setAttribute('data-demonstrated', skill.demonstrated ? 'true' : 'false');
+        
+        const name = document.createElement('span');
+        name.className = 'skill-name';
+        name.textContent = skill.skill;
+        
+        const meter = document.createElement('meter');
+        meter.min = 0;
+        meter.max = 100;
+        meter.value = skill.score;
+        meter.setAttribute('aria-label', `${skill.skill}: ${skill.score} out of 100`);
+        
+        const status = document.createElement('span');
+        status.className = 'skill-status';
+        status.textContent = skill.demonstrated ? `${skill.score} ✓` : `${skill.score} – keep practising`;
+        
+        item.append(name, meter, status);
+        skillList.appendChild(item);
+      });
+      
+      card.appendChild(skillList);
+    }
+    
+    return card;
+  }
+
+  /**
+   * Replay the current scenario from the start
+   */
+  handleReplayScenario() {
+    this.gameEngine.restartScenario();
+    this.renderCurrentNode();
+    this.announceToScreenReader('Scenario restarted from the beginning');
+  }
+
   /**
    * Handle go back action
    */
@@ -624,6 +1810,51 @@ class UIManager {
     this.announceToScreenReader(`Switched to ${this.currentViewMode.replace('-', ' ')} mode`);
   }
 
+  /**
+   * Ask whether to resume the loaded scenario, restart it or go to the scenario list
+   * @returns {Promise<string>} 'resume', 'restart' or 'list'
+   */
+  promptResume() {
+    const dialog = this.elements.resumeDialog;
+    if (!dialog) {
+      return Promise.resolve('resume');
+    }
+    
+    const metadata = this.gameEngine.getScenarioMetadata();
+    const history = this.gameEngine.getChoiceHistory();
+    const path = this.gameEngine.getPathSummary();
+    
+    this.elements.resumeScenarioTitle.textContent = metadata ? metadata.title : 'a scenario';
+    
+    const meta = [`${history.length} ${history.length === 1 ? 'choice' : 'choices'} made`];
+    const lastChoice = history[history.length - 1];
+    if (lastChoice && lastChoice.timestamp) {
+      meta.push(`last played ${new Date(lastChoice.timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`);
+    }
+    this.elements.resumeMeta.textContent = meta.join(', ');
+    
+    this.elements.resumePath.innerHTML = '';
+    this.elements.resumePath.hidden = path.length === 0;
+    path.forEach(step => {
+      const item = document.createElement('li');
+      const scene = document.createElement('span');
+      scene.className = 'resume-path-scene';
+      scene.textContent = step.sceneTitle;
+      item.appendChild(scene);
+      item.appendChild(document.createTextNode(` – ${this.truncateText(step.choiceText, 60)}`));
+      this.elements.resumePath.appendChild(item);
+    });
+    
+    return new Promise(resolve => {
+      dialog.returnValue = '';
+      dialog.addEventListener('close', () => {
+        // Escape closes without a value; treat it as resume, the old default
+        resolve(['restart', 'list'].includes(dialog.returnValue) ? dialog.returnValue : 'resume');
+      }, { once: true });
+      dialog.showModal();
+    });
+  }
+
   /**
    * Show main menu
    */
@@ -646,11 +1877,17 @@ class UIManager {
     
     // Force hide all other screens first
     this.hideAllScreens();
+    this.audio?.stopAmbient();
+    this.stopPlayback();
+    this.dialogue = null;
     
     // Then show welcome screen
     if (this.elements.welcomeScreen) {
       this.elements.welcomeScreen.classList.remove('hidden');
       console.log('UI Manager: Welcome screen is now visible');
+      
+      // Slot summaries change as the learner plays
+      window.profilePicker?.render();
     } else {
       console.error('UI Manager: Welcome screen element not found!');
     }
@@ -664,6 +1901,7 @@ class UIManager {
     console.log('UI Manager: Showing scenario display');
     this.hideAllScreens();
     this.elements.scenarioDisplay?.classList.remove('hidden');
+    this.audio?.playAmbient(this.gameEngine.currentScenario);
   }
 
   hideScenarioDisplay() {
@@ -698,6 +1936,8 @@ class UIManager {
       this.elements.errorMessage.textContent = message;
     }
     this.hideAllScreens();
+    this.audio?.stopAmbient();
+    this.stopPlayback();
     this.elements.errorScreen?.classList.remove('hidden');
   }
 
@@ -705,6 +1945,10 @@ class UIManager {
    * Show temporary save status
    */
   showSaveStatus() {
+    if (!this.storage.getUserPreferences().autoSave) {
+      return;
+    }
+    
     if (this.elements.saveStatus) {
       this.elements.saveStatus.textContent = 'Saved ✓';
       this.elements.saveStatus.style.color = 'var(--success-green)';
@@ -721,7 +1965,25 @@ class UIManager {
    */
   handleKeyboardNavigation(event) {
     // Only handle if not typing in an input
-    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) {
+      return;
+    }
+    
+    // Pages that only borrow the renderers (e.g. the scenario editor) have no game screens
+    if (!this.elements.scenarioDisplay) {
+      return;
+    }
+    
+    // Dialogs handle their own keys (Escape closes them)
+    if (document.querySelector('dialog[open]')) {
+      return;
+    }
+    
+    // Finish the typed line or step through dialogue; a focused button handles Enter and Space itself
+    if ((this.isTyping() || this.isDialoguePending()) && ['Enter', ' ', 'ArrowRight'].includes(event.key) &&
+        !['BUTTON', 'A'].includes(event.target.tagName)) {
+      event.preventDefault();
+      this.handleDialogueInput();
       return;
     }
     
@@ -729,6 +1991,10 @@ class UIManager {
       case 'Escape':
         this.showMainMenu();
         break;
+      case 'l':
+      case 'L':
+        window.backlogPanel?.open();
+        break;
       case 'Backspace':
         if (this.gameEngine.canGoBack()) {
           event.preventDefault();
@@ -743,7 +2009,7 @@ class UIManager {
         // Quick choice selection
         const choiceButtons = document.querySelectorAll('.choice-button');
         const index = parseInt(event.key) - 1;
-        if (choiceButtons[index]) {
+        if (choiceButtons[index] && !this.isDialoguePending()) {
           event.preventDefault();
           choiceButtons[index].click();
         }
@@ -754,6 +2020,11 @@ class UIManager {
   /**
    * Utility functions
    */
+  formatResponseTime(milliseconds) {
+    const seconds = milliseconds / 1000;
+    return seconds < 60 ? `${seconds.toFixed(1)}s` : `${Math.floor(seconds / 60)}m ${Math.floor(seconds % 60)}s`;
+  }
+
   formatStrategyName(strategy) {
     const names = {
       collaborating: 'Collaborating',
@@ -777,6 +2048,15 @@ class UIManager {
     return levels[effectiveness] || effectiveness;
   }
 
+  formatEndingType(type) {
+    const types = {
+      success: '🌟 Successful Resolution',
+      mixed: '⚖️ Mixed Outcome',
+      failure: '⚠️ Unresolved Conflict'
+    };
+    return types[type] || type;
+  }
+
   truncateText(text, maxLength) {
     if (text.length <= maxLength) return text;
     return text.substring(0, maxLength - 3) + '...';
@@ -0,0 +1,141 @@
+/**
+ * ZIP READER - Minimal reader for scenario pack archives
+ * Handles stored and deflated entries (what tools/build-lms-package.js and common zip tools write);
+ * deflate uses the browser's DecompressionStream.
+ */
+
+class ZipReader {
+  constructor() {
+    // Packs can come from any URL, so a small archive must not unpack into more than the app can hold
+    this.maxEntries = 1000;
+    this.maxFileBytes = 5 * 1024 * 1024;
+    this.maxTotalBytes = 20 * 1024 * 1024;
+  }
+
+  /**
+   * Check whether bytes start with a zip local file header
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {boolean} True for a zip archive
+   */
+  isZip(buffer) {
+    const bytes = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+    return bytes.length === 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+  }
+
+  /**
+   * Read every file in an archive
+   * @param {ArrayBuffer} buffer - Zip file contents
+   * @returns {Promise<Map<string, Uint8Array>>} File contents by path; directories are skipped
+   * @throws {Error} If the archive is damaged, or has too many files or too much data once unpacked
+   */
+  async read(buffer) {
+    const view = new DataView(buffer);
+    const end = this.findEndOfCentralDirectory(view);
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const files = new Map();
+    const decoder = new TextDecoder();
+    let totalBytes = 0;
+
+    if (count > this.maxEntries) {
+      throw new Error(`The zip has ${count} files; packs can have at most ${this.maxEntries}`);
+    }
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error('Zip central directory is damaged');
+      }
+
+      const flags = view.getUint16(offset + 8, true);
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const size = view.getUint32(offset + 24, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (name.endsWith('/')) continue;
+
+      if (flags & 0x1) {
+        throw new Error(`${name} is encrypted`);
+      }
+
+      if (size > this.maxFileBytes) {
+        throw new Error(`${name} is larger than the ${this.formatMegabytes(this.maxFileBytes)} limit for files in a pack`);
+      }
+      totalBytes += size;
+      if (totalBytes > this.maxTotalBytes) {
+        throw new Error(`The zip unpacks to more than the ${this.formatMegabytes(this.maxTotalBytes)} limit for packs`);
+      }
+
+      // Local header name and extra lengths can differ from the central directory's
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+      if (method === 0) {
+        files.set(name, data.slice());
+      } else if (method === 8) {
+        files.set(name, await this.inflate(data, size, name));
+      } else {
+        throw new Error(`${name} uses an unsupported compression method (${method})`);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Locate the end of central directory record, which may be followed by a comment
+   */
+  findEndOfCentralDirectory(view) {
+    const earliest = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let offset = view.byteLength - 22; offset >= earliest; offset--) {
+      if (view.getUint32(offset, true) === 0x06054b50) {
+        return offset;
+      }
+    }
+    throw new Error('Not a zip file, or the file is incomplete');
+  }
+
+  /**
+   * Unpack a deflated entry, stopping as soon as it grows past its declared size,
+   * since the sizes in the directory are only what the archive claims
+   * @param {Uint8Array} data - Compressed bytes
+   * @param {number} size - Uncompressed size from the central directory
+   * @param {string} name - Entry path, for messages
+   * @returns {Promise<Uint8Array>} Uncompressed bytes
+   */
+  async inflate(data, size, name) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot unpack zip files; use a JSON pack instead');
+    }
+
+    const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+    const output = new Uint8Array(size);
+    let length = 0;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      if (length + value.length > size) {
+        await reader.cancel();
+        throw new Error(`${name} is larger than the zip says it is`);
+      }
+      output.set(value, length);
+      length += value.length;
+    }
+
+    return length === size ? output : output.slice(0, length);
+  }
+
+  formatMegabytes(bytes) {
+    return `${Math.round(bytes / 1024 / 1024)} MB`;
+  }
+}
+
+// Create global instance
+window.zipReader = new ZipReader();
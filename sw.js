@@ -0,0 +1,187 @@
+/**
+ * SERVICE WORKER - Keeps the trainer usable offline
+ * Registered by js/offline-manager.js as sw.js?version=<scenario index metadata.version>,
+ * so publishing a new index version installs a fresh cache and offers the update to open pages.
+ * App shell files are also refreshed in the background on each visit, so code changes arrive without one.
+ */
+
+const CACHE_PREFIX = 'conflict-training-';
+const CONTENT_VERSION = new URL(self.location).searchParams.get('version') || '1';
+const CACHE_NAME = `${CACHE_PREFIX}${CONTENT_VERSION}`;
+
+// App shell; keep in step with the scripts and styles index.html and certificate.html load
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'certificate.html',
+  'manifest.webmanifest',
+  'assets/images/icon.svg',
+  'css/styles.css',
+  'css/components.css',
+  'css/certificate.css',
+  'js/storage-manager.js',
+  'js/expression-evaluator.js',
+  'js/scoring-engine.js',
+  'js/rubric-evaluator.js',
+  'js/certificate-generator.js',
+  'js/lms-adapter.js',
+  'js/prerequisite-checker.js',
+  'js/zip-reader.js',
+  'js/scenario-packs.js',
+  'js/scenario-library.js',
+  'js/scenario-validator.js',
+  'js/audio-manager.js',
+  'js/game-engine.js',
+  'js/ui-manager.js',
+  'js/settings-panel.js',
+  'js/profile-picker.js',
+  'js/profile-dashboard.js',
+  'js/backlog-panel.js',
+  'js/offline-manager.js',
+  'js/app.js',
+  'js/certificate-page.js'
+];
+
+const SHELL_PATHS = new Set(SHELL_FILES.map(file => new URL(file, self.location).pathname));
+
+const INDEX_FILE = 'scenarios/scenario-index.json';
+
+/**
+ * Collect every local asset path ("assets/...") a scenario refers to: portraits, backgrounds, sounds
+ * @param {*} value - Parsed scenario JSON or part of it
+ * @param {Set} found - Paths found so far
+ * @returns {Set} Asset paths
+ */
+function collectAssets(value, found = new Set()) {
+  if (typeof value === 'string') {
+    if (value.startsWith('assets/')) found.add(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectAssets(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectAssets(item, found));
+  }
+  return found;
+}
+
+/**
+ * Fetch bypassing the HTTP cache so a new version never precaches stale files
+ */
+function fetchFresh(url) {
+  return fetch(new Request(url, { cache: 'reload' })).then(response => {
+    if (!response.ok) {
+      throw new Error(`${url} returned ${response.status}`);
+    }
+    return response;
+  });
+}
+
+/**
+ * Precache the shell, the index, every scenario in it and the art they use.
+ * The shell, index and scenarios must all load; a missing asset only logs a warning.
+ */
+async function precache() {
+  const cache = await caches.open(CACHE_NAME);
+  await cache.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' })));
+
+  const indexResponse = await fetchFresh(INDEX_FILE);
+  const index = await indexResponse.clone().json();
+  await cache.put(INDEX_FILE, indexResponse);
+
+  const assets = new Set();
+  await Promise.all(index.scenarios.map(async entry => {
+    const response = await fetchFresh(entry.file);
+    collectAssets(await response.clone().json(), assets);
+    await cache.put(entry.file, response);
+  }));
+
+  const cachedAssets = await Promise.all([...assets].map(url =>
+    fetchFresh(url)
+      .then(response => cache.put(url, response))
+      .then(() => true)
+      .catch(error => {
+        console.warn(`Service worker: could not cache ${url}:`, error.message);
+        return false;
+      })
+  ));
+
+  console.log(`Service worker: cached version ${CONTENT_VERSION} (${index.scenarios.length} scenarios, ${cachedAssets.filter(Boolean).length} of ${assets.size} assets)`);
+}
+
+/**
+ * Answer from the cache straight away and refresh the cached copy from the network for next time.
+ * Without a cached copy, wait for the network.
+ * @param {FetchEvent} event - Fetch being answered
+ * @param {string} key - Cache key: the URL without its query
+ * @returns {Promise<Response>} Response for the page
+ */
+async function staleWhileRevalidate(event, key) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(key);
+
+  const refresh = fetch(new Request(key, { cache: 'no-cache' })).then(async response => {
+    if (response.ok) {
+      await cache.put(key, response.clone());
+    }
+    return response;
+  });
+
+  if (!cached) {
+    return refresh;
+  }
+
+  event.waitUntil(refresh.catch(error => {
+    console.warn(`Service worker: could not refresh ${key}:`, error.message);
+  }));
+  return cached;
+}
+
+self.addEventListener('install', event => {
+  // Once precached, an update waits until a page asks it to take over (see the message handler)
+  event.waitUntil(precache());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  const url = new URL(request.url);
+
+  // LRS statements, fonts and other sites go straight to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  // The index is how pages learn about a new version, so prefer the network for it
+  if (url.pathname.endsWith(`/${INDEX_FILE}`)) {
+    event.respondWith(
+      fetch(request).catch(() => caches.match(request, { ignoreSearch: true }))
+    );
+    return;
+  }
+
+  // Launch parameters (xAPI, certificate links) are left out of the key so pages are still served offline
+  if (SHELL_PATHS.has(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event, `${url.origin}${url.pathname}`));
+    return;
+  }
+
+  // Scenarios and assets change with the index version, which replaces the whole cache
+  const options = request.mode === 'navigate' ? { ignoreSearch: true } : {};
+  event.respondWith(
+    caches.match(request, options).then(cached => cached || fetch(request))
+  );
+});
@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+/**
+ * BUILD LMS PACKAGE - Zip the trainer with a manifest an LMS can import
+ *
+ *   node tools/build-lms-package.js [--format scorm12|scorm2004|xapi] [--out file.zip] [--activity-id IRI]
+ *     scorm12 / scorm2004  imsmanifest.xml describing one SCO launched at index.html (default: scorm2004)
+ *     xapi                 tincan.xml; --activity-id sets the course activity IRI statements are grouped under
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ROOT = path.join(__dirname, '..');
+
+// What goes in the package; authoring tools and docs stay out
+const INCLUDE = ['index.html', 'certificate.html', 'manifest.webmanifest', 'sw.js', 'css', 'js', 'scenarios', 'assets'];
+const EXCLUDE = ['css/editor.css', 'js/scenario-editor.js'];
+
+const COURSE_TITLE = 'Conflict Resolution Trainer';
+const DEFAULT_ACTIVITY_ID = 'https://example.com/conflict-training-simulator/';
+
+/**
+ * List the files to package, relative to the project root with forward slashes
+ * @returns {Array<string>} File paths
+ */
+function collectFiles() {
+  const files = [];
+  const walk = relative => {
+    const absolute = path.join(ROOT, relative);
+    if (!fs.existsSync(absolute)) return;
+
+    if (fs.statSync(absolute).isDirectory()) {
+      fs.readdirSync(absolute).sort().forEach(name => walk(path.posix.join(relative, name)));
+    } else if (!EXCLUDE.includes(relative) && !path.basename(relative).startsWith('.')) {
+      files.push(relative);
+    }
+  };
+
+  INCLUDE.forEach(walk);
+  return files;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * SCORM 1.2 or 2004 (4th edition) manifest with a single SCO
+ */
+function createScormManifest(format, files, version) {
+  const fileList = files.map(file => `        <file href="${escapeXml(file)}"/>`).join('\n');
+  const identifier = `conflict-training-${version.replace(/[^A-Za-z0-9]/g, '-')}`;
+
+  if (format === 'scorm12') {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="${escapeXml(version)}"
+  xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+  </metadata>
+  <organizations default="org-1">
+    <organization identifier="org-1">
+      <title>${COURSE_TITLE}</title>
+      <item identifier="item-1" identifierref="sco-1">
+        <title>${COURSE_TITLE}</title>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="sco-1" type="webcontent" adlcp:scormtype="sco" href="index.html">
+${fileList}
+    </resource>
+  </resources>
+</manifest>
+`;
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="${escapeXml(version)}"
+  xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+  xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+  xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"
+  xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd http://www.adlnet.org/xsd/adlnav_v1p3 adlnav_v1p3.xsd http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>2004 4th Edition</schemaversion>
+  </metadata>
+  <organizations default="org-1">
+    <organization identifier="org-1">
+      <title>${COURSE_TITLE}</title>
+      <item identifier="item-1" identifierref="sco-1">
+        <title>${COURSE_TITLE}</title>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="sco-1" type="webcontent" adlcp:scormType="sco" href="index.html">
+${fileList}
+    </resource>
+  </resources>
+</manifest>
+`;
+}
+
+/**
+ * TinCan launch file for LMSs that import xAPI packages
+ */
+function createTinCanManifest(activityId) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<tincan xmlns="http://projecttincan.com/tincan.xsd">
+  <activities>
+    <activity id="${escapeXml(activityId)}" type="http://adlnet.gov/expapi/activities/course">
+      <name>${COURSE_TITLE}</name>
+      <description lang="en-US">Interactive workplace conflict resolution training through realistic scenarios</description>
+      <launch lang="en-US">index.html</launch>
+    </activity>
+  </activities>
+</tincan>
+`;
+}
+
+// CRC-32 (IEEE) lookup table for zip entries
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a zip archive; entries are deflated unless that would make them bigger
+ * @param {Array} entries - [{ name, data: Buffer }]
+ * @returns {Buffer} Zip file contents
+ */
+function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  const { time, date } = toDosDateTime(new Date());
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const compress = deflated.length < data.length;
+    const body = compress ? deflated : data;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);                // version needed
+    local.writeUInt16LE(0x0800, 6);            // UTF-8 names
+    local.writeUInt16LE(compress ? 8 : 0, 8);  // deflate or store
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);              // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(compress ? 8 : 0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, body);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + body.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function printUsage() {
+  console.log('Usage:\n  node tools/build-lms-package.js [--format scorm12|scorm2004|xapi] [--out file.zip] [--activity-id IRI]');
+}
+
+function main(argv) {
+  const options = { format: 'scorm2004', out: null, activityId: DEFAULT_ACTIVITY_ID };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') {
+      options.format = argv[++i];
+    } else if (argv[i] === '--out') {
+      options.out = argv[++i];
+    } else if (argv[i] === '--activity-id') {
+      options.activityId = argv[++i];
+    } else {
+      printUsage();
+      return 2;
+    }
+  }
+
+  if (!['scorm12', 'scorm2004', 'xapi'].includes(options.format)) {
+    printUsage();
+    return 2;
+  }
+
+  const index = JSON.parse(fs.readFileSync(path.join(ROOT, 'scenarios', 'scenario-index.json'), 'utf8'));
+  const version = (index.metadata && index.metadata.version) || '1.0';
+  const files = collectFiles();
+  const out = options.out || path.join(ROOT, 'dist', `conflict-training-${options.format}-${version}.zip`);
+
+  const manifest = options.format === 'xapi' ?
+    { name: 'tincan.xml', data: Buffer.from(createTinCanManifest(options.activityId)) } :
+    { name: 'imsmanifest.xml', data: Buffer.from(createScormManifest(options.format, files, version)) };
+
+  if (options.format === 'xapi' && options.activityId === DEFAULT_ACTIVITY_ID) {
+    console.warn(`Using the placeholder activity ID ${DEFAULT_ACTIVITY_ID}; pass --activity-id with an IRI your organisation controls.`);
+  }
+
+  const entries = [manifest, ...files.map(file => ({ name: file, data: fs.readFileSync(path.join(ROOT, file)) }))];
+
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, createZip(entries));
+
+  console.log(`Wrote ${options.format} package with ${files.length} files to ${out}`);
+  return 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { createZip, crc32, createScormManifest, createTinCanManifest };
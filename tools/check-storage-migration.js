@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * CHECK STORAGE MIGRATION - Load data saved by earlier releases and check nothing is lost
+ *
+ *   node tools/check-storage-migration.js
+ *
+ * Each case puts an old store in a stand-in for localStorage, loads it, saves it back,
+ * loads it again with a fresh StorageManager, and compares the statistics with the old counters.
+ * The old data is also merged as a backup, into the upgraded data and into an empty browser.
+ */
+
+const StorageManager = require('../js/storage-manager.js');
+
+// Minimal in-memory localStorage, enough for StorageManager
+const memory = new Map();
+global.localStorage = {
+  getItem: key => (memory.has(key) ? memory.get(key) : null),
+  setItem: (key, value) => memory.set(key, String(value)),
+  removeItem: key => memory.delete(key)
+};
+
+const strategiesUsed = {
+  collaborating: 4,
+  compromising: 2,
+  competing: 1,
+  accommodating: 2,
+  avoiding: 1,
+  active_listening: 2
+};
+
+const CASES = [
+  {
+    name: 'single-learner store from the first release',
+    store: {
+      version: 1,
+      userProgress: {
+        currentScenario: 'scenario-001',
+        currentNode: 'team_meeting',
+        choiceHistory: [{ nodeId: 'start', choiceId: 'direct_approach', strategy: 'collaborating' }],
+        variables: {}
+      },
+      completedScenarios: ['scenario-001'],
+      userPreferences: { viewMode: 'text-adventure', autoSave: true, soundEnabled: false },
+      // totalChoicesMade was overwritten with the length of the current run
+      statistics: { totalChoicesMade: 1, scenariosCompleted: 1, strategiesUsed }
+    },
+    expected: { totalChoicesMade: 12, scenariosCompleted: 1, strategiesUsed }
+  },
+  {
+    name: 'profile store with completed runs and counters',
+    store: {
+      version: 2,
+      activeProfileId: 'profile-old',
+      profiles: {
+        'profile-old': {
+          id: 'profile-old',
+          name: 'Sam',
+          createdAt: '2026-01-05T09:00:00.000Z',
+          activeSlotId: 'slot-1',
+          slots: {},
+          completedScenarios: ['scenario-001'],
+          completedRuns: [{
+            scenarioId: 'scenario-001',
+            completedAt: '2026-01-05T09:20:00.000Z',
+            choiceHistory: [
+              { nodeId: 'start', choiceId: 'direct_approach', strategy: 'collaborating', timestamp: '2026-01-05T09:10:00.000Z' },
+              { nodeId: 'team_meeting', choiceId: 'listen_first', strategy: 'active_listening', timestamp: '2026-01-05T09:15:00.000Z' }
+            ]
+          }],
+          userPreferences: {},
+          // Counters include the two choices of the run above
+          statistics: { totalChoicesMade: 12, scenariosCompleted: 1, strategiesUsed }
+        }
+      }
+    },
+    expected: { totalChoicesMade: 12, scenariosCompleted: 1, strategiesUsed }
+  }
+];
+
+function compare(actual, expected) {
+  const problems = [];
+  ['totalChoicesMade', 'scenariosCompleted'].forEach(key => {
+    if (actual[key] !== expected[key]) {
+      problems.push(`${key} is ${actual[key]}, expected ${expected[key]}`);
+    }
+  });
+  Object.entries(expected.strategiesUsed).forEach(([strategy, count]) => {
+    if (actual.strategiesUsed[strategy] !== count) {
+      problems.push(`${strategy} is ${actual.strategiesUsed[strategy]}, expected ${count}`);
+    }
+  });
+  return problems;
+}
+
+// Old backups were the stored data itself, one learner's worth
+function backupOf(store) {
+  return JSON.stringify(store.profiles ? Object.values(store.profiles)[0] : store);
+}
+
+function runCase(testCase) {
+  memory.clear();
+  localStorage.setItem('conflict-training-simulator', JSON.stringify(testCase.store));
+
+  const problems = [];
+  const storage = new StorageManager();
+  compare(storage.getStatistics(), testCase.expected).forEach(problem => problems.push(`after load: ${problem}`));
+
+  storage.saveData(storage.loadData());
+  compare(new StorageManager().getStatistics(), testCase.expected).forEach(problem => problems.push(`after save: ${problem}`));
+
+  const again = new StorageManager().previewImport(backupOf(testCase.store), { mode: 'merge' });
+  compare(storage.deriveStatistics(again.result), testCase.expected).forEach(problem => problems.push(`after merging it again: ${problem}`));
+
+  const exported = new StorageManager().exportData();
+  memory.clear();
+  const fresh = new StorageManager();
+  [['old backup', backupOf(testCase.store)], ['upgraded backup', exported]].forEach(([label, backup]) => {
+    const preview = fresh.previewImport(backup, { mode: 'merge' });
+    if (!preview.valid) {
+      problems.push(`${label} is not valid: ${preview.errors.join(' ')}`);
+      return;
+    }
+    compare(fresh.deriveStatistics(preview.result), testCase.expected).forEach(problem => problems.push(`${label} merged into an empty browser: ${problem}`));
+    if (Object.keys(preview.changes.strategiesUsed).length === 0) {
+      problems.push(`${label} merged into an empty browser: preview shows no strategy changes`);
+    }
+  });
+
+  return problems;
+}
+
+function main() {
+  let failed = 0;
+
+  CASES.forEach(testCase => {
+    const problems = runCase(testCase);
+    if (problems.length > 0) {
+      failed++;
+      console.log(`✗ ${testCase.name}`);
+      problems.forEach(problem => console.log(`    ${problem}`));
+    } else {
+      console.log(`✓ ${testCase.name}`);
+    }
+  });
+
+  console.log(`\n${CASES.length} cases, ${failed} failed`);
+  return failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
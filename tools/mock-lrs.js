@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * MOCK LRS - Local learning record store and static server for testing LMS reporting
+ *
+ *   node tools/mock-lrs.js [--port 8090]
+ *     Serves the trainer at http://localhost:<port>/ and an xAPI endpoint at /xapi/.
+ *     Statements are printed as they arrive; GET /xapi/statements lists them.
+ *     tools/scorm-stub.html is served too, for testing the SCORM path.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+const AUTH = `Basic ${Buffer.from('trainer:secret').toString('base64')}`;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.mp3': 'audio/mpeg'
+};
+
+const statements = [];
+
+function send(response, status, body, headers = {}) {
+  response.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Experience-API-Version',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+    'X-Experience-API-Version': '1.0.3',
+    ...headers
+  });
+  response.end(body);
+}
+
+function sendJson(response, status, value) {
+  send(response, status, JSON.stringify(value, null, 2), { 'Content-Type': 'application/json' });
+}
+
+function describe(statement) {
+  const verb = statement.verb && statement.verb.display ? Object.values(statement.verb.display)[0] : statement.verb.id;
+  const object = statement.object.definition && statement.object.definition.name ?
+    Object.values(statement.object.definition.name)[0] :
+    statement.object.id;
+  const actor = statement.actor.name || (statement.actor.account && statement.actor.account.name) || statement.actor.mbox;
+  const result = statement.result || {};
+  const details = [
+    result.response !== undefined ? `response ${result.response}` : null,
+    result.score ? `score ${result.score.raw}` : null,
+    result.success !== undefined ? (result.success ? 'passed' : 'failed') : null
+  ].filter(Boolean).join(', ');
+
+  return `${actor} ${verb} "${object}"${details ? ` (${details})` : ''}`;
+}
+
+/**
+ * Handle /xapi/ requests: store statements and list them back
+ */
+function handleXapi(request, response, route) {
+  if (request.method === 'OPTIONS') {
+    send(response, 204, '');
+    return;
+  }
+
+  if (request.headers.authorization !== AUTH) {
+    sendJson(response, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  if (!request.headers['x-experience-api-version']) {
+    sendJson(response, 400, { error: 'Missing X-Experience-API-Version header' });
+    return;
+  }
+
+  if (route === 'about') {
+    sendJson(response, 200, { version: ['1.0.3'] });
+    return;
+  }
+
+  if (route !== 'statements') {
+    sendJson(response, 404, { error: `Unknown resource ${route}` });
+    return;
+  }
+
+  if (request.method === 'GET') {
+    sendJson(response, 200, { statements, more: '' });
+    return;
+  }
+
+  let body = '';
+  request.on('data', chunk => {
+    body += chunk;
+  });
+  request.on('end', () => {
+    let received;
+    try {
+      received = JSON.parse(body);
+    } catch (error) {
+      sendJson(response, 400, { error: 'Body is not JSON' });
+      return;
+    }
+
+    const batch = Array.isArray(received) ? received : [received];
+    const invalid = batch.find(statement => !statement.actor || !statement.verb || !statement.object);
+    if (invalid) {
+      sendJson(response, 400, { error: 'Statements need an actor, verb and object' });
+      return;
+    }
+
+    batch.forEach(statement => {
+      statement.id = statement.id || crypto.randomUUID();
+      statement.stored = new Date().toISOString();
+      statements.push(statement);
+      console.log(`  ${describe(statement)}`);
+    });
+
+    sendJson(response, 200, batch.map(statement => statement.id));
+  });
+}
+
+/**
+ * Serve project files, refusing paths outside the project
+ */
+function handleStatic(request, response, pathname) {
+  const relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+  const file = path.join(ROOT, path.normalize(relative));
+
+  if (!file.startsWith(ROOT + path.sep) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+    send(response, 404, 'Not found');
+    return;
+  }
+
+  send(response, 200, fs.readFileSync(file), {
+    'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream'
+  });
+}
+
+function main(argv) {
+  const portIndex = argv.indexOf('--port');
+  const port = portIndex !== -1 ? Number(argv[portIndex + 1]) : 8090;
+
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, `http://localhost:${port}`);
+    const xapi = pathname.match(/^\/xapi\/(.*)$/);
+
+    if (xapi) {
+      handleXapi(request, response, xapi[1].replace(/\/$/, ''));
+    } else {
+      handleStatic(request, response, pathname);
+    }
+  });
+
+  server.listen(port, () => {
+    const base = `http://localhost:${port}/`;
+    const actor = JSON.stringify({ name: 'Test Learner', mbox: 'mailto:test.learner@example.com' });
+    const launch = new URLSearchParams({ endpoint: `${base}xapi/`, auth: AUTH, actor, registration: crypto.randomUUID() });
+
+    console.log(`Mock LRS listening on ${base}xapi/ (user trainer, password secret)`);
+    console.log(`xAPI launch:  ${base}index.html?${launch}`);
+    console.log(`SCORM stub:   ${base}tools/scorm-stub.html?version=2004  (or version=1.2)`);
+    console.log('Statements:');
+  });
+
+  return server;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = { main };
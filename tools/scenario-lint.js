@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+/**
+ * SCENARIO LINT - Command-line checks and graph export for scenario authors
+ *
+ *   node tools/scenario-lint.js check [scenario-dir]
+ *     Validate every scenario file, check it against scenario-index.json and print statistics
+ *
+ *   node tools/scenario-lint.js graph <scenario-file> [--format dot|mermaid] [--out file]
+ *     Export the decision tree as Graphviz DOT (default) or Mermaid
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ExpressionEvaluator = require('../js/expression-evaluator.js');
+const PrerequisiteChecker = require('../js/prerequisite-checker.js');
+const ScenarioValidator = require('../js/scenario-validator.js');
+const ScoringEngine = require('../js/scoring-engine.js');
+const RubricEvaluator = require('../js/rubric-evaluator.js');
+const StorageManager = require('../js/storage-manager.js');
+
+const validator = new ScenarioValidator({
+  evaluator: new ExpressionEvaluator(),
+  scorer: new ScoringEngine(),
+  rubric: new RubricEvaluator(),
+  strategies: new StorageManager().strategies
+});
+
+/**
+ * Validate all scenarios in a directory against the engine rules and the index
+ * @param {string} scenarioDir - Directory holding scenario-index.json and scenario files
+ * @returns {number} Exit code
+ */
+function runCheck(scenarioDir) {
+  const indexPath = path.join(scenarioDir, 'scenario-index.json');
+  const files = fs.readdirSync(scenarioDir)
+    .filter(name => name.endsWith('.json') && name !== 'scenario-index.json')
+    .sort();
+
+  let index = null;
+  let errorCount = 0;
+  let warningCount = 0;
+
+  try {
+    index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  } catch (error) {
+    console.log(`✗ ${indexPath}\n  error    ${error.message}\n`);
+    errorCount++;
+  }
+
+  const indexEntries = index && Array.isArray(index.scenarios) ? index.scenarios : [];
+  const listedFiles = new Set(indexEntries.map(entry => path.basename(entry.file || '')));
+
+  for (const name of files) {
+    const file = path.join(scenarioDir, name);
+    let scenario;
+
+    try {
+      scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.log(`✗ ${file}\n  error    $: ${error.message}\n`);
+      errorCount++;
+      continue;
+    }
+
+    const report = validator.validate(scenario);
+    if (index) {
+      checkIndexEntry(scenario, name, index, report);
+    }
+
+    console.log(`${report.errors.length === 0 ? '✓' : '✗'} ${file}`);
+    report.errors.forEach(problem => console.log(`  error    ${problem.path}: ${problem.message}`));
+    report.warnings.forEach(problem => console.log(`  warning  ${problem.path}: ${problem.message}`));
+
+    if (scenario.nodes) {
+      printStatistics(getStatistics(scenario));
+    }
+    console.log('');
+
+    errorCount += report.errors.length;
+    warningCount += report.warnings.length;
+  }
+
+  // Index entries whose files do not exist
+  indexEntries.forEach((entry, position) => {
+    if (!files.includes(path.basename(entry.file || ''))) {
+      console.log(`✗ ${indexPath}\n  error    $.scenarios[${position}].file: "${entry.file}" not found in ${scenarioDir}\n`);
+      errorCount++;
+    }
+  });
+
+  if (index) {
+    checkCertification(index).forEach(message => {
+      console.log(`✗ ${indexPath}\n  error    ${message}\n`);
+      errorCount++;
+    });
+
+    new PrerequisiteChecker().validateIndex(index).forEach(problem => {
+      console.log(`✗ ${indexPath}\n  error    ${problem.path}: ${problem.message}\n`);
+      errorCount++;
+    });
+  }
+
+  const unlisted = files.filter(name => !listedFiles.has(name));
+  console.log(`${files.length} scenario files, ${unlisted.length} not in index, ${errorCount} errors, ${warningCount} warnings`);
+
+  return errorCount > 0 ? 1 : 0;
+}
+
+/**
+ * Check that a scenario is listed in the index and that the entry matches its metadata
+ */
+function checkIndexEntry(scenario, fileName, index, report) {
+  const position = index.scenarios.findIndex(entry => path.basename(entry.file || '') === fileName);
+  if (position === -1) {
+    report.errors.push({ path: '$', message: `Not listed in scenario-index.json` });
+    return;
+  }
+
+  const entry = index.scenarios[position];
+  const entryPath = `scenario-index.json $.scenarios[${position}]`;
+  const metadata = scenario.metadata || {};
+
+  if (entry.id !== scenario.id) {
+    report.errors.push({ path: `${entryPath}.id`, message: `Index id "${entry.id}" does not match scenario id "${scenario.id}"` });
+  }
+
+  ['title', 'category', 'difficulty'].forEach(key => {
+    if (entry[key] !== metadata[key]) {
+      report.errors.push({
+        path: `${entryPath}.${key}`,
+        message: `Index ${key} "${entry[key]}" does not match metadata ${key} "${metadata[key]}"`
+      });
+    }
+  });
+
+  // Copied into the index so the library can search them without loading every scenario
+  ['conflictTypes', 'learningObjectives'].forEach(key => {
+    if (entry[key] === undefined) return;
+
+    if (!Array.isArray(entry[key]) || entry[key].some(item => typeof item !== 'string')) {
+      report.errors.push({ path: `${entryPath}.${key}`, message: 'Must be a list of strings' });
+    } else if (JSON.stringify(entry[key]) !== JSON.stringify(metadata[key] || [])) {
+      report.errors.push({ path: `${entryPath}.${key}`, message: `Index ${key} does not match metadata ${key}` });
+    }
+  });
+
+  const categories = (index.categories || []).map(category => category.id);
+  if (!categories.includes(entry.category)) {
+    report.errors.push({ path: `${entryPath}.category`, message: `Category "${entry.category}" is not defined in the index categories` });
+  }
+}
+
+/**
+ * Check the certificate requirement in the index metadata
+ * @returns {Array<string>} Problems as "path: message"
+ */
+function checkCertification(index) {
+  const certification = index.metadata && index.metadata.certification;
+  if (certification === undefined) return [];
+
+  if (!certification || typeof certification !== 'object' || Array.isArray(certification)) {
+    return ['$.metadata.certification: Must be an object'];
+  }
+
+  const problems = [];
+  const total = (index.scenarios || []).length;
+  if ('minimumPassed' in certification) {
+    const minimum = certification.minimumPassed;
+    if (!Number.isInteger(minimum) || minimum < 1) {
+      problems.push('$.metadata.certification.minimumPassed: Must be a whole number of at least 1');
+    } else if (minimum > total) {
+      problems.push(`$.metadata.certification.minimumPassed: ${minimum} is more than the ${total} scenarios in the index`);
+    }
+  }
+
+  Object.keys(certification).filter(key => key !== 'minimumPassed').forEach(key => {
+    problems.push(`$.metadata.certification.${key}: Unknown setting (expected minimumPassed)`);
+  });
+
+  return problems;
+}
+
+/**
+ * Compute authoring statistics for a scenario
+ * @param {Object} scenario - Parsed scenario JSON
+ * @returns {Object} Node, ending, path length and strategy statistics
+ */
+function getStatistics(scenario) {
+  const nodes = scenario.nodes;
+  const nodeList = Object.values(nodes);
+  const strategies = {};
+  let choiceCount = 0;
+
+  nodeList.forEach(node => {
+    (node.choices || []).forEach(choice => {
+      choiceCount++;
+      const strategy = choice.strategy || 'none';
+      strategies[strategy] = (strategies[strategy] || 0) + 1;
+    });
+  });
+
+  // Path lengths count player choices from start to a resolution node
+  const lengths = [];
+  const walk = (nodeId, visited, choices) => {
+    const node = nodes[nodeId];
+    if (!node || visited.has(nodeId)) return;
+
+    if (node.type === 'resolution') {
+      lengths.push(choices);
+      return;
+    }
+
+    const nextVisited = new Set(visited).add(nodeId);
+    const step = node.type === 'branch' ? 0 : 1;
+    ScenarioValidator.getTargets(node).forEach(target => walk(target, nextVisited, choices + step));
+  };
+
+  if (nodes.start) {
+    walk('start', new Set(), 0);
+  }
+
+  return {
+    nodes: nodeList.length,
+    routingNodes: nodeList.filter(node => node.type === 'branch').length,
+    choices: choiceCount,
+    endings: nodeList.reduce((total, node) => total + (node.type === 'resolution' ? (node.endings || []).length : 0), 0),
+    paths: lengths.length,
+    shortestPath: lengths.length > 0 ? Math.min(...lengths) : null,
+    longestPath: lengths.length > 0 ? Math.max(...lengths) : null,
+    strategies
+  };
+}
+
+function printStatistics(stats) {
+  const distribution = Object.entries(stats.strategies)
+    .sort((a, b) => b[1] - a[1])
+    .map(([strategy, count]) => `${strategy} ${count} (${Math.round((count / stats.choices) * 100)}%)`)
+    .join(', ');
+
+  console.log(`  nodes ${stats.nodes}${stats.routingNodes ? ` (${stats.routingNodes} routing)` : ''}, ` +
+    `choices ${stats.choices}, endings ${stats.endings}, complete paths ${stats.paths}`);
+  console.log(`  path length: shortest ${stats.shortestPath ?? '-'}, longest ${stats.longestPath ?? '-'} choices`);
+  console.log(`  strategies: ${distribution || 'none'}`);
+}
+
+/**
+ * Collect the edges of the decision tree
+ * @returns {Array} Edges with from, to, label and whether they are conditional
+ */
+function getEdges(scenario) {
+  const edges = [];
+
+  for (const [nodeId, node] of Object.entries(scenario.nodes)) {
+    const sources = node.type === 'branch' ? [node] : (node.choices || []);
+
+    sources.forEach(source => {
+      const label = source === node ? 'otherwise' : (source.strategy || source.id);
+      (source.routes || []).forEach(route => {
+        edges.push({ from: nodeId, to: route.nextNode, label: describeRoute(route), conditional: true });
+      });
+      if (source.nextNode) {
+        edges.push({ from: nodeId, to: source.nextNode, label, conditional: false });
+      }
+    });
+  }
+
+  return edges;
+}
+
+function describeRoute(route) {
+  const parts = [];
+  if (route.condition) parts.push(route.condition);
+  if (route.previousChoices) parts.push(`after ${route.previousChoices.join(', ')}`);
+  if (route.forbiddenChoices) parts.push(`not ${route.forbiddenChoices.join(', ')}`);
+  return parts.join('; ') || 'route';
+}
+
+function getNodeLabel(nodeId, node) {
+  return node.content && node.content.title ? node.content.title : nodeId;
+}
+
+function getEndingType(node) {
+  return node.endings && node.endings[0] ? node.endings[0].type : null;
+}
+
+/**
+ * Export a scenario decision tree as Graphviz DOT
+ */
+function toDot(scenario) {
+  const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const endingColors = { success: '#10b981', mixed: '#f59e0b', failure: '#ef4444' };
+  const lines = [`digraph ${quote(scenario.id)} {`, '  rankdir=TB;', '  node [fontname="Helvetica", shape=box, style="rounded,filled", fillcolor="#f1f5f9"];', '  edge [fontname="Helvetica", fontsize=10];'];
+
+  for (const [nodeId, node] of Object.entries(scenario.nodes)) {
+    const attributes = [`label=${quote(getNodeLabel(nodeId, node))}`];
+    if (node.type === 'branch') {
+      attributes.push('shape=diamond', 'fillcolor="#e2e8f0"');
+    } else if (node.type === 'resolution') {
+      attributes.push('shape=doubleoctagon', `fillcolor=${quote(endingColors[getEndingType(node)] || '#cbd5e1')}`);
+    } else if (nodeId === 'start') {
+      attributes.push('fillcolor="#3b82f6"', 'fontcolor=white');
+    }
+    lines.push(`  ${quote(nodeId)} [${attributes.join(', ')}];`);
+  }
+
+  getEdges(scenario).forEach(edge => {
+    const attributes = [`label=${quote(edge.label)}`];
+    if (edge.conditional) attributes.push('style=dashed');
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)} [${attributes.join(', ')}];`);
+  });
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Export a scenario decision tree as a Mermaid flowchart
+ */
+function toMermaid(scenario) {
+  const ids = new Map();
+  const idFor = nodeId => {
+    if (!ids.has(nodeId)) {
+      ids.set(nodeId, `n${ids.size}_${nodeId.replace(/[^A-Za-z0-9_]/g, '_')}`);
+    }
+    return ids.get(nodeId);
+  };
+  const quote = text => `"${String(text).replace(/"/g, '#quot;')}"`;
+  const lines = ['flowchart TD'];
+
+  for (const [nodeId, node] of Object.entries(scenario.nodes)) {
+    const label = quote(getNodeLabel(nodeId, node));
+    if (node.type === 'branch') {
+      lines.push(`  ${idFor(nodeId)}{${label}}`);
+    } else if (node.type === 'resolution') {
+      lines.push(`  ${idFor(nodeId)}([${label}])`);
+      const endingType = getEndingType(node);
+      if (endingType) lines.push(`  class ${idFor(nodeId)} ${endingType}`);
+    } else {
+      lines.push(`  ${idFor(nodeId)}[${label}]`);
+    }
+  }
+
+  getEdges(scenario).forEach(edge => {
+    const arrow = edge.conditional ? '-.->' : '-->';
+    lines.push(`  ${idFor(edge.from)} ${arrow}|${quote(edge.label)}| ${idFor(edge.to)}`);
+  });
+
+  lines.push('  classDef success fill:#10b981,color:#fff');
+  lines.push('  classDef mixed fill:#f59e0b,color:#fff');
+  lines.push('  classDef failure fill:#ef4444,color:#fff');
+  return lines.join('\n');
+}
+
+function runGraph(file, options) {
+  const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!scenario.nodes) {
+    throw new Error(`${file} has no nodes`);
+  }
+
+  const output = options.format === 'mermaid' ? toMermaid(scenario) : toDot(scenario);
+  if (options.out) {
+    fs.writeFileSync(options.out, `${output}\n`);
+    console.log(`Wrote ${options.format} graph to ${options.out}`);
+  } else {
+    console.log(output);
+  }
+  return 0;
+}
+
+function printUsage() {
+  console.log([
+    'Usage:',
+    '  node tools/scenario-lint.js check [scenario-dir]',
+    '  node tools/scenario-lint.js graph <scenario-file> [--format dot|mermaid] [--out file]'
+  ].join('\n'));
+}
+
+function main(argv) {
+  const [command = 'check', ...rest] = argv;
+  const options = { format: 'dot', out: null };
+  const positional = [];
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--format') {
+      options.format = rest[++i];
+    } else if (rest[i] === '--out') {
+      options.out = rest[++i];
+    } else {
+      positional.push(rest[i]);
+    }
+  }
+
+  if (command === 'check') {
+    return runCheck(positional[0] || path.join(__dirname, '..', 'scenarios'));
+  }
+
+  if (command === 'graph' && positional[0] && ['dot', 'mermaid'].includes(options.format)) {
+    return runGraph(positional[0], options);
+  }
+
+  printUsage();
+  return 2;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { getStatistics, toDot, toMermaid };
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * VERIFY CERTIFICATE - Check a certificate code against a learner's exported progress file
+ *
+ *   node tools/verify-certificate.js <backup-file> <code> [--name "Learner Name"]
+ *     --name is only needed for backups exported before they included the learner name
+ */
+
+const fs = require('fs');
+
+const CertificateGenerator = require('../js/certificate-generator.js');
+const StorageManager = require('../js/storage-manager.js');
+
+const generator = new CertificateGenerator();
+const storage = new StorageManager();
+
+function printUsage() {
+  console.log('Usage:\n  node tools/verify-certificate.js <backup-file> <code> [--name "Learner Name"]');
+}
+
+function main(argv) {
+  const positional = [];
+  let name = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--name') {
+      name = argv[++i];
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  const [file, code] = positional;
+  if (!file || !code) {
+    printUsage();
+    return 2;
+  }
+
+  const backup = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = storage.validateBackup(backup);
+  if (errors.length > 0) {
+    console.log(`✗ ${file} is not a valid backup: ${errors.join(' ')}`);
+    return 1;
+  }
+
+  const learnerName = name || backup.learnerName;
+  const result = generator.verify(code, learnerName, storage.mergeWithDefaults(backup).attempts);
+
+  console.log(`${result.valid ? '✓' : '✗'} ${result.message}`);
+  return result.valid ? 0 : 1;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}